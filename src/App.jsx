@@ -1,10 +1,37 @@
+import { BrowserRouter } from 'react-router-dom';
 import Dashboard from './components/Dashboard';
+import AuthProvider from './components/AuthProvider';
+import NotificationProvider from './components/NotificationProvider';
+import Login from './components/Login';
+import { useAuth } from './hooks/useAuth';
 import './App.css';
 
+function AuthenticatedApp() {
+  const { isAuthenticated, sessionExpired } = useAuth();
+
+  if (!isAuthenticated) {
+    return <Login />;
+  }
+
+  // Keep the dashboard mounted while re-authenticating so nothing is lost
+  return (
+    <>
+      <Dashboard />
+      {sessionExpired && <Login expired />}
+    </>
+  );
+}
+
 function App() {
   return (
     <div className="App">
-      <Dashboard />
+      <BrowserRouter>
+        <NotificationProvider>
+          <AuthProvider>
+            <AuthenticatedApp />
+          </AuthProvider>
+        </NotificationProvider>
+      </BrowserRouter>
     </div>
   );
 }
@@ -1,124 +1,142 @@
 import { useState } from 'react';
-import { useApiCall } from '../hooks/useApi';
-import { postsApi, isApiSuccess } from '../services/api';
-import { validatePostData, sanitizeInput } from '../utils/validation';
+import { useAuth } from '../hooks/useAuth';
+import { useDrafts } from '../hooks/useDrafts';
 import { UI_MESSAGES } from '../utils/constants';
+import PostForm from './PostForm';
 import './AddPost.css';
 
-function AddPost({ onPostAdded }) {
-  const [form, setForm] = useState({ 
-    title: '', 
-    body: '', 
-    user_id: 1 
-  });
-  const [success, setSuccess] = useState(false);
-  const { loading, error, execute, clearError } = useApiCall();
+const EMPTY_VALUES = { title: '', body: '' };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    // Client-side validation
-    const validation = validatePostData(form.title, form.body, form.user_id);
-    if (!validation.isValid) {
-      return; // Let the form validation handle the display
-    }
+/**
+ * Formats a draft's last edit time for display
+ * 
+ * @param {string} updatedAt - ISO timestamp
+ * @returns {string} Localized date and time
+ */
+const formatDraftTime = (updatedAt) => new Date(updatedAt).toLocaleString();
 
-    try {
-      const sanitizedForm = {
-        title: sanitizeInput(form.title),
-        body: sanitizeInput(form.body),
-        user_id: form.user_id
-      };
+function AddPost({ onCreate, rejectedPost = null }) {
+  const { user } = useAuth();
+  // A post the server turned down comes back with its values and errors
+  const [fieldErrors, setFieldErrors] = useState(() => rejectedPost?.fieldErrors || {});
+  const [error, setError] = useState(() => rejectedPost?.message || null);
+  const { drafts, activeDraftId, autosave, resume, startNew, discardActive, remove } = useDrafts(user.id);
 
-      const response = await execute(() => postsApi.create(sanitizedForm));
-      
-      if (isApiSuccess(response)) {
-        setForm({ title: '', body: '', user_id: 1 });
-        setSuccess(true);
-        
-        if (onPostAdded) {
-          onPostAdded(response.data);
-        }
+  // Offer the most recent draft when coming back to the form
+  const [promptDraft, setPromptDraft] = useState(() => (rejectedPost ? null : drafts[0] || null));
+  // Changing the key remounts the form with new starting values
+  const [formState, setFormState] = useState({ key: 0, values: rejectedPost?.values || EMPTY_VALUES });
 
-        setTimeout(() => setSuccess(false), 3000);
-      }
-    } catch (err) {
-      console.error('Error creating post:', err);
-    }
+  const loadIntoForm = (values) => {
+    setFormState(prev => ({ key: prev.key + 1, values }));
+    setFieldErrors({});
+    setError(null);
+  };
+
+  const handleRestoreDraft = (draft) => {
+    resume(draft);
+    loadIntoForm(draft);
+    setPromptDraft(null);
   };
 
-  const handleInputChange = (field, value) => {
-    setForm(prev => ({ ...prev, [field]: value }));
-    if (error) clearError();
+  const handleNewPost = () => {
+    startNew();
+    loadIntoForm(EMPTY_VALUES);
   };
 
+  const handleDeleteDraft = (id) => {
+    remove(id);
+    if (promptDraft?.id === id) setPromptDraft(null);
+  };
+
+  // The list shows the post right away and saves it, see PostsList; if
+  // the server rejects it, it is reopened here, so the draft can go
+  const handleSubmit = (values) => {
+    discardActive();
+    loadIntoForm(EMPTY_VALUES);
+    onCreate(values);
+    return true;
+  };
+
+  const handleInputChange = (field, value, values) => {
+    autosave(values);
+    setPromptDraft(null);
+    if (error) setError(null);
+    if (fieldErrors[field]) {
+      setFieldErrors(prev => ({ ...prev, [field]: undefined }));
+    }
+  };
+
+  const hasFieldErrors = Boolean(fieldErrors.title || fieldErrors.body);
+
   return (
     <div className="add-post">
       <h2>Create New Post</h2>
       
       {error && (
         <div className="error-message">
-          {error}
+          {hasFieldErrors ? UI_MESSAGES.ERROR_VALIDATION : error}
         </div>
       )}
       
-      {success && (
-        <div className="success-message">
-          {UI_MESSAGES.SUCCESS_POST_CREATED}
+      {promptDraft && (
+        <div className="draft-prompt">
+          <span>
+            Restore your unsaved draft "<strong>{promptDraft.title || 'Untitled'}</strong>"
+            from {formatDraftTime(promptDraft.updatedAt)}?
+          </span>
+          <button type="button" onClick={() => handleRestoreDraft(promptDraft)}>
+            Restore
+          </button>
+          <button type="button" onClick={() => setPromptDraft(null)}>
+            Dismiss
+          </button>
         </div>
       )}
 
-      <form onSubmit={handleSubmit} className="post-form">
-        <div className="form-group">
-          <label htmlFor="title">Title</label>
-          <input
-            id="title"
-            type="text"
-            placeholder="Enter post title..."
-            value={form.title}
-            onChange={(e) => handleInputChange('title', e.target.value)}
-            required
-            disabled={loading}
-          />
-        </div>
+      <PostForm
+        key={formState.key}
+        initialValues={formState.values}
+        userId={user.id}
+        onSubmit={handleSubmit}
+        onChange={handleInputChange}
+        fieldErrors={fieldErrors}
+        submitLabel="Create Post"
+      >
+        <p className="post-author">
+          Posting as <strong>{user.name || user.email}</strong>
+        </p>
+      </PostForm>
 
-        <div className="form-group">
-          <label htmlFor="body">Content</label>
-          <textarea
-            id="body"
-            placeholder="Write your post content..."
-            value={form.body}
-            onChange={(e) => handleInputChange('body', e.target.value)}
-            required
-            disabled={loading}
-            rows={6}
-          />
-        </div>
-
-        <div className="form-group">
-          <label htmlFor="user_id">User ID</label>
-          <input
-            id="user_id"
-            type="number"
-            placeholder="Enter user ID"
-            value={form.user_id}
-            onChange={(e) => handleInputChange('user_id', parseInt(e.target.value) || 1)}
-            required
-            min="1"
-            disabled={loading}
-          />
-        </div>
-
-        <button 
-          type="submit" 
-          className="submit-btn"
-          disabled={loading || !form.title.trim() || !form.body.trim()}
-        >
-          {loading ? 'Creating...' : 'Create Post'}
-        </button>
-      </form>
+      {drafts.length > 0 && (
+        <details className="drafts-panel">
+          <summary>Saved drafts ({drafts.length})</summary>
+          <ul className="drafts-list">
+            {drafts.map(draft => (
+              <li key={draft.id} className="draft-item">
+                <span className="draft-title">
+                  {draft.title || 'Untitled'}
+                  <span className="draft-time">{formatDraftTime(draft.updatedAt)}</span>
+                </span>
+                {draft.id === activeDraftId ? (
+                  <button type="button" onClick={handleNewPost}>
+                    New post
+                  </button>
+                ) : (
+                  <button type="button" onClick={() => handleRestoreDraft(draft)}>
+                    Resume
+                  </button>
+                )}
+                <button type="button" onClick={() => handleDeleteDraft(draft.id)}>
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
     </div>
   );
 }
 
-export default AddPost;
\ No newline at end of file
+export default AddPost;
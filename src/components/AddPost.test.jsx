@@ -0,0 +1,132 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor, within, act } from '@testing-library/react';
+import AddPost from './AddPost';
+import { AuthContext } from '../hooks/useAuth';
+import { UI_MESSAGES, DRAFTS } from '../utils/constants';
+import { getDrafts, saveDraft } from '../services/drafts';
+
+const user = { id: 7, name: 'Ada', email: 'ada@example.com' };
+
+const renderAddPost = (props = {}) => render(
+  <AuthContext.Provider value={{ user, isAuthenticated: true }}>
+    <AddPost onCreate={vi.fn()} {...props} />
+  </AuthContext.Provider>
+);
+
+const fillForm = (title, body) => {
+  fireEvent.change(screen.getByLabelText('Title'), { target: { value: title } });
+  fireEvent.change(screen.getByLabelText('Content'), { target: { value: body } });
+};
+
+describe('AddPost', () => {
+  it('disables submit until title and content are filled', () => {
+    renderAddPost();
+    const submit = screen.getByRole('button', { name: 'Create Post' });
+
+    expect(submit).toBeDisabled();
+    fillForm('Title', '   ');
+    expect(submit).toBeDisabled();
+    fillForm('Title', 'Body');
+    expect(submit).not.toBeDisabled();
+  });
+
+  it('hands the post to the list as the signed-in user', async () => {
+    const onCreate = vi.fn();
+    renderAddPost({ onCreate });
+
+    fillForm('  Title  ', 'Body');
+    fireEvent.click(screen.getByRole('button', { name: 'Create Post' }));
+
+    expect(onCreate).toHaveBeenCalledWith({ title: 'Title', body: 'Body', user_id: 7 });
+    await waitFor(() => expect(screen.getByLabelText('Title')).toHaveValue(''));
+  });
+
+  it('reopens a rejected post with the server error and clears it on edit', () => {
+    renderAddPost({
+      rejectedPost: { values: { title: 'Title', body: 'Body' }, message: 'Title already taken', fieldErrors: {} },
+    });
+
+    expect(screen.getByLabelText('Title')).toHaveValue('Title');
+    expect(screen.getByText('Title already taken')).toBeInTheDocument();
+    expect(screen.queryByText(/Restore your unsaved draft/)).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'Other' } });
+    expect(screen.queryByText('Title already taken')).not.toBeInTheDocument();
+  });
+
+  it('shows server validation details of a rejected post on its fields', () => {
+    renderAddPost({
+      rejectedPost: {
+        values: { title: 'Title', body: 'Body' },
+        message: 'Validation failed',
+        fieldErrors: { body: 'Content contains blocked words' },
+      },
+    });
+
+    expect(screen.getByText('Content contains blocked words')).toBeInTheDocument();
+    expect(screen.getByText(UI_MESSAGES.ERROR_VALIDATION)).toBeInTheDocument();
+    expect(screen.getByLabelText('Content')).toHaveFocus();
+
+    fireEvent.change(screen.getByLabelText('Content'), { target: { value: 'Better body' } });
+    expect(screen.queryByText('Content contains blocked words')).not.toBeInTheDocument();
+  });
+
+  it('autosaves a draft and offers to restore it', () => {
+    const { unmount } = renderAddPost();
+    fillForm('Half-written', 'Some thoughts');
+    unmount();
+
+    expect(getDrafts(user.id)).toEqual([expect.objectContaining({ title: 'Half-written', body: 'Some thoughts' })]);
+
+    renderAddPost();
+    expect(screen.getByLabelText('Title')).toHaveValue('');
+    expect(screen.getByText(/Restore your unsaved draft/)).toHaveTextContent('Half-written');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Restore' }));
+
+    expect(screen.getByLabelText('Title')).toHaveValue('Half-written');
+    expect(screen.getByLabelText('Content')).toHaveValue('Some thoughts');
+  });
+
+  it('saves drafts after a pause in typing', () => {
+    vi.useFakeTimers();
+    renderAddPost();
+
+    fillForm('Typing', 'Still typing');
+    expect(getDrafts(user.id)).toEqual([]);
+
+    act(() => vi.advanceTimersByTime(DRAFTS.SAVE_DELAY));
+    expect(getDrafts(user.id)).toHaveLength(1);
+    expect(screen.getByText('Saved drafts (1)')).toBeInTheDocument();
+  });
+
+  it('resumes and deletes drafts from the saved list', () => {
+    saveDraft({ userId: user.id, title: 'Kept', body: 'Draft body' });
+    saveDraft({ userId: user.id, title: 'Unwanted', body: 'Delete me' });
+    saveDraft({ userId: 99, title: 'Not mine', body: 'Other user' });
+    renderAddPost();
+
+    expect(screen.getByText('Saved drafts (2)')).toBeInTheDocument();
+    expect(screen.queryByText('Not mine')).not.toBeInTheDocument();
+
+    const list = within(document.querySelector('.drafts-list'));
+    const unwanted = list.getByText('Unwanted').closest('li');
+    fireEvent.click(within(unwanted).getByRole('button', { name: 'Delete' }));
+    expect(screen.getByText('Saved drafts (1)')).toBeInTheDocument();
+
+    const kept = list.getByText('Kept').closest('li');
+    fireEvent.click(within(kept).getByRole('button', { name: 'Resume' }));
+    expect(screen.getByLabelText('Content')).toHaveValue('Draft body');
+  });
+
+  it('clears the draft once the post is submitted', async () => {
+    const draft = saveDraft({ userId: user.id, title: 'Title', body: 'Body' });
+    renderAddPost();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Restore' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Create Post' }));
+
+    await waitFor(() => expect(screen.queryByText(/Saved drafts/)).not.toBeInTheDocument());
+    expect(getDrafts(user.id).find(entry => entry.id === draft.id)).toBeUndefined();
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * AuthProvider Component
+ * 
+ * Provides the current session to the component tree. The authentication
+ * interceptor is registered on the API service when this module loads,
+ * before any component can send a request, so every request carries the
+ * bearer token and 401s trigger a refresh or re-login.
+ * 
+ * @component
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Application content
+ * @example
+ * return (
+ *   <AuthProvider>
+ *     <App />
+ *   </AuthProvider>
+ * )
+ */
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { AuthContext } from '../hooks/useAuth';
+import { apiService, authApi } from '../services/api';
+import {
+  getSession,
+  subscribeSession,
+  startSession,
+  endSession,
+  createAuthInterceptor,
+} from '../services/auth';
+
+// Registering in an effect would run after the children's effects, whose
+// requests would then go out without a token; with no session it does nothing
+apiService.use(createAuthInterceptor());
+
+function AuthProvider({ children }) {
+  const [session, setSession] = useState(getSession);
+
+  useEffect(() => subscribeSession(setSession), []);
+
+  /**
+   * Signs in and starts a new session
+   * 
+   * @param {Object} credentials - `{ email, password }`
+   * @returns {Promise<Object>} The login response
+   */
+  const login = useCallback(async (credentials) => {
+    const response = await authApi.login(credentials);
+    startSession(response.data);
+    return response;
+  }, []);
+
+  /**
+   * Signs out locally, telling the server on a best-effort basis
+   */
+  const logout = useCallback(async () => {
+    try {
+      await authApi.logout({ retries: 0 });
+    } catch (err) {
+      console.error('Error signing out:', err);
+    } finally {
+      endSession();
+    }
+  }, []);
+
+  const value = useMemo(() => ({
+    user: session?.user || null,
+    isAuthenticated: Boolean(session?.user),
+    sessionExpired: Boolean(session?.expired),
+    login,
+    logout,
+  }), [session, login, logout]);
+
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+export default AuthProvider;
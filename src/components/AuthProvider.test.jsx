@@ -0,0 +1,33 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { useEffect } from 'react';
+import { render, waitFor } from '@testing-library/react';
+import AuthProvider from './AuthProvider';
+import { postsApi } from '../services/api';
+import { startSession, endSession } from '../services/auth';
+import { stubFetch, jsonResponse, postsPage } from '../test/helpers';
+
+// Sends a request as soon as it mounts, before any parent effect runs
+function FirstRequest() {
+  useEffect(() => {
+    postsApi.getAll({}, { staleTime: 0 });
+  }, []);
+  return null;
+}
+
+describe('AuthProvider', () => {
+  afterEach(() => endSession());
+
+  it('sends the token with the first request of its children', async () => {
+    startSession({ user: { id: 1, email: 'ada@example.com' }, token: 'first-token' });
+    const fetchMock = stubFetch(jsonResponse(postsPage([])));
+
+    render(
+      <AuthProvider>
+        <FirstRequest />
+      </AuthProvider>
+    );
+
+    await waitFor(() => expect(fetchMock).toHaveBeenCalled());
+    expect(fetchMock.mock.calls[0][1].headers.Authorization).toBe('Bearer first-token');
+  });
+});
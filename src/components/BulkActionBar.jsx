@@ -0,0 +1,112 @@
+/**
+ * BulkActionBar Component
+ * 
+ * Toolbar above the posts grid for acting on several posts at once: a
+ * "select all on page" checkbox, actions for the selected posts, progress
+ * while a bulk delete runs, and the posts that could not be deleted.
+ * 
+ * @component
+ * @param {Object} props - Component props
+ * @param {number} props.selectedCount - Number of selected posts
+ * @param {number} props.selectableCount - Number of posts on the page that can be selected
+ * @param {Function} props.onToggleAll - Receives true to select every post on the page, false to clear
+ * @param {Function} props.onDelete - Deletes the selected posts
+ * @param {Function} props.onExport - Exports the selected posts
+ * @param {Object|null} [props.progress] - `{ completed, total }` while deleting
+ * @param {Array<Object>} [props.failures=[]] - `{ post, message }` for posts that could not be deleted
+ * @param {Function} [props.onDismissFailures] - Hides the failure report
+ * @example
+ * return (
+ *   <BulkActionBar
+ *     selectedCount={2}
+ *     selectableCount={6}
+ *     onToggleAll={setAll}
+ *     onDelete={deleteSelected}
+ *     onExport={exportSelected}
+ *   />
+ * )
+ */
+
+import { useEffect, useRef } from 'react';
+import './BulkActionBar.css';
+
+function BulkActionBar({
+  selectedCount,
+  selectableCount,
+  onToggleAll,
+  onDelete,
+  onExport,
+  progress = null,
+  failures = [],
+  onDismissFailures,
+}) {
+  const selectAllRef = useRef(null);
+  const allSelected = selectableCount > 0 && selectedCount === selectableCount;
+  const someSelected = selectedCount > 0 && !allSelected;
+  const busy = Boolean(progress);
+
+  // Indeterminate can only be set from script
+  useEffect(() => {
+    if (selectAllRef.current) {
+      selectAllRef.current.indeterminate = someSelected;
+    }
+  }, [someSelected]);
+
+  return (
+    <div className="bulk-action-bar">
+      <div className="bulk-controls">
+        <label className="select-all">
+          <input
+            ref={selectAllRef}
+            type="checkbox"
+            checked={allSelected}
+            onChange={() => onToggleAll(!allSelected)}
+            disabled={busy || selectableCount === 0}
+          />
+          Select all on page
+        </label>
+
+        {selectedCount > 0 && (
+          <>
+            <span className="selected-count">{selectedCount} selected</span>
+            <button onClick={onExport} disabled={busy} className="bulk-btn">
+              Export
+            </button>
+            <button onClick={onDelete} disabled={busy} className="bulk-btn bulk-delete-btn">
+              Delete selected
+            </button>
+          </>
+        )}
+      </div>
+
+      {progress && (
+        <div className="bulk-progress" role="status">
+          <progress value={progress.completed} max={progress.total} />
+          <span>Deleting {progress.completed} of {progress.total}...</span>
+        </div>
+      )}
+
+      {failures.length > 0 && (
+        <div className="bulk-failures" role="alert">
+          <div className="bulk-failures-header">
+            <strong>
+              {failures.length} {failures.length === 1 ? 'post' : 'posts'} could not be deleted
+            </strong>
+            {onDismissFailures && (
+              <button onClick={onDismissFailures} title="Dismiss">×</button>
+            )}
+          </div>
+          <ul>
+            {failures.map(({ post, message }) => (
+              <li key={post.id}>
+                #{post.id} "{post.title}": {message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BulkActionBar;
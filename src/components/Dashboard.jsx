@@ -1,79 +1,133 @@
 /**
  * Dashboard Component
  * 
- * Main dashboard interface that provides navigation between different views
- * of the posts management system. Handles tab switching and coordinates
- * data refresh between the AddPost and PostsList components.
+ * Main dashboard interface that provides navigation between the different
+ * views of the posts management system. Each view has its own URL, so views
+ * can be bookmarked and shared and browser back/forward works:
+ * 
+ * - /posts            posts list
+ * - /posts/new        create form
+ * - /posts/import     bulk import from a CSV or JSON file
+ * - /posts/:id        post detail
+ * - /posts/:id/edit   edit form (a dialog over the list when opened from it)
  * 
  * Features:
- * - Tab-based navigation between posts list and add post form
- * - Automatic refresh of posts list when new posts are added
- * - Responsive design with clean navigation interface
+ * - URL-based navigation between posts list, post details and forms
+ * - New posts show in the list at once while they are saved
+ * - Offline queue panel for changes made without a connection
+ * - Signed-in user display with sign-out action
  * 
  * @component
  * @example
  * return (
- *   <Dashboard />
+ *   <BrowserRouter>
+ *     <Dashboard />
+ *   </BrowserRouter>
  * )
  */
 
 import { useState } from 'react';
+import { Routes, Route, Navigate, NavLink, matchPath, useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import { ROUTES } from '../utils/constants';
 import PostsList from './PostsList';
 import AddPost from './AddPost';
+import ImportPosts from './ImportPosts';
+import PostDetail from './PostDetail';
+import EditPostPage from './EditPostPage';
+import NotFound from './NotFound';
+import OfflineQueue from './OfflineQueue';
 import './Dashboard.css';
 
 function Dashboard() {
-  // State for managing active tab ('posts' or 'add')
-  const [activeTab, setActiveTab] = useState('posts');
+  const { user, logout } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
   
-  // Counter to trigger refresh of posts list when new posts are added
+  // Counter to trigger refresh of posts list after imports and replayed changes
   const [refreshPosts, setRefreshPosts] = useState(0);
 
+  // Views opened as a dialog keep the page they were opened from underneath
+  const backgroundLocation = location.state?.backgroundLocation;
+  const editMatch = backgroundLocation ? matchPath(ROUTES.EDIT_POST, location.pathname) : null;
+
+  /**
+   * Handles a submitted post
+   * 
+   * Goes back to the list, which shows the post right away and creates it
+   * there. A post the server rejects can be opened in the form again with
+   * its values and errors (`rejectedPost` in the location state).
+   */
+  const handleCreatePost = (values) => {
+    navigate(ROUTES.POSTS, { state: { newPost: values } });
+  };
+
   /**
-   * Handles successful post creation
+   * Handles replay of queued offline changes
    * 
-   * Called when a new post is successfully created. Increments the refresh
-   * counter to trigger a re-fetch of the posts list and switches back to
-   * the posts tab to show the newly created post.
+   * Refreshes the posts list so replayed creates and deletes show up.
    */
-  const handlePostAdded = () => {
+  const handleQueueReplayed = () => {
     setRefreshPosts(prev => prev + 1);
-    setActiveTab('posts');
   };
 
+  /**
+   * Handles a finished bulk import
+   * 
+   * Refreshes the posts list but stays on the import report.
+   */
+  const handlePostsImported = () => {
+    setRefreshPosts(prev => prev + 1);
+  };
+
+  const navClassName = ({ isActive }) => (isActive ? 'active' : '');
+
   return (
     <div className="dashboard">
       {/* Dashboard Header with Navigation */}
       <header className="dashboard-header">
-        <h1>Posts Dashboard</h1>
+        <div className="dashboard-title">
+          <h1>Posts Dashboard</h1>
+          <div className="dashboard-user">
+            <span>{user.name || user.email}</span>
+            <button onClick={logout}>Sign out</button>
+          </div>
+        </div>
         <nav className="dashboard-nav">
-          <button
-            className={activeTab === 'posts' ? 'active' : ''}
-            onClick={() => setActiveTab('posts')}
-          >
+          <NavLink to={ROUTES.POSTS} end className={navClassName}>
             All Posts
-          </button>
-          <button
-            className={activeTab === 'add' ? 'active' : ''}
-            onClick={() => setActiveTab('add')}
-          >
+          </NavLink>
+          <NavLink to={ROUTES.NEW_POST} className={navClassName}>
             Add Post
-          </button>
+          </NavLink>
+          <NavLink to={ROUTES.IMPORT_POSTS} className={navClassName}>
+            Import
+          </NavLink>
         </nav>
       </header>
 
       {/* Main Content Area */}
       <main className="dashboard-content">
-        {/* Conditionally render components based on active tab */}
-        {activeTab === 'posts' && (
-          <PostsList refreshTrigger={refreshPosts} />
-        )}
-        {activeTab === 'add' && (
-          <AddPost onPostAdded={handlePostAdded} />
-        )}
+        <OfflineQueue onReplayed={handleQueueReplayed} />
+
+        <Routes location={backgroundLocation || location}>
+          <Route path={ROUTES.HOME} element={<Navigate to={ROUTES.POSTS} replace />} />
+          <Route
+            path={ROUTES.POSTS}
+            element={<PostsList refreshTrigger={refreshPosts} editingId={editMatch?.params.id} />}
+          />
+          <Route
+            path={ROUTES.NEW_POST}
+            element={<AddPost key={location.key} rejectedPost={location.state?.rejectedPost} onCreate={handleCreatePost} />}
+          />
+          <Route path={ROUTES.IMPORT_POSTS} element={<ImportPosts onImported={handlePostsImported} />} />
+          <Route path={ROUTES.POST_DETAIL} element={<PostDetail />} />
+          <Route path={ROUTES.EDIT_POST} element={<EditPostPage />} />
+          <Route path="*" element={<NotFound />} />
+        </Routes>
       </main>
     </div>
   );
 }
 
-export default Dashboard;
\ No newline at end of file
+export default Dashboard;
@@ -0,0 +1,198 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import Dashboard from './Dashboard';
+import NotificationProvider from './NotificationProvider';
+import { AuthContext } from '../hooks/useAuth';
+import { installMockBackend, mockBackend, mockTransport } from '../services/mockBackend';
+import { apiService } from '../services/api';
+import { UI_MESSAGES } from '../utils/constants';
+import { jsonResponse } from '../test/helpers';
+
+const user = { id: 1, name: 'Demo User', email: 'demo@example.com' };
+
+const renderAt = (path) => render(
+  <NotificationProvider>
+    <AuthContext.Provider value={{ user, isAuthenticated: true, logout: vi.fn() }}>
+      <MemoryRouter initialEntries={[path]}>
+        <Dashboard />
+      </MemoryRouter>
+    </AuthContext.Provider>
+  </NotificationProvider>
+);
+
+describe('Dashboard routing', () => {
+  beforeEach(() => {
+    mockBackend.configure({ latency: 0, failureRate: 0, networkErrorRate: 0, storage: 'memory' });
+    mockBackend.reset();
+    installMockBackend();
+  });
+
+  it('redirects the root to the posts list', async () => {
+    renderAt('/');
+
+    expect(await screen.findByText('All Posts (24)')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'All Posts' })).toHaveClass('active');
+  });
+
+  it('opens a post detail page from the list and goes back', async () => {
+    renderAt('/posts');
+    await screen.findByText('All Posts (24)');
+
+    const card = screen.getByText('#24').closest('.post-card');
+    fireEvent.click(within(card).getByRole('link'));
+
+    expect(await screen.findByRole('link', { name: 'Edit' })).toHaveAttribute('href', '/posts/24/edit');
+    expect(document.querySelector('.post-detail-header')).toHaveTextContent('#24');
+
+    fireEvent.click(screen.getByRole('link', { name: '← All Posts' }));
+    expect(await screen.findByText('All Posts (24)')).toBeInTheDocument();
+  });
+
+  it('shows a not found state for a missing post', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    renderAt('/posts/999');
+
+    expect(await screen.findByText('Post not found')).toBeInTheDocument();
+    expect(screen.getByText(UI_MESSAGES.POST_NOT_FOUND)).toBeInTheDocument();
+  });
+
+  it('shows a not found page for unknown URLs', () => {
+    renderAt('/nowhere');
+
+    expect(screen.getByText(UI_MESSAGES.PAGE_NOT_FOUND)).toBeInTheDocument();
+  });
+
+  it('renders the create form at /posts/new', () => {
+    renderAt('/posts/new');
+
+    expect(screen.getByRole('heading', { name: 'Create New Post' })).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Add Post' })).toHaveClass('active');
+  });
+
+  describe('creating a post', () => {
+    // Holds back POST requests until the test answers them
+    const holdCreates = () => {
+      const held = [];
+      apiService.setTransport((url, init) => (init.method === 'POST'
+        ? new Promise((resolve) => held.push(resolve)).then(reply => reply(url, init))
+        : mockTransport(url, init)));
+      return held;
+    };
+
+    const submitPost = async (title) => {
+      fireEvent.change(screen.getByLabelText('Title'), { target: { value: title } });
+      fireEvent.change(screen.getByLabelText('Content'), { target: { value: 'Fresh content' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Create Post' }));
+      return screen.findByText('All Posts (25)');
+    };
+
+    it('shows the new post in the list before the server confirms it', async () => {
+      const held = holdCreates();
+      renderAt('/posts/new');
+
+      await submitPost('Fresh post');
+      const card = screen.getByText('Fresh post').closest('.post-card');
+      expect(card).toHaveClass('optimistic');
+
+      await waitFor(() => expect(held).toHaveLength(1));
+      held[0](mockTransport);
+      expect(await screen.findByText(UI_MESSAGES.SUCCESS_POST_CREATED)).toBeInTheDocument();
+      expect(screen.getByText('Fresh post').closest('.post-card')).not.toHaveClass('optimistic');
+      expect(screen.getByText('#25')).toBeInTheDocument();
+    });
+
+    it('reopens a post the server rejected in the form', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const held = holdCreates();
+      renderAt('/posts/new');
+
+      await submitPost('Duplicate');
+      await waitFor(() => expect(held).toHaveLength(1));
+      held[0](() => jsonResponse({
+        success: false,
+        data: null,
+        error: 'Validation failed',
+        details: [{ field: 'title', message: 'Title already taken' }],
+      }, 422));
+
+      const toast = (await screen.findByText(/Could not create "Duplicate"/)).closest('.toast');
+      expect(await screen.findByText('All Posts (24)')).toBeInTheDocument();
+      expect(screen.queryByText('Duplicate')).not.toBeInTheDocument();
+
+      fireEvent.click(within(toast).getByRole('button', { name: 'Edit again' }));
+      expect(await screen.findByLabelText('Title')).toHaveValue('Duplicate');
+      expect(screen.getByLabelText('Content')).toHaveValue('Fresh content');
+      expect(screen.getByText('Title already taken')).toBeInTheDocument();
+    });
+
+    it('keeps a post queued offline in the list', async () => {
+      const held = holdCreates();
+      renderAt('/posts/new');
+
+      await submitPost('Offline post');
+      await waitFor(() => expect(held).toHaveLength(1));
+      held[0](() => Promise.reject(new TypeError('Failed to fetch')));
+
+      expect(await screen.findByText(UI_MESSAGES.SUCCESS_POST_QUEUED)).toBeInTheDocument();
+      expect(screen.getByText('Offline post').closest('.post-card')).toHaveClass('optimistic');
+    });
+  });
+
+  it('edits a post in a dialog over the list without refetching', async () => {
+    renderAt('/posts');
+    await screen.findByText('All Posts (24)');
+    const transport = vi.fn(mockTransport);
+    apiService.setTransport(transport);
+
+    const card = screen.getByText('#24').closest('.post-card');
+    fireEvent.click(within(card).getByTitle('Edit post'));
+    fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'Renamed post' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Changes' }));
+
+    expect(await screen.findByText(UI_MESSAGES.SUCCESS_POST_UPDATED)).toBeInTheDocument();
+    await waitFor(() => expect(screen.queryByRole('dialog')).not.toBeInTheDocument());
+    expect(within(card).getByText('Renamed post')).toBeInTheDocument();
+    expect(transport).toHaveBeenCalledTimes(1);
+    expect(transport.mock.calls[0][1].method).toBe('PUT');
+  });
+
+  it('shows the loading state, not an error, until a post arrives', async () => {
+    renderAt('/posts/7');
+
+    expect(screen.getByText(UI_MESSAGES.LOADING)).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Try Again' })).not.toBeInTheDocument();
+    expect(await screen.findByText('#7')).toBeInTheDocument();
+  });
+
+  it('shows the loading state on the edit page until the post arrives', async () => {
+    renderAt('/posts/7/edit');
+
+    expect(screen.getByText(UI_MESSAGES.LOADING)).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Try Again' })).not.toBeInTheDocument();
+    expect(await screen.findByLabelText('Title')).toBeInTheDocument();
+  });
+
+  it('edits a post on its own page when the edit URL is opened directly', async () => {
+    renderAt('/posts/3/edit');
+
+    const title = await screen.findByLabelText('Title');
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+
+    fireEvent.change(title, { target: { value: 'Edited directly' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Changes' }));
+
+    await waitFor(() => {
+      expect(document.querySelector('.post-detail-header')).toHaveTextContent('Edited directly');
+    });
+  });
+
+  it('deletes a post from its detail page and returns to the list', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    renderAt('/posts/24');
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Delete' }));
+
+    expect(await screen.findByText('All Posts (23)')).toBeInTheDocument();
+  });
+});
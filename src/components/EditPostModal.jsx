@@ -0,0 +1,80 @@
+/**
+ * EditPostModal Component
+ * 
+ * Dialog for editing a post's title and content with the shared PostForm.
+ * Stays open while saving and shows the error if the save fails, so the
+ * user's changes are never lost; closes once `onSave` succeeds.
+ * 
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.post - Post being edited
+ * @param {Function} props.onSave - Receives (id, values) and resolves with the API response
+ * @param {Function} props.onClose - Closes the dialog
+ * @example
+ * return (
+ *   <EditPostModal post={post} onSave={updatePost} onClose={() => setEditing(null)} />
+ * )
+ */
+
+import { useState } from 'react';
+import { getApiFieldErrors, handleApiError, isApiSuccess } from '../services/api';
+import PostForm from './PostForm';
+import './EditPostModal.css';
+
+function EditPostModal({ post, onSave, onClose }) {
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const handleSubmit = async (values) => {
+    setSaving(true);
+    setError(null);
+    setFieldErrors({});
+    try {
+      const response = await onSave(post.id, values);
+      if (isApiSuccess(response)) {
+        onClose();
+      }
+    } catch (err) {
+      setError(handleApiError(err).message);
+      setFieldErrors(getApiFieldErrors(err));
+    } finally {
+      setSaving(false);
+    }
+    return false;
+  };
+
+  const handleChange = (field) => {
+    setError(null);
+    setFieldErrors(prev => (prev[field] ? { ...prev, [field]: undefined } : prev));
+  };
+
+  return (
+    <div className="modal-overlay" role="dialog" aria-modal="true" aria-labelledby="edit-post-heading">
+      <div className="modal">
+        <h2 id="edit-post-heading">Edit Post #{post.id}</h2>
+
+        {error && (
+          <div className="error-message">
+            {error}
+          </div>
+        )}
+
+        <PostForm
+          initialValues={post}
+          userId={post.user_id}
+          onSubmit={handleSubmit}
+          onCancel={onClose}
+          onChange={handleChange}
+          fieldErrors={fieldErrors}
+          loading={saving}
+          requireChanges
+          submitLabel="Save Changes"
+          idPrefix="edit-"
+        />
+      </div>
+    </div>
+  );
+}
+
+export default EditPostModal;
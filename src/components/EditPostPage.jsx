@@ -0,0 +1,112 @@
+/**
+ * EditPostPage Component
+ * 
+ * Standalone edit form at `/posts/:id/edit`, used when the edit URL is
+ * opened directly (bookmark, shared link, reload). Edits started from the
+ * posts list open in EditPostModal over the list instead. Returns to the
+ * post's detail page after saving or cancelling.
+ * 
+ * @component
+ * @example
+ * return (
+ *   <Route path="/posts/:id/edit" element={<EditPostPage />} />
+ * )
+ */
+
+import { useState } from 'react';
+import { Link, generatePath, useNavigate, useParams } from 'react-router-dom';
+import { useApiCall, usePost } from '../hooks/useApi';
+import { useNotifications } from '../hooks/useNotifications';
+import { getApiFieldErrors, isApiSuccess } from '../services/api';
+import { queuedPostsApi } from '../services/offlineQueue';
+import { UI_MESSAGES, ROUTES } from '../utils/constants';
+import PostForm from './PostForm';
+import './EditPostPage.css';
+
+function EditPostPage() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { post, error: loadError, notFound, reload } = usePost(id);
+  const { loading: saving, error, execute, clearError } = useApiCall();
+  const notifications = useNotifications();
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const detailPath = generatePath(ROUTES.POST_DETAIL, { id });
+
+  const handleSubmit = async (values) => {
+    setFieldErrors({});
+    try {
+      const response = await execute(() => queuedPostsApi.update(post.id, values));
+      if (isApiSuccess(response)) {
+        if (response.queued) {
+          notifications.info(UI_MESSAGES.SUCCESS_POST_QUEUED);
+        } else {
+          notifications.success(UI_MESSAGES.SUCCESS_POST_UPDATED);
+        }
+        navigate(detailPath, { replace: true });
+      }
+    } catch (err) {
+      setFieldErrors(getApiFieldErrors(err));
+      console.error('Error updating post:', err);
+    }
+    return false;
+  };
+
+  const handleChange = (field) => {
+    if (error) clearError();
+    setFieldErrors(prev => (prev[field] ? { ...prev, [field]: undefined } : prev));
+  };
+
+  if (notFound) {
+    return (
+      <div className="edit-post-page">
+        <Link to={ROUTES.POSTS} className="back-link">← All Posts</Link>
+        <div className="post-not-found">
+          <h2>Post not found</h2>
+          <p>{UI_MESSAGES.POST_NOT_FOUND}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (loadError) {
+    return (
+      <div className="error">
+        <p>Error: {loadError}</p>
+        <button onClick={reload}>Try Again</button>
+      </div>
+    );
+  }
+
+  // Still loading, including the first render before the request starts
+  if (!post) {
+    return <div className="loading">{UI_MESSAGES.LOADING}</div>;
+  }
+
+  return (
+    <div className="edit-post-page">
+      <Link to={detailPath} className="back-link">← Back to post</Link>
+      <h2>Edit Post #{post.id}</h2>
+
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      <PostForm
+        initialValues={post}
+        userId={post.user_id}
+        onSubmit={handleSubmit}
+        onCancel={() => navigate(detailPath)}
+        onChange={handleChange}
+        fieldErrors={fieldErrors}
+        loading={saving}
+        requireChanges
+        submitLabel="Save Changes"
+      />
+    </div>
+  );
+}
+
+export default EditPostPage;
@@ -0,0 +1,85 @@
+/**
+ * ExportControls Component
+ * 
+ * Exports the whole posts list, every page of it, as CSV or JSON. Shows
+ * how many posts have been fetched while the export runs, with a button to
+ * cancel it, and the reason if it failed.
+ * 
+ * @component
+ * @param {Object} props - Component props
+ * @param {Function} props.onExport - Receives the chosen format (a key of EXPORT_FORMATS)
+ * @param {Function} props.onCancel - Stops the export in progress
+ * @param {Object|null} [props.progress] - `{ loaded, total }` while exporting
+ * @param {string|null} [props.error] - Why the last export failed
+ * @param {Function} [props.onDismissError] - Hides the error
+ * @param {boolean} [props.disabled=false] - Whether there is nothing to export
+ * @example
+ * return (
+ *   <ExportControls
+ *     onExport={(format) => exportAll(params, format)}
+ *     onCancel={cancel}
+ *     progress={progress}
+ *   />
+ * )
+ */
+
+import { useState } from 'react';
+import { EXPORT_CONFIG } from '../utils/constants';
+import { EXPORT_FORMATS } from '../utils/exportPosts';
+import './ExportControls.css';
+
+function ExportControls({
+  onExport,
+  onCancel,
+  progress = null,
+  error = null,
+  onDismissError,
+  disabled = false,
+}) {
+  const [format, setFormat] = useState(EXPORT_CONFIG.DEFAULT_FORMAT);
+
+  return (
+    <div className="export-controls">
+      <div className="export-actions">
+        <label>
+          Export as
+          <select value={format} onChange={(e) => setFormat(e.target.value)} disabled={Boolean(progress)}>
+            {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          className="export-btn"
+          onClick={() => onExport(format)}
+          disabled={disabled || Boolean(progress)}
+        >
+          Export all
+        </button>
+      </div>
+
+      {progress && (
+        <div className="export-progress" role="status">
+          <progress value={progress.loaded} max={progress.total || undefined} />
+          <span>
+            {progress.total === null
+              ? 'Preparing export...'
+              : `Exporting ${progress.loaded} of ${progress.total} posts...`}
+          </span>
+          <button className="export-btn" onClick={onCancel}>Cancel</button>
+        </div>
+      )}
+
+      {error && (
+        <div className="export-error" role="alert">
+          <span>Export failed: {error}</span>
+          {onDismissError && (
+            <button onClick={onDismissError} title="Dismiss">×</button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportControls;
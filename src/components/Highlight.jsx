@@ -0,0 +1,27 @@
+/**
+ * Highlight Component
+ *
+ * Renders plain text with every match of a search term marked.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.text - Text to render
+ * @param {string} [props.term] - Search term to mark; nothing is marked when empty
+ * @example
+ * return (
+ *   <h3><Highlight text={post.title} term={searchTerm} /></h3>
+ * )
+ */
+
+import { splitMatches, MATCH_CLASS } from '../utils/highlight';
+import './Highlight.css';
+
+function Highlight({ text, term }) {
+  return splitMatches(text, term).map((segment, index) => (
+    segment.match
+      ? <mark key={index} className={MATCH_CLASS}>{segment.text}</mark>
+      : segment.text
+  ));
+}
+
+export default Highlight;
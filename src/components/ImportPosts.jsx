@@ -0,0 +1,250 @@
+/**
+ * ImportPosts Component
+ *
+ * Creates many posts at once from a CSV or JSON file, all authored by the
+ * signed-in user. The file is checked row by row with the post form's
+ * rules and shown as a preview; rows with errors are skipped. The valid
+ * rows are then created a few at a time, and the final report lists what
+ * happened to every row. Rows that were not created can be downloaded,
+ * with the reason, to fix and import again.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Function} [props.onImported] - Called with the number of posts created
+ * @example
+ * return (
+ *   <ImportPosts onImported={() => setRefreshPosts(prev => prev + 1)} />
+ * )
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { postsApi, getApiError, getErrorMessage, isAbortError, isApiSuccess } from '../services/api';
+import { BULK_ACTIONS, IMPORT_CONFIG, UI_MESSAGES } from '../utils/constants';
+import { runWithConcurrency } from '../utils/concurrency';
+import { downloadFile } from '../utils/exportPosts';
+import { detectFormat, failedRowsToFile, parseImportFile, prepareImportRows } from '../utils/importPosts';
+import './ImportPosts.css';
+
+// Labels for report statuses
+const STATUS_LABELS = {
+  ready: 'Ready',
+  created: 'Created',
+  skipped: 'Skipped',
+  failed: 'Failed',
+};
+
+// MIME types of the downloadable failed rows
+const FILE_TYPES = {
+  csv: 'text/csv;charset=utf-8',
+  json: 'application/json',
+};
+
+/**
+ * Counts report rows by status
+ *
+ * @param {Array<Object>} rows - Rows with a `status`
+ * @returns {Object} Counts keyed by status
+ */
+const countByStatus = (rows) => rows.reduce(
+  (counts, { status }) => ({ ...counts, [status]: (counts[status] || 0) + 1 }),
+  { ready: 0, created: 0, skipped: 0, failed: 0 }
+);
+
+/**
+ * Works out a row's report status from its create request
+ *
+ * @param {Object} result - Settled result from runWithConcurrency
+ * @param {AbortSignal} signal - Signal the import was run with
+ * @returns {Object} `{ status, message }` for the row
+ */
+const describeResult = ({ status, value, reason }, signal) => {
+  if (status === 'rejected') {
+    // Rows never started are rejected with the signal's own reason rather than an ApiError
+    const cancelled = isAbortError(reason) || (signal.aborted && reason === signal.reason);
+    return { status: 'failed', message: cancelled ? 'Import cancelled' : getErrorMessage(reason) };
+  }
+  if (!isApiSuccess(value)) {
+    return { status: 'failed', message: getApiError(value) || UI_MESSAGES.ERROR_SERVER };
+  }
+  return { status: 'created', message: `Created as #${value.data.id}` };
+};
+
+function ImportPosts({ onImported }) {
+  const { user } = useAuth();
+  // { name, format, rows } of the chosen file; rows carry a status once imported
+  const [file, setFile] = useState(null);
+  const [fileError, setFileError] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [imported, setImported] = useState(false);
+  const [inputKey, setInputKey] = useState(0);
+  const controllerRef = useRef(null);
+
+  // Stop starting new posts when leaving the page
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const handleFileChange = async (e) => {
+    const chosen = e.target.files[0];
+    setFile(null);
+    setFileError(null);
+    setImported(false);
+    if (!chosen) return;
+
+    try {
+      const text = await chosen.text();
+      const format = detectFormat(chosen.name, text);
+      const rows = prepareImportRows(parseImportFile(text, format), user.id).map(row => ({
+        ...row,
+        status: row.errors.length > 0 ? 'skipped' : 'ready',
+        message: row.errors.join('. '),
+      }));
+      setFile({ name: chosen.name, format, rows });
+    } catch (err) {
+      setFileError(err.message);
+    }
+  };
+
+  const handleImport = async () => {
+    const valid = file.rows.filter(row => row.status === 'ready');
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setProgress({ completed: 0, total: valid.length });
+
+    const results = await runWithConcurrency(
+      valid,
+      (row) => postsApi.create(row.data, { signal: controller.signal }),
+      {
+        concurrency: BULK_ACTIONS.CONCURRENCY,
+        signal: controller.signal,
+        onProgress: (completed, total) => setProgress({ completed, total }),
+      }
+    );
+    controllerRef.current = null;
+
+    const outcomes = new Map(results.map(result => [result.item.row, describeResult(result, controller.signal)]));
+    setFile(prev => ({
+      ...prev,
+      rows: prev.rows.map(row => ({ ...row, ...outcomes.get(row.row) })),
+    }));
+    setProgress(null);
+    setImported(true);
+
+    const created = [...outcomes.values()].filter(outcome => outcome.status === 'created').length;
+    if (created > 0 && onImported) {
+      onImported(created);
+    }
+  };
+
+  const handleCancel = () => {
+    controllerRef.current?.abort();
+  };
+
+  const handleDownloadFailed = () => {
+    const notCreated = file.rows.filter(row => row.status !== 'created');
+    const name = file.name.replace(/\.[^.]*$/, '');
+    downloadFile(`${name}-not-imported.${file.format}`, failedRowsToFile(notCreated, file.format), FILE_TYPES[file.format]);
+  };
+
+  const handleReset = () => {
+    setFile(null);
+    setFileError(null);
+    setImported(false);
+    // Remounting clears the chosen file, so the same one can be picked again
+    setInputKey(prev => prev + 1);
+  };
+
+  const counts = file ? countByStatus(file.rows) : null;
+  const busy = Boolean(progress);
+
+  return (
+    <div className="import-posts">
+      <h2>Import Posts</h2>
+      <p className="import-help">
+        Choose a CSV file with <code>title</code> and <code>body</code> columns,
+        or a JSON array of posts with those fields, to create up to {IMPORT_CONFIG.MAX_ROWS} posts at once.
+      </p>
+      <p className="import-author">
+        Posting as <strong>{user.name || user.email}</strong>
+      </p>
+
+      <label className="import-file">
+        File
+        <input
+          key={inputKey}
+          type="file"
+          accept={IMPORT_CONFIG.ACCEPT}
+          onChange={handleFileChange}
+          disabled={busy}
+        />
+      </label>
+
+      {fileError && (
+        <div className="error-message" role="alert">
+          Could not read the file: {fileError}
+        </div>
+      )}
+
+      {file && (
+        <>
+          <div className="import-summary" role="status">
+            {imported
+              ? `Created ${counts.created}, skipped ${counts.skipped}, failed ${counts.failed}.`
+              : `${counts.ready} of ${file.rows.length} rows ready to import, ${counts.skipped} with errors.`}
+          </div>
+
+          <div className="import-actions">
+            {!imported && (
+              <button
+                className="import-btn primary"
+                onClick={handleImport}
+                disabled={busy || counts.ready === 0}
+              >
+                Import {counts.ready} {counts.ready === 1 ? 'post' : 'posts'}
+              </button>
+            )}
+            {imported && counts.created < file.rows.length && (
+              <button className="import-btn" onClick={handleDownloadFailed}>
+                Download rows not imported
+              </button>
+            )}
+            <button className="import-btn" onClick={handleReset} disabled={busy}>
+              {imported ? 'Import another file' : 'Choose another file'}
+            </button>
+          </div>
+
+          {progress && (
+            <div className="import-progress">
+              <progress value={progress.completed} max={progress.total} />
+              <span>Creating {progress.completed} of {progress.total}...</span>
+              <button className="import-btn" onClick={handleCancel}>Cancel</button>
+            </div>
+          )}
+
+          <table className="import-table">
+            <thead>
+              <tr>
+                <th scope="col">Row</th>
+                <th scope="col">Title</th>
+                <th scope="col">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {file.rows.map(({ row, record, data, status, message }) => (
+                <tr key={row} className={`import-row ${status}`}>
+                  <td>{row}</td>
+                  <td>{data.title || String(record.title ?? '')}</td>
+                  <td>
+                    <strong>{STATUS_LABELS[status]}</strong>
+                    {message && <span className="import-message">{message}</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ImportPosts;
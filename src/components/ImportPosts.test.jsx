@@ -0,0 +1,132 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import ImportPosts from './ImportPosts';
+import { AuthContext } from '../hooks/useAuth';
+import { installMockBackend, mockBackend } from '../services/mockBackend';
+import { apiService, postsApi } from '../services/api';
+import { jsonResponse, fail } from '../test/helpers';
+
+const user = { id: 7, name: 'Ada', email: 'ada@example.com' };
+
+const renderImportPosts = (props = {}) => render(
+  <AuthContext.Provider value={{ user, isAuthenticated: true }}>
+    <ImportPosts {...props} />
+  </AuthContext.Provider>
+);
+
+const csvFile = (content, name = 'posts.csv') => new File([content], name, { type: 'text/csv' });
+
+const chooseFile = (file) => {
+  fireEvent.change(screen.getByLabelText('File'), { target: { files: [file] } });
+};
+
+const rowStatus = (row) => within(screen.getAllByRole('row')[row]).getAllByRole('cell')[2];
+
+describe('ImportPosts', () => {
+  beforeEach(() => {
+    mockBackend.configure({ latency: 0, failureRate: 0, networkErrorRate: 0, storage: 'memory' });
+    mockBackend.reset();
+    installMockBackend();
+  });
+
+  it('previews the rows with their errors', async () => {
+    renderImportPosts();
+
+    chooseFile(csvFile('title,body,user_id\nFirst,Body one,1\n,Body two,2\n'));
+
+    expect(await screen.findByText('1 of 2 rows ready to import, 1 with errors.')).toBeInTheDocument();
+    expect(rowStatus(1)).toHaveTextContent('Ready');
+    expect(rowStatus(2)).toHaveTextContent('SkippedTitle is required');
+    expect(screen.getByRole('button', { name: 'Import 1 post' })).toBeEnabled();
+  });
+
+  it('explains a file that cannot be read', async () => {
+    renderImportPosts();
+
+    chooseFile(csvFile('title;body;user_id\n', 'posts.csv'));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('The CSV header must include title, body');
+    expect(screen.queryByRole('table')).not.toBeInTheDocument();
+  });
+
+  it('creates the valid rows as the signed-in user and reports every row', async () => {
+    const onImported = vi.fn();
+    const create = vi.spyOn(postsApi, 'create');
+    renderImportPosts({ onImported });
+    chooseFile(new File([JSON.stringify([
+      { title: 'Imported one', body: 'Body', user_id: 1 },
+      { title: 'Imported two', body: 'Body', user_id: 2 },
+      { title: 'No body', body: '' },
+    ])], 'posts.json', { type: 'application/json' }));
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Import 2 posts' }));
+
+    expect(await screen.findByText('Created 2, skipped 1, failed 0.')).toBeInTheDocument();
+    expect(create).toHaveBeenCalledTimes(2);
+    expect(rowStatus(1)).toHaveTextContent(/Created as #\d+/);
+    expect(rowStatus(3)).toHaveTextContent('Skipped');
+    expect(onImported).toHaveBeenCalledWith(2);
+    const { data } = await postsApi.getAll({ search: 'Imported' });
+    expect(data.posts.map(post => post.title).sort()).toEqual(['Imported one', 'Imported two']);
+    expect(data.posts.every(post => post.user_id === user.id)).toBe(true);
+  });
+
+  it('reports posts the server rejected and offers them for download', async () => {
+    const blobs = [];
+    URL.createObjectURL = vi.fn((blob) => {
+      blobs.push(blob);
+      return 'blob:import';
+    });
+    URL.revokeObjectURL = vi.fn();
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    vi.spyOn(postsApi, 'create').mockImplementation(async (post) => {
+      if (post.title === 'Rejected') throw new Error('Server said no');
+      return { success: true, data: { id: 99, ...post } };
+    });
+    renderImportPosts();
+    chooseFile(csvFile('title,body,user_id\nAccepted,Body,1\nRejected,Body,1\n,Body,1\n'));
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Import 2 posts' }));
+
+    expect(await screen.findByText('Created 1, skipped 1, failed 1.')).toBeInTheDocument();
+    expect(rowStatus(2)).toHaveTextContent('FailedServer said no');
+    fireEvent.click(screen.getByRole('button', { name: 'Download rows not imported' }));
+
+    expect((await blobs[0].text()).split('\r\n')).toEqual([
+      'title,body,error',
+      'Rejected,Body,Server said no',
+      ',Body,Title is required',
+    ]);
+    await waitFor(() => expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:import'));
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  it('reports rows the server answered with success: false', async () => {
+    const onImported = vi.fn();
+    apiService.setTransport(() => Promise.resolve(jsonResponse(fail('Posting is paused'))));
+    renderImportPosts({ onImported });
+    chooseFile(csvFile('title,body,user_id\nPaused,Body,1\n'));
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Import 1 post' }));
+
+    expect(await screen.findByText('Created 0, skipped 0, failed 1.')).toBeInTheDocument();
+    expect(rowStatus(1)).toHaveTextContent('FailedPosting is paused');
+    expect(onImported).not.toHaveBeenCalled();
+  });
+
+  it('reports every row not created as cancelled', async () => {
+    mockBackend.configure({ latency: 5000 });
+    renderImportPosts();
+    chooseFile(csvFile('title,body,user_id\nOne,Body,1\nTwo,Body,1\nThree,Body,1\nFour,Body,1\nFive,Body,1\n'));
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Import 5 posts' }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Cancel' }));
+
+    expect(await screen.findByText('Created 0, skipped 0, failed 5.')).toBeInTheDocument();
+    // Rows 1-3 were in flight, rows 4-5 had not started
+    for (const row of [1, 2, 3, 4, 5]) {
+      expect(rowStatus(row)).toHaveTextContent('FailedImport cancelled');
+    }
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * ListControls Component
+ *
+ * Sort, filter and view controls for the posts list. Sorting applies as
+ * soon as it is changed; filters are edited in a collapsible panel and
+ * applied together. Sort and filter values come from and go back to the
+ * list URL parameters (see useListParams), the page size and browsing mode
+ * to the saved preferences (see useListPreferences).
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.params - Current list parameters
+ * @param {Function} props.onChange - Called with the parameters to update
+ * @param {Object} props.preferences - Current `{ mode, pageSize }`
+ * @param {Function} props.onPreferencesChange - Called with the preferences to update
+ * @example
+ * return (
+ *   <ListControls
+ *     params={listParams}
+ *     onChange={(updates) => setListParams({ ...updates, page: 1 })}
+ *     preferences={{ mode, pageSize }}
+ *     onPreferencesChange={setPreferences}
+ *   />
+ * )
+ */
+
+import { useState } from 'react';
+import { LIST_FILTERS } from '../hooks/useListParams';
+import { LIST_VIEW, PAGINATION, SORTING } from '../utils/constants';
+import './ListControls.css';
+
+// Labels for SORTING.FIELDS
+const SORT_LABELS = {
+  created_at: 'Date created',
+  updated_at: 'Last updated',
+  title: 'Title',
+};
+
+// Direction labels that read naturally for each kind of field
+const ORDER_LABELS = {
+  created_at: { desc: 'Newest first', asc: 'Oldest first' },
+  updated_at: { desc: 'Newest first', asc: 'Oldest first' },
+  title: { asc: 'A to Z', desc: 'Z to A' },
+};
+
+const EMPTY_FILTERS = Object.fromEntries(LIST_FILTERS.map(name => [name, '']));
+
+/**
+ * Filter form, remounted whenever the applied filters change so its
+ * fields always start from the URL
+ */
+function FilterForm({ params, onApply }) {
+  const [values, setValues] = useState(() => Object.fromEntries(
+    LIST_FILTERS.map(name => [name, String(params[name])])
+  ));
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setValues(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onApply(values);
+  };
+
+  return (
+    <form className="filters-form" onSubmit={handleSubmit}>
+      <label>
+        Author ID
+        <input type="number" name="user_id" min="1" value={values.user_id} onChange={handleChange} />
+      </label>
+      <fieldset>
+        <legend>Post ID</legend>
+        <input type="number" name="id_min" min="1" aria-label="Post ID from" placeholder="From" value={values.id_min} onChange={handleChange} />
+        <input type="number" name="id_max" min="1" aria-label="Post ID to" placeholder="To" value={values.id_max} onChange={handleChange} />
+      </fieldset>
+      <fieldset>
+        <legend>Created</legend>
+        <input type="date" name="date_from" aria-label="Created from" value={values.date_from} onChange={handleChange} />
+        <input type="date" name="date_to" aria-label="Created to" value={values.date_to} onChange={handleChange} />
+      </fieldset>
+      <div className="filters-actions">
+        <button type="submit" className="apply-filters-btn">Apply filters</button>
+        <button type="button" onClick={() => onApply(EMPTY_FILTERS)}>Reset</button>
+      </div>
+    </form>
+  );
+}
+
+function ListControls({ params, onChange, preferences, onPreferencesChange }) {
+  const activeFilters = LIST_FILTERS.filter(name => params[name] !== '').length;
+  const filtersKey = LIST_FILTERS.map(name => params[name]).join('|');
+  const orderLabels = ORDER_LABELS[params.sort];
+
+  // Keep a saved size that is not on the list selectable
+  const pageSizes = [...new Set([...LIST_VIEW.PAGE_SIZES, preferences.pageSize])]
+    .filter(size => size <= PAGINATION.MAX_LIMIT)
+    .sort((a, b) => a - b);
+
+  return (
+    <div className="list-controls">
+      <div className="sort-controls">
+        <label>
+          Sort by
+          <select value={params.sort} onChange={(e) => onChange({ sort: e.target.value })}>
+            {SORTING.FIELDS.map(field => (
+              <option key={field} value={field}>{SORT_LABELS[field]}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Order
+          <select value={params.order} onChange={(e) => onChange({ order: e.target.value })}>
+            {SORTING.ORDERS.map(order => (
+              <option key={order} value={order}>{orderLabels[order]}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Per page
+          <select
+            value={preferences.pageSize}
+            onChange={(e) => onPreferencesChange({ pageSize: Number(e.target.value) })}
+          >
+            {pageSizes.map(size => (
+              <option key={size} value={size}>{size}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Browse
+          <select value={preferences.mode} onChange={(e) => onPreferencesChange({ mode: e.target.value })}>
+            <option value={LIST_VIEW.MODES.PAGES}>Page by page</option>
+            <option value={LIST_VIEW.MODES.SCROLL}>Infinite scroll</option>
+          </select>
+        </label>
+      </div>
+
+      <details className="filters-panel">
+        <summary>
+          Filters{activeFilters > 0 && ` (${activeFilters})`}
+        </summary>
+        <FilterForm key={filtersKey} params={params} onApply={onChange} />
+      </details>
+    </div>
+  );
+}
+
+export default ListControls;
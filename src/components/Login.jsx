@@ -0,0 +1,105 @@
+/**
+ * Login Component
+ * 
+ * Sign-in form shown when no user is signed in. With `expired` set it is
+ * rendered as a dialog over the current view instead, so requests waiting
+ * on the expired session resume once the user signs in again.
+ * 
+ * @component
+ * @param {Object} props - Component props
+ * @param {boolean} [props.expired=false] - Render as a re-login dialog
+ * @example
+ * return (
+ *   <Login />
+ * )
+ */
+
+import { useState } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { useApiCall } from '../hooks/useApi';
+import { UI_MESSAGES } from '../utils/constants';
+import './Login.css';
+
+function Login({ expired = false }) {
+  const { user, login } = useAuth();
+  const [form, setForm] = useState({ email: user?.email || '', password: '' });
+  const { loading, error, execute, clearError } = useApiCall();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await execute(() => login(form));
+    } catch (err) {
+      console.error('Error signing in:', err);
+    }
+  };
+
+  const handleInputChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    if (error) clearError();
+  };
+
+  const content = (
+    <div className="login">
+      <h2>{expired ? 'Sign in again' : 'Sign in'}</h2>
+
+      {expired && (
+        <div className="info-message">{UI_MESSAGES.SESSION_EXPIRED}</div>
+      )}
+
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="login-form">
+        <div className="form-group">
+          <label htmlFor="login-email">Email</label>
+          <input
+            id="login-email"
+            type="email"
+            autoComplete="username"
+            value={form.email}
+            onChange={(e) => handleInputChange('email', e.target.value)}
+            required
+            disabled={loading}
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="login-password">Password</label>
+          <input
+            id="login-password"
+            type="password"
+            autoComplete="current-password"
+            value={form.password}
+            onChange={(e) => handleInputChange('password', e.target.value)}
+            required
+            disabled={loading}
+          />
+        </div>
+
+        <button
+          type="submit"
+          className="submit-btn"
+          disabled={loading || !form.email.trim() || !form.password}
+        >
+          {loading ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+
+  if (!expired) {
+    return content;
+  }
+
+  return (
+    <div className="login-overlay" role="dialog" aria-modal="true">
+      {content}
+    </div>
+  );
+}
+
+export default Login;
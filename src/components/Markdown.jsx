@@ -0,0 +1,36 @@
+/**
+ * Markdown Component
+ * 
+ * Renders a Markdown post body as formatted, sanitized HTML. See
+ * utils/markdown.js for what is allowed through.
+ * 
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.source - Markdown text
+ * @param {string} [props.className] - Extra class names for the wrapper
+ * @param {string} [props.highlight] - Search term to mark in the rendered text
+ * @example
+ * return (
+ *   <Markdown source={post.body} className="post-detail-body" />
+ * )
+ */
+
+import { useMemo } from 'react';
+import { renderMarkdown } from '../utils/markdown';
+import { highlightHtml } from '../utils/highlight';
+import './Markdown.css';
+import './Highlight.css';
+
+function Markdown({ source, className = '', highlight }) {
+  const html = useMemo(() => highlightHtml(renderMarkdown(source), highlight), [source, highlight]);
+
+  return (
+    <div
+      className={`markdown-body ${className}`.trim()}
+      // Sanitized by renderMarkdown
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+}
+
+export default Markdown;
@@ -0,0 +1,27 @@
+/**
+ * NotFound Component
+ * 
+ * Fallback page for URLs that do not match any route.
+ * 
+ * @component
+ * @example
+ * return (
+ *   <Route path="*" element={<NotFound />} />
+ * )
+ */
+
+import { Link } from 'react-router-dom';
+import { UI_MESSAGES, ROUTES } from '../utils/constants';
+
+function NotFound() {
+  return (
+    <div className="post-not-found">
+      <h2>{UI_MESSAGES.PAGE_NOT_FOUND}</h2>
+      <p>
+        <Link to={ROUTES.POSTS}>Go to all posts</Link>
+      </p>
+    </div>
+  );
+}
+
+export default NotFound;
@@ -0,0 +1,109 @@
+/**
+ * NotificationProvider Component
+ *
+ * Provides app-wide toasts through useNotifications and renders them as a
+ * stack in the corner of the screen, newest at the bottom. Toasts expire
+ * on their own (errors a little later than other messages), can be
+ * dismissed, and may carry action buttons such as "Try again". Publishing
+ * the same message again restarts its toast instead of stacking a copy.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Application content
+ * @example
+ * return (
+ *   <NotificationProvider>
+ *     <App />
+ *   </NotificationProvider>
+ * )
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { NotificationsContext } from '../hooks/useNotifications';
+import { NOTIFICATIONS } from '../utils/constants';
+import './NotificationProvider.css';
+
+function NotificationProvider({ children }) {
+  const [toasts, setToasts] = useState([]);
+
+  // Expiry timers by toast ID; the latest toasts, so publishing twice in
+  // a row sees the first one
+  const timersRef = useRef(new Map());
+  const toastsRef = useRef(toasts);
+  const nextIdRef = useRef(0);
+
+  const showToasts = useCallback((next) => {
+    toastsRef.current = next;
+    setToasts(next);
+  }, []);
+
+  useEffect(() => {
+    const timers = timersRef.current;
+    return () => {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+    };
+  }, []);
+
+  const dismiss = useCallback((id) => {
+    clearTimeout(timersRef.current.get(id));
+    timersRef.current.delete(id);
+    showToasts(toastsRef.current.filter(toast => toast.id !== id));
+  }, [showToasts]);
+
+  const notify = useCallback((message, { type = 'info', duration, actions = [], id } = {}) => {
+    const duplicate = toastsRef.current.find(toast => toast.type === type && toast.message === message);
+    const toastId = id ?? duplicate?.id ?? `toast-${++nextIdRef.current}`;
+    const lifetime = duration ?? (type === 'error' ? NOTIFICATIONS.ERROR_DURATION : NOTIFICATIONS.DURATION);
+
+    clearTimeout(timersRef.current.get(toastId));
+    timersRef.current.delete(toastId);
+    if (lifetime > 0) {
+      timersRef.current.set(toastId, setTimeout(() => dismiss(toastId), lifetime));
+    }
+
+    const next = [...toastsRef.current.filter(toast => toast.id !== toastId), { id: toastId, type, message, actions }];
+    next.slice(0, -NOTIFICATIONS.MAX_VISIBLE).forEach((dropped) => {
+      clearTimeout(timersRef.current.get(dropped.id));
+      timersRef.current.delete(dropped.id);
+    });
+    showToasts(next.slice(-NOTIFICATIONS.MAX_VISIBLE));
+    return toastId;
+  }, [dismiss, showToasts]);
+
+  const value = useMemo(() => ({
+    notify,
+    success: (message, options) => notify(message, { ...options, type: 'success' }),
+    info: (message, options) => notify(message, { ...options, type: 'info' }),
+    error: (message, options) => notify(message, { ...options, type: 'error' }),
+    dismiss,
+  }), [notify, dismiss]);
+
+  const handleAction = (toast, action) => {
+    dismiss(toast.id);
+    action.onClick();
+  };
+
+  return (
+    <NotificationsContext.Provider value={value}>
+      {children}
+      <div className="toast-stack" aria-live="polite">
+        {toasts.map(toast => (
+          <div key={toast.id} className={`toast ${toast.type}`} role={toast.type === 'error' ? 'alert' : 'status'}>
+            <span className="toast-message">{toast.message}</span>
+            {toast.actions.map(action => (
+              <button key={action.label} className="toast-action" onClick={() => handleAction(toast, action)}>
+                {action.label}
+              </button>
+            ))}
+            <button className="toast-close" onClick={() => dismiss(toast.id)} aria-label="Dismiss notification">
+              ×
+            </button>
+          </div>
+        ))}
+      </div>
+    </NotificationsContext.Provider>
+  );
+}
+
+export default NotificationProvider;
@@ -0,0 +1,110 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import NotificationProvider from './NotificationProvider';
+import { useNotifications } from '../hooks/useNotifications';
+import { NOTIFICATIONS } from '../utils/constants';
+
+let notifications;
+function Publisher() {
+  notifications = useNotifications();
+  return null;
+}
+
+const renderProvider = () => render(
+  <NotificationProvider>
+    <Publisher />
+  </NotificationProvider>
+);
+
+const toastTexts = () => [...document.querySelectorAll('.toast-message')].map(el => el.textContent);
+
+describe('NotificationProvider', () => {
+  it('stacks toasts and dismisses them one by one', () => {
+    renderProvider();
+
+    act(() => {
+      notifications.success('Saved');
+      notifications.error('Could not save');
+    });
+
+    expect(toastTexts()).toEqual(['Saved', 'Could not save']);
+    expect(screen.getByRole('alert')).toHaveTextContent('Could not save');
+
+    fireEvent.click(screen.getAllByRole('button', { name: 'Dismiss notification' })[0]);
+    expect(toastTexts()).toEqual(['Could not save']);
+  });
+
+  it('expires toasts, errors later than other messages', () => {
+    vi.useFakeTimers();
+    renderProvider();
+    act(() => {
+      notifications.info('Heads up');
+      notifications.error('Broken');
+    });
+
+    act(() => vi.advanceTimersByTime(NOTIFICATIONS.DURATION));
+    expect(toastTexts()).toEqual(['Broken']);
+
+    act(() => vi.advanceTimersByTime(NOTIFICATIONS.ERROR_DURATION - NOTIFICATIONS.DURATION));
+    expect(toastTexts()).toEqual([]);
+  });
+
+  it('keeps toasts without a duration until dismissed', () => {
+    vi.useFakeTimers();
+    renderProvider();
+    act(() => {
+      notifications.info('Sticky', { duration: 0 });
+    });
+
+    act(() => vi.advanceTimersByTime(NOTIFICATIONS.ERROR_DURATION * 2));
+    expect(toastTexts()).toEqual(['Sticky']);
+  });
+
+  it('runs an action and closes its toast', () => {
+    const retry = vi.fn();
+    renderProvider();
+    act(() => {
+      notifications.error('Offline', { actions: [{ label: 'Try again', onClick: retry }] });
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Try again' }));
+
+    expect(retry).toHaveBeenCalledOnce();
+    expect(toastTexts()).toEqual([]);
+  });
+
+  it('replaces and dismisses a toast by its ID', () => {
+    const undo = vi.fn();
+    renderProvider();
+    let id;
+    act(() => {
+      id = notifications.info('Deleted "First"', { id: 'undo-1', duration: 0, actions: [{ label: 'Undo', onClick: undo }] });
+      notifications.info('Deleted "Second"', { id: 'undo-2', duration: 0, actions: [{ label: 'Undo', onClick: undo }] });
+      notifications.info('Deleted "First" again', { id: 'undo-1', duration: 0 });
+    });
+
+    expect(id).toBe('undo-1');
+    expect(toastTexts()).toEqual(['Deleted "Second"', 'Deleted "First" again']);
+    expect(screen.getAllByRole('button', { name: 'Undo' })).toHaveLength(1);
+
+    act(() => notifications.dismiss('undo-2'));
+    expect(toastTexts()).toEqual(['Deleted "First" again']);
+    expect(undo).not.toHaveBeenCalled();
+  });
+
+  it('restarts a repeated message instead of stacking a copy, and drops the oldest beyond the limit', () => {
+    renderProvider();
+
+    act(() => {
+      notifications.error('Same');
+      notifications.error('Same');
+    });
+    expect(toastTexts()).toEqual(['Same']);
+
+    act(() => {
+      for (let n = 1; n <= NOTIFICATIONS.MAX_VISIBLE; n++) notifications.info(`Message ${n}`);
+    });
+    expect(toastTexts()).toHaveLength(NOTIFICATIONS.MAX_VISIBLE);
+    expect(toastTexts()).not.toContain('Same');
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * OfflineQueue Component
+ * 
+ * Shows post mutations that were made while offline and are waiting to be
+ * sent, along with any the server rejected during replay. Each item can be
+ * retried or discarded. Renders nothing when the queue is empty and the
+ * browser is online.
+ * 
+ * @component
+ * @param {Object} props - Component props
+ * @param {Function} [props.onReplayed] - Called after queued items were sent successfully
+ * @example
+ * return (
+ *   <OfflineQueue onReplayed={() => refreshPosts()} />
+ * )
+ */
+
+import { useOfflineQueue } from '../hooks/useApi';
+import { OFFLINE_QUEUE } from '../utils/constants';
+import './OfflineQueue.css';
+
+const { STATUS } = OFFLINE_QUEUE;
+
+// Human-readable labels for each queue status
+const STATUS_LABELS = {
+  [STATUS.PENDING]: 'Pending',
+  [STATUS.FAILED]: 'Failed',
+  [STATUS.CONFLICT]: 'Conflict',
+};
+
+/**
+ * Describes a queued mutation in a single line
+ * 
+ * @param {Object} item - Queue item
+ * @returns {string} Description such as 'Delete post #12'
+ */
+const describeItem = (item) => {
+  switch (item.type) {
+    case 'create':
+      return `Create "${item.postData?.title}"`;
+    case 'update':
+      return `Update post #${item.postId}`;
+    case 'delete':
+      return `Delete post #${item.postId}`;
+    default:
+      return item.type;
+  }
+};
+
+function OfflineQueue({ onReplayed }) {
+  const { queue, isOnline, replaying, replay, retry, discard } = useOfflineQueue({ onReplayed });
+
+  if (isOnline && queue.length === 0) {
+    return null;
+  }
+
+  const hasPending = queue.some(item => item.status === STATUS.PENDING);
+
+  return (
+    <section className="offline-queue">
+      <div className="offline-queue-header">
+        <strong>{isOnline ? 'Unsent changes' : 'You are offline'}</strong>
+        <span className="offline-queue-count">{queue.length} queued</span>
+        {isOnline && hasPending && (
+          <button onClick={replay} disabled={replaying} className="offline-queue-btn">
+            {replaying ? 'Sending...' : 'Send now'}
+          </button>
+        )}
+      </div>
+
+      {queue.length > 0 && (
+        <ul className="offline-queue-list">
+          {queue.map(item => (
+            <li key={item.id} className="offline-queue-item">
+              <span className={`queue-status queue-status-${item.status}`}>
+                {STATUS_LABELS[item.status]}
+              </span>
+              <span className="queue-description">
+                {describeItem(item)}
+                {item.error && <span className="queue-error"> — {item.error}</span>}
+              </span>
+              {item.status !== STATUS.PENDING && (
+                <button
+                  onClick={() => retry(item.id)}
+                  disabled={replaying || !isOnline}
+                  className="offline-queue-btn"
+                >
+                  Retry
+                </button>
+              )}
+              <button
+                onClick={() => discard(item.id)}
+                disabled={replaying}
+                className="offline-queue-btn"
+              >
+                Discard
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default OfflineQueue;
@@ -0,0 +1,46 @@
+/**
+ * PostBody Component
+ *
+ * Card body for the posts list: formatted Markdown when the body is short,
+ * a plain-text excerpt with a "Read more" link otherwise. Memoized so a list
+ * render only re-parses the cards whose body or search term changed.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {number|string} props.id - Post id, used for the "Read more" link
+ * @param {string} props.body - Post body (Markdown)
+ * @param {string} [props.searchTerm] - Search term to mark
+ * @param {boolean} [props.linkable=true] - Whether to link to the post; false while it is unsaved
+ * @example
+ * return (
+ *   <PostBody id={post.id} body={post.body} searchTerm={searchTerm} />
+ * )
+ */
+
+import { memo, useMemo } from 'react';
+import { Link, generatePath } from 'react-router-dom';
+import { ROUTES } from '../utils/constants';
+import { createExcerpt } from '../utils/markdown';
+import Markdown from './Markdown';
+import Highlight from './Highlight';
+
+function PostBody({ id, body, searchTerm, linkable = true }) {
+  const excerpt = useMemo(() => createExcerpt(body), [body]);
+
+  if (!excerpt.truncated) {
+    return <Markdown source={body} className="post-body" highlight={searchTerm} />;
+  }
+
+  return (
+    <p className="post-body">
+      <Highlight text={excerpt.text} term={searchTerm} />{' '}
+      {linkable && (
+        <Link to={generatePath(ROUTES.POST_DETAIL, { id: String(id) })} className="read-more">
+          Read more
+        </Link>
+      )}
+    </p>
+  );
+}
+
+export default memo(PostBody);
@@ -0,0 +1,112 @@
+/**
+ * PostDetail Component
+ * 
+ * Page for a single post at `/posts/:id`. Loads the post with
+ * `postsApi.getById` (showing a cached copy first when there is one) and
+ * offers edit and delete actions. A missing post gets a dedicated
+ * "not found" state with a way back to the list.
+ * 
+ * @component
+ * @example
+ * return (
+ *   <Route path="/posts/:id" element={<PostDetail />} />
+ * )
+ */
+
+import { Link, generatePath, useNavigate, useParams } from 'react-router-dom';
+import { useApiCall, usePost } from '../hooks/useApi';
+import { useNotifications } from '../hooks/useNotifications';
+import { isApiSuccess } from '../services/api';
+import { queuedPostsApi } from '../services/offlineQueue';
+import { UI_MESSAGES, ROUTES } from '../utils/constants';
+import Markdown from './Markdown';
+import './PostDetail.css';
+
+function PostDetail() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { post, error, notFound, reload } = usePost(id);
+  const { loading: deleting, execute } = useApiCall({ notifyErrors: true });
+  const notifications = useNotifications();
+
+  // Confirmed up front rather than undoable like the list: the page is left
+  // as soon as the post is deleted, so there is no view to undo it from
+  const handleDelete = async () => {
+    if (!window.confirm(UI_MESSAGES.DELETE_CONFIRMATION)) return;
+
+    try {
+      const response = await execute(() => queuedPostsApi.delete(post.id));
+      if (isApiSuccess(response)) {
+        if (response.queued) {
+          notifications.info(UI_MESSAGES.SUCCESS_POST_QUEUED);
+        } else {
+          notifications.success(UI_MESSAGES.SUCCESS_POST_DELETED);
+        }
+        navigate(ROUTES.POSTS, { replace: true });
+      }
+    } catch (err) {
+      console.error('Error deleting post:', err);
+    }
+  };
+
+  const backLink = (
+    <Link to={ROUTES.POSTS} className="back-link">
+      ← All Posts
+    </Link>
+  );
+
+  if (notFound) {
+    return (
+      <div className="post-detail">
+        {backLink}
+        <div className="post-not-found">
+          <h2>Post not found</h2>
+          <p>{UI_MESSAGES.POST_NOT_FOUND}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="error">
+        <p>Error: {error}</p>
+        <button onClick={reload}>Try Again</button>
+      </div>
+    );
+  }
+
+  // Still loading, including the first render before the request starts
+  if (!post) {
+    return <div className="loading">{UI_MESSAGES.LOADING}</div>;
+  }
+
+  return (
+    <div className="post-detail">
+      {backLink}
+
+      <article className="post-detail-card">
+        <header className="post-detail-header">
+          <h2>{post.title}</h2>
+          <span className="post-id">#{post.id}</span>
+        </header>
+
+        <Markdown source={post.body} className="post-detail-body" />
+
+        <footer className="post-detail-footer">
+          <span className="user-id">User: {post.user_id}</span>
+          <div className="post-detail-actions">
+            <Link to={generatePath(ROUTES.EDIT_POST, { id: String(post.id) })} className="edit-link">
+              Edit
+            </Link>
+            <button onClick={handleDelete} disabled={deleting} className="delete-link">
+              {deleting ? 'Deleting...' : 'Delete'}
+            </button>
+          </div>
+        </footer>
+      </article>
+    </div>
+  );
+}
+
+export default PostDetail;
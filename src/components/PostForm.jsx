@@ -0,0 +1,293 @@
+/**
+ * PostForm Component
+ * 
+ * Title and content form shared by post creation and editing. Validates with
+ * `validatePostFields` when a field loses focus and on submit, showing each
+ * message next to its field along with a live character counter, and moves
+ * focus to the first invalid field. Sanitizes values before handing them to
+ * `onSubmit`, tracks whether the values differ from `initialValues`, and
+ * asks for confirmation before a cancel (button or Escape) discards changes.
+ * The content field is Markdown, with a Write/Preview toggle.
+ * 
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} [props.initialValues] - Starting `{ title, body }`
+ * @param {number} props.userId - Author ID used for validation and submission
+ * @param {Function} props.onSubmit - Receives `{ title, body, user_id }`; resolve true to reset the form
+ * @param {Function} [props.onCancel] - Shows a cancel button when provided
+ * @param {Function} [props.onChange] - Called with (field, value, values) after any field changes
+ * @param {Object} [props.fieldErrors] - Server-side errors keyed by `title` and `body`
+ * @param {boolean} [props.loading=false] - Disables the form while submitting
+ * @param {boolean} [props.requireChanges=false] - Keep submit disabled until something changed
+ * @param {string} [props.submitLabel='Save'] - Submit button text
+ * @param {string} [props.loadingLabel='Saving...'] - Submit button text while loading
+ * @param {string} [props.idPrefix=''] - Prefix for input IDs when several forms are mounted
+ * @param {React.ReactNode} [props.children] - Extra content rendered above the buttons
+ * @example
+ * return (
+ *   <PostForm
+ *     initialValues={post}
+ *     userId={post.user_id}
+ *     onSubmit={(values) => updatePost(post.id, values)}
+ *     onCancel={close}
+ *     requireChanges
+ *   />
+ * )
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { flushSync } from 'react-dom';
+import { validatePostFields, sanitizeInput } from '../utils/validation';
+import { UI_MESSAGES, VALIDATION } from '../utils/constants';
+import Markdown from './Markdown';
+import './PostForm.css';
+
+const EMPTY_VALUES = { title: '', body: '' };
+const NO_ERRORS = {};
+
+// Fields in focus order, with the length limits shown by the counters
+const FIELD_ORDER = ['title', 'body'];
+const MAX_LENGTHS = {
+  title: VALIDATION.POST_TITLE_MAX_LENGTH,
+  body: VALIDATION.POST_BODY_MAX_LENGTH,
+};
+
+/**
+ * Finds the first field with an error
+ * 
+ * @param {Object} fieldMessages - Error messages keyed by field
+ * @returns {string|undefined} Field name
+ */
+const findFirstInvalid = (fieldMessages) => FIELD_ORDER.find(field => fieldMessages[field]);
+
+function PostForm({
+  initialValues = EMPTY_VALUES,
+  userId,
+  onSubmit,
+  onCancel,
+  onChange,
+  fieldErrors = NO_ERRORS,
+  loading = false,
+  requireChanges = false,
+  submitLabel = 'Save',
+  loadingLabel = 'Saving...',
+  idPrefix = '',
+  children,
+}) {
+  const [form, setForm] = useState({
+    title: initialValues.title || '',
+    body: initialValues.body || '',
+  });
+
+  // Client-side errors, shown once a field was left or the form submitted
+  const [errors, setErrors] = useState({});
+  const [touched, setTouched] = useState({});
+  const [previewing, setPreviewing] = useState(false);
+  const inputRefs = useRef({});
+
+  const isDirty = form.title !== (initialValues.title || '') || form.body !== (initialValues.body || '');
+
+  // Warn before leaving the page with unsaved edits
+  useEffect(() => {
+    if (!isDirty || !onCancel) return undefined;
+
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [isDirty, onCancel]);
+
+  // Point the user at the first field the server rejected
+  useEffect(() => {
+    const field = findFirstInvalid(fieldErrors);
+    if (field) inputRefs.current[field]?.focus();
+  }, [fieldErrors]);
+
+  const validateField = (field, values) => {
+    const message = validatePostFields(values.title, values.body, userId)[field];
+    setErrors(prev => ({ ...prev, [field]: message }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Client-side validation
+    const validationErrors = validatePostFields(form.title, form.body, userId);
+    setErrors(validationErrors);
+    setTouched({ title: true, body: true });
+    if (Object.keys(validationErrors).length > 0) {
+      const firstInvalid = findFirstInvalid(validationErrors);
+      // The content field is hidden while previewing
+      if (firstInvalid === 'body') flushSync(() => setPreviewing(false));
+      if (firstInvalid) inputRefs.current[firstInvalid]?.focus();
+      return;
+    }
+
+    const shouldReset = await onSubmit({
+      title: sanitizeInput(form.title),
+      body: sanitizeInput(form.body),
+      user_id: userId,
+    });
+
+    if (shouldReset) {
+      setForm({ title: initialValues.title || '', body: initialValues.body || '' });
+      setErrors({});
+      setTouched({});
+      setPreviewing(false);
+    }
+  };
+
+  const handleInputChange = (field, value) => {
+    const values = { ...form, [field]: value };
+    setForm(values);
+    // Once a field has been left, keep its message in step with the value
+    if (touched[field]) {
+      validateField(field, values);
+    }
+    if (onChange) onChange(field, value, values);
+  };
+
+  const handleBlur = (field) => {
+    setTouched(prev => ({ ...prev, [field]: true }));
+    validateField(field, form);
+  };
+
+  const handleCancel = () => {
+    if (isDirty && !window.confirm(UI_MESSAGES.DISCARD_CHANGES_CONFIRMATION)) {
+      return;
+    }
+    onCancel();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape' && onCancel) {
+      e.preventDefault();
+      handleCancel();
+    }
+  };
+
+  // Client errors win over server errors, which stay until the field is edited
+  const getError = (field) => (touched[field] && errors[field]) || fieldErrors[field];
+
+  const getAriaProps = (field) => {
+    const id = `${idPrefix}${field}`;
+    return {
+      'aria-invalid': Boolean(getError(field)),
+      'aria-describedby': getError(field) ? `${id}-error ${id}-count` : `${id}-count`,
+    };
+  };
+
+  const renderCounter = (field) => {
+    const length = form[field].length;
+    return (
+      <span
+        id={`${idPrefix}${field}-count`}
+        className={`char-counter ${length > MAX_LENGTHS[field] ? 'over-limit' : ''}`}
+      >
+        {length}/{MAX_LENGTHS[field]}
+      </span>
+    );
+  };
+
+  const renderError = (field) => getError(field) && (
+    <p id={`${idPrefix}${field}-error`} className="field-error">
+      {getError(field)}
+    </p>
+  );
+
+  return (
+    <form onSubmit={handleSubmit} onKeyDown={handleKeyDown} className="post-form">
+      <div className={`form-group ${getError('title') ? 'has-error' : ''}`}>
+        <div className="form-label-row">
+          <label htmlFor={`${idPrefix}title`}>Title</label>
+          {renderCounter('title')}
+        </div>
+        <input
+          id={`${idPrefix}title`}
+          ref={(element) => { inputRefs.current.title = element; }}
+          type="text"
+          placeholder="Enter post title..."
+          value={form.title}
+          onChange={(e) => handleInputChange('title', e.target.value)}
+          onBlur={() => handleBlur('title')}
+          required
+          disabled={loading}
+          {...getAriaProps('title')}
+        />
+        {renderError('title')}
+      </div>
+
+      <div className={`form-group ${getError('body') ? 'has-error' : ''}`}>
+        <div className="form-label-row">
+          <label htmlFor={`${idPrefix}body`}>Content</label>
+          <div className="editor-tabs" role="group" aria-label="Content editor mode">
+            <button
+              type="button"
+              className={previewing ? '' : 'active'}
+              aria-pressed={!previewing}
+              onClick={() => setPreviewing(false)}
+            >
+              Write
+            </button>
+            <button
+              type="button"
+              className={previewing ? 'active' : ''}
+              aria-pressed={previewing}
+              onClick={() => setPreviewing(true)}
+            >
+              Preview
+            </button>
+          </div>
+          {renderCounter('body')}
+        </div>
+        <textarea
+          id={`${idPrefix}body`}
+          ref={(element) => { inputRefs.current.body = element; }}
+          placeholder="Write your post content... Markdown is supported."
+          value={form.body}
+          onChange={(e) => handleInputChange('body', e.target.value)}
+          onBlur={() => handleBlur('body')}
+          required
+          disabled={loading}
+          rows={6}
+          hidden={previewing}
+          {...getAriaProps('body')}
+        />
+        {previewing && (
+          <div className="markdown-preview">
+            {form.body.trim()
+              ? <Markdown source={form.body} />
+              : <p className="preview-empty">Nothing to preview</p>}
+          </div>
+        )}
+        {renderError('body')}
+      </div>
+
+      {children}
+
+      <div className="form-actions">
+        {onCancel && (
+          <button
+            type="button"
+            className="cancel-btn"
+            onClick={handleCancel}
+            disabled={loading}
+          >
+            Cancel
+          </button>
+        )}
+        <button 
+          type="submit" 
+          className="submit-btn"
+          disabled={loading || !form.title.trim() || !form.body.trim() || (requireChanges && !isDirty)}
+        >
+          {loading ? loadingLabel : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default PostForm;
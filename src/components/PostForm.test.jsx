@@ -0,0 +1,121 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import PostForm from './PostForm';
+import { UI_MESSAGES, VALIDATION } from '../utils/constants';
+
+const post = { title: 'Original', body: 'Body text' };
+
+describe('PostForm', () => {
+  it('submits sanitized values with the author ID', async () => {
+    const onSubmit = vi.fn(async () => true);
+    render(<PostForm userId={3} onSubmit={onSubmit} />);
+
+    fireEvent.change(screen.getByLabelText('Title'), { target: { value: '  Hello ' } });
+    fireEvent.change(screen.getByLabelText('Content'), { target: { value: 'World  ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    await waitFor(() => expect(onSubmit).toHaveBeenCalledWith({ title: 'Hello', body: 'World', user_id: 3 }));
+    await waitFor(() => expect(screen.getByLabelText('Title')).toHaveValue(''));
+  });
+
+  it('requires a change before saving an existing post', () => {
+    render(<PostForm initialValues={post} userId={1} onSubmit={vi.fn()} requireChanges />);
+    const save = screen.getByRole('button', { name: 'Save' });
+
+    expect(save).toBeDisabled();
+    fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'Changed' } });
+    expect(save).not.toBeDisabled();
+  });
+
+  it('cancels without asking when nothing changed', () => {
+    const confirmSpy = vi.spyOn(window, 'confirm');
+    const onCancel = vi.fn();
+    render(<PostForm initialValues={post} userId={1} onSubmit={vi.fn()} onCancel={onCancel} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+    expect(confirmSpy).not.toHaveBeenCalled();
+    expect(onCancel).toHaveBeenCalled();
+  });
+
+  it('asks before discarding changes', () => {
+    const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValue(false);
+    const onCancel = vi.fn();
+    render(<PostForm initialValues={post} userId={1} onSubmit={vi.fn()} onCancel={onCancel} />);
+
+    fireEvent.change(screen.getByLabelText('Content'), { target: { value: 'Edited' } });
+    fireEvent.keyDown(screen.getByLabelText('Content'), { key: 'Escape' });
+
+    expect(confirmSpy).toHaveBeenCalledWith(UI_MESSAGES.DISCARD_CHANGES_CONFIRMATION);
+    expect(onCancel).not.toHaveBeenCalled();
+
+    confirmSpy.mockReturnValue(true);
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(onCancel).toHaveBeenCalled();
+  });
+
+  it('validates a field when it loses focus and updates as the user types', () => {
+    render(<PostForm userId={1} onSubmit={vi.fn()} />);
+    const title = screen.getByLabelText('Title');
+
+    fireEvent.change(title, { target: { value: '   ' } });
+    expect(screen.queryByText('Title is required')).not.toBeInTheDocument();
+
+    fireEvent.blur(title);
+    expect(screen.getByText('Title is required')).toBeInTheDocument();
+    expect(title).toHaveAttribute('aria-invalid', 'true');
+
+    fireEvent.change(title, { target: { value: 'Fixed' } });
+    expect(screen.queryByText('Title is required')).not.toBeInTheDocument();
+  });
+
+  it('shows live character counters', () => {
+    render(<PostForm userId={1} onSubmit={vi.fn()} />);
+
+    fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'Hello' } });
+
+    expect(screen.getByText(`5/${VALIDATION.POST_TITLE_MAX_LENGTH}`)).toBeInTheDocument();
+    expect(screen.getByText(`0/${VALIDATION.POST_BODY_MAX_LENGTH}`)).toBeInTheDocument();
+  });
+
+  it('refuses over-length values and focuses the first invalid field', () => {
+    const onSubmit = vi.fn();
+    render(<PostForm userId={1} onSubmit={onSubmit} />);
+    const tooLong = 'x'.repeat(VALIDATION.POST_BODY_MAX_LENGTH + 1);
+
+    fireEvent.change(screen.getByLabelText('Title'), { target: { value: 'Fine' } });
+    fireEvent.change(screen.getByLabelText('Content'), { target: { value: tooLong } });
+    fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(onSubmit).not.toHaveBeenCalled();
+    expect(screen.getByText(`Content must be ${VALIDATION.POST_BODY_MAX_LENGTH} characters or less`)).toBeInTheDocument();
+    expect(screen.getByLabelText('Content')).toHaveFocus();
+    expect(document.querySelector('.char-counter.over-limit')).toBeInTheDocument();
+  });
+
+  it('shows server field errors and focuses the first one', () => {
+    render(<PostForm initialValues={post} userId={1} onSubmit={vi.fn()} fieldErrors={{ body: 'Body is not allowed' }} />);
+
+    expect(screen.getByText('Body is not allowed')).toBeInTheDocument();
+    expect(screen.getByLabelText('Content')).toHaveFocus();
+  });
+
+  it('previews the content as formatted Markdown', () => {
+    render(<PostForm userId={1} onSubmit={vi.fn()} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Preview' }));
+    expect(screen.getByText('Nothing to preview')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Write' }));
+    fireEvent.change(screen.getByLabelText('Content'), { target: { value: 'Some **bold** text<script>alert(1)</script>' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Preview' }));
+
+    const preview = document.querySelector('.markdown-preview');
+    expect(preview.querySelector('strong')).toHaveTextContent('bold');
+    expect(preview.querySelector('script')).toBeNull();
+    expect(screen.getByLabelText('Content')).not.toBeVisible();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Write' }));
+    expect(screen.getByLabelText('Content')).toBeVisible();
+  });
+});
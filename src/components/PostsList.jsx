@@ -1,113 +1,408 @@
-import { useEffect, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Link, generatePath, useLocation, useNavigate } from 'react-router-dom';
 import { usePostsApi } from '../hooks/useApi';
-import { UI_MESSAGES, PAGINATION } from '../utils/constants';
-import { validateSearchTerm } from '../utils/validation';
+import { useListParams, LIST_FILTERS } from '../hooks/useListParams';
+import { useListPreferences } from '../hooks/useListPreferences';
+import { useIntersectionObserver } from '../hooks/useIntersectionObserver';
+import { useVirtualGrid } from '../hooks/useVirtualGrid';
+import { useSelection } from '../hooks/useSelection';
+import { useUndoableDelete } from '../hooks/useUndoableDelete';
+import { useNotifications } from '../hooks/useNotifications';
+import { usePostsExport } from '../hooks/usePostsExport';
+import { UI_MESSAGES, LIST_VIEW, VIRTUAL_LIST, ROUTES } from '../utils/constants';
+import { validatePaginationParams } from '../utils/validation';
+import { getApiFieldErrors, getErrorMessage, handleApiError, isAbortError } from '../services/api';
+import { queuedPostsApi } from '../services/offlineQueue';
+import { exportPosts } from '../utils/exportPosts';
+import PostBody from './PostBody';
+import EditPostModal from './EditPostModal';
+import BulkActionBar from './BulkActionBar';
+import SearchBox from './SearchBox';
+import Highlight from './Highlight';
+import ListControls from './ListControls';
+import ExportControls from './ExportControls';
 import './PostsList.css';
 
-function PostsList({ refreshTrigger }) {
+function PostsList({ refreshTrigger, editingId }) {
   const {
     posts,
     pagination,
     loading,
+    revalidating,
     error,
+    mutationError,
     fetchPosts,
-    deletePost,
-    clearError
+    createPost,
+    updatePost,
+    deletePosts,
+    hidePost,
+    clearError,
+    clearMutationError
   } = usePostsApi();
   
-  const [currentPage, setCurrentPage] = useState(1);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [searchInput, setSearchInput] = useState('');
+  // Page, search, sorting and filters live in the query string, see useListParams
+  const [listParams, setListParams] = useListParams();
+  const { page: currentPage, search: searchTerm } = listParams;
+  const hasFilters = LIST_FILTERS.some(name => listParams[name] !== '');
 
-  const loadPosts = async (page = 1, search = '') => {
+  // Infinite scroll keeps appending pages to one list and ignores `page`
+  const { mode, pageSize, setPreferences } = useListPreferences();
+  const isScrollMode = mode === LIST_VIEW.MODES.SCROLL;
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState(null);
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // Bulk selection covers the current page; optimistic posts have no server ID yet
+  const selectableIds = useMemo(
+    () => posts.filter(post => !post.isOptimistic).map(post => post.id),
+    [posts]
+  );
+  const selection = useSelection(selectableIds);
+  const selectedPosts = posts.filter(post => selection.isSelected(post.id));
+  const [bulkProgress, setBulkProgress] = useState(null);
+  const [bulkFailures, setBulkFailures] = useState([]);
+  const notifications = useNotifications();
+  const postsExport = usePostsExport();
+
+  // The edit dialog is driven by the URL, see Dashboard
+  const editingPost = editingId
+    ? posts.find(post => String(post.id) === String(editingId))
+    : null;
+
+  /**
+   * Builds the request params for a page of the current list
+   */
+  const getRequestParams = (page) => {
+    const { search, ...sortAndFilters } = listParams;
+    delete sortAndFilters.page;
+    return { ...validatePaginationParams(page, pageSize, sortAndFilters), search };
+  };
+
+  const loadPosts = async (options = {}) => {
+    setLoadMoreError(null);
     try {
-      await fetchPosts({
-        page,
-        limit: PAGINATION.DEFAULT_LIMIT,
-        search: validateSearchTerm(search)
-      });
+      await fetchPosts(getRequestParams(isScrollMode ? 1 : currentPage), options);
     } catch (err) {
+      // A newer request replaced this one, nothing to report
+      if (isAbortError(err)) return;
       console.error('Error fetching posts:', err);
     }
   };
 
-  const handleSearch = (e) => {
-    e.preventDefault();
-    setSearchTerm(searchInput);
-    setCurrentPage(1);
+  // Server posts in the accumulated list; optimistic ones are not on the server's pages yet
+  const loadedCount = posts.filter(post => !post.isOptimistic).length;
+  const hasMore = isScrollMode && !loading && !error && loadedCount < (pagination.totalItems || 0);
+
+  /**
+   * Appends the next page in scroll mode
+   *
+   * The page is worked out from the number of posts already loaded rather
+   * than the last page fetched, so posts deleted (or created) in the
+   * meantime do not make the list skip posts; overlaps are dropped by
+   * fetchPosts.
+   */
+  const loadMore = async () => {
+    if (loadingMore) return;
+
+    setLoadingMore(true);
+    setLoadMoreError(null);
+    try {
+      await fetchPosts(getRequestParams(Math.floor(loadedCount / pageSize) + 1), { append: true });
+    } catch (err) {
+      if (!isAbortError(err)) {
+        setLoadMoreError(handleApiError(err).message);
+      }
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Re-created after every load, so a sentinel still in view loads again
+  const sentinelRef = useIntersectionObserver(loadMore, {
+    enabled: hasMore && !loadingMore && !loadMoreError,
+    rootMargin: LIST_VIEW.SCROLL_MARGIN,
+  });
+
+  // Long lists (large pages, or many posts scrolled in) only render the
+  // cards near the viewport
+  const { segments, gridProps, itemProps } = useVirtualGrid(posts, {
+    enabled: posts.length > VIRTUAL_LIST.MIN_ITEMS,
+  });
+
+  const handleSearch = (term, { replace }) => {
+    setListParams({ search: term, page: 1 }, { replace });
+  };
+
+  // New sorting or filters start over from the first page
+  const handleListOptionsChange = (updates) => {
+    setListParams({ ...updates, page: 1 });
+  };
+
+  // So does a new page size or browsing mode
+  const handlePreferencesChange = (updates) => {
+    setPreferences(updates);
+    setListParams({ page: 1 }, { replace: true });
   };
 
   const handlePageChange = (newPage) => {
-    setCurrentPage(newPage);
+    setListParams({ page: newPage });
   };
 
-  const clearSearch = () => {
-    setSearchInput('');
-    setSearchTerm('');
-    setCurrentPage(1);
+  // Refill the page from the server after deletes, stepping back if it is
+  // now empty. An accumulated list just closes up and loads more as needed.
+  const refreshAfterDelete = () => {
+    if (isScrollMode) return;
+    if (posts.length === 0 && currentPage > 1) {
+      setListParams({ page: currentPage - 1 }, { replace: true });
+    } else {
+      loadPosts({ background: true });
+    }
   };
 
-  const handleDeletePost = async (postId) => {
-    if (window.confirm(UI_MESSAGES.DELETE_CONFIRMATION)) {
+  // Single deletes hide the post and only reach the server once the undo window ends
+  const {
+    pending: pendingDeletes,
+    remove: deleteWithUndo,
+    undo: undoDelete,
+    flush: flushDeletes,
+  } = useUndoableDelete({
+    hide: hidePost,
+    commit: (postId, { keepalive }) => queuedPostsApi.delete(postId, { keepalive }),
+    onCommitted: (postId, { left }) => {
+      // Once the list is gone only the request itself matters
+      if (left) return;
+      notifications.success(UI_MESSAGES.SUCCESS_POST_DELETED);
+      refreshAfterDelete();
+    },
+    onError: (err, post, { left }) => {
+      console.error('Error deleting post:', err);
+      if (left) return;
+      notifications.error(`Could not delete "${post.title}": ${getErrorMessage(err)}`);
+      loadPosts({ background: true });
+    },
+  });
+
+  // Each pending delete offers Undo in a toast until it is sent or undone
+  const undoToastsRef = useRef(new Map());
+  useEffect(() => {
+    const toasts = undoToastsRef.current;
+    const pendingIds = new Set(pendingDeletes.map(post => post.id));
+    toasts.forEach((toastId, postId) => {
+      if (pendingIds.has(postId)) return;
+      notifications.dismiss(toastId);
+      toasts.delete(postId);
+    });
+    pendingDeletes.forEach((post) => {
+      if (toasts.has(post.id)) return;
+      toasts.set(post.id, notifications.info(`Deleted "${post.title}"`, {
+        id: `undo-delete-${post.id}`,
+        duration: 0,
+        actions: [{ label: 'Undo', onClick: () => undoDelete(post.id) }],
+      }));
+    });
+  }, [pendingDeletes, notifications, undoDelete]);
+
+  // Leaving the list sends its pending deletes, so nothing is left to undo
+  useEffect(() => {
+    const toasts = undoToastsRef.current;
+    return () => {
+      toasts.forEach(toastId => notifications.dismiss(toastId));
+      toasts.clear();
+    };
+  }, [notifications]);
+
+  // A post submitted from the create form (see Dashboard) shows at once
+  // while it is saved; if the server rejects it, it can be reopened there
+  const submittedPost = location.state?.newPost;
+  const submittedPostRef = useRef(null);
+  useEffect(() => {
+    if (!submittedPost || submittedPostRef.current === submittedPost) return;
+    submittedPostRef.current = submittedPost;
+    // Reloading or coming back to this entry must not create it again
+    navigate({ pathname: location.pathname, search: location.search }, { replace: true });
+
+    const saveSubmittedPost = async () => {
       try {
-        await deletePost(postId);
-        // Refresh the current page if it becomes empty
-        if (posts.length === 1 && currentPage > 1) {
-          setCurrentPage(prev => prev - 1);
+        const response = await createPost(submittedPost);
+        if (response.queued) {
+          notifications.info(UI_MESSAGES.SUCCESS_POST_QUEUED);
         } else {
-          loadPosts(currentPage, searchTerm);
+          notifications.success(UI_MESSAGES.SUCCESS_POST_CREATED);
         }
       } catch (err) {
-        console.error('Error deleting post:', err);
+        if (isAbortError(err)) return;
+        console.error('Error creating post:', err);
+        const rejectedPost = {
+          values: { title: submittedPost.title, body: submittedPost.body },
+          message: getErrorMessage(err),
+          fieldErrors: getApiFieldErrors(err),
+        };
+        clearMutationError();
+        // The toast holds the only copy of the post, so it stays until used
+        notifications.error(`Could not create "${submittedPost.title}": ${rejectedPost.message}`, {
+          duration: 0,
+          actions: [{ label: 'Edit again', onClick: () => navigate(ROUTES.NEW_POST, { state: { rejectedPost } }) }],
+        });
       }
+    };
+    saveSubmittedPost();
+  }, [submittedPost, location.pathname, location.search, navigate, createPost, clearMutationError, notifications]);
+
+  const handleSavePost = async (postId, values) => {
+    const response = await updatePost(postId, values);
+    // The modal shows the failure itself, no need for the list banner too
+    if (response.queued) {
+      notifications.info(UI_MESSAGES.SUCCESS_POST_QUEUED);
+    } else if (response.success) {
+      notifications.success(UI_MESSAGES.SUCCESS_POST_UPDATED);
     }
+    return response;
+  };
+
+  const handleBulkDelete = async () => {
+    if (!window.confirm(UI_MESSAGES.BULK_DELETE_CONFIRMATION)) return;
+
+    const targets = selectedPosts;
+    const remainingOnPage = posts.length - targets.length;
+    setBulkFailures([]);
+    setBulkProgress({ completed: 0, total: targets.length });
+
+    const results = await deletePosts(targets.map(post => post.id), {
+      onProgress: (completed, total) => setBulkProgress({ completed, total }),
+    });
+    setBulkProgress(null);
+
+    // Cancelled deletes mean the list was left, nothing to report
+    const failures = results
+      .filter(result => result.status === 'rejected' && !isAbortError(result.reason))
+      .map(result => ({
+        post: targets.find(post => post.id === result.item),
+        message: handleApiError(result.reason).message,
+      }));
+    const deletedCount = results.filter(result => result.status === 'fulfilled').length;
+
+    // Keep failed posts selected so they can be retried
+    setBulkFailures(failures);
+    selection.select(failures.map(({ post }) => post.id));
+
+    if (deletedCount === 0) return;
+    notifications.success(`Deleted ${deletedCount} ${deletedCount === 1 ? 'post' : 'posts'}.`);
+
+    // Refill the page from the server, stepping back if it is now empty
+    if (isScrollMode) return;
+    if (remainingOnPage + failures.length === 0 && currentPage > 1) {
+      setListParams({ page: currentPage - 1 }, { replace: true });
+    } else {
+      loadPosts({ background: true });
+    }
+  };
+
+  const handleExportSelected = () => {
+    exportPosts(selectedPosts, 'json');
+  };
+
+  // Exports every page of the current search, sorting and filters
+  const handleExportAll = async (format) => {
+    const count = await postsExport.exportAll(getRequestParams(1), format);
+    if (count !== null) {
+      notifications.success(`Exported ${count} ${count === 1 ? 'post' : 'posts'}.`);
+    }
+  };
+
+  const handleOpenEdit = (postId) => {
+    // Keep the list underneath so the edit URL opens as a dialog
+    navigate(generatePath(ROUTES.EDIT_POST, { id: String(postId) }), {
+      state: { backgroundLocation: location }
+    });
+  };
+
+  const handleCloseEdit = () => {
+    clearMutationError();
+    navigate(-1);
   };
 
   const handleRetry = () => {
     clearError();
-    loadPosts(currentPage, searchTerm);
+    loadPosts();
   };
 
   useEffect(() => {
-    loadPosts(currentPage, searchTerm);
-  }, [refreshTrigger, currentPage, searchTerm]);
-
-  if (loading) {
-    return <div className="loading">{UI_MESSAGES.LOADING}</div>;
-  }
-
-  if (error) {
-    return (
-      <div className="error">
-        <p>Error: {error}</p>
-        <button onClick={handleRetry}>Try Again</button>
-      </div>
-    );
-  }
+    loadPosts();
+  }, [refreshTrigger, listParams, mode, pageSize]);
+
+  // A shared or bookmarked page may no longer exist, show the last one instead
+  useEffect(() => {
+    if (!isScrollMode && !loading && pagination.totalPages > 0 && currentPage > pagination.totalPages) {
+      setListParams({ page: pagination.totalPages }, { replace: true });
+    }
+  }, [isScrollMode, loading, pagination.totalPages, currentPage, setListParams]);
+
+  // Selections never carry over to another page, search or filter, and
+  // moving on accepts any deletes still waiting for undo
+  const { clear: clearSelection } = selection;
+  useEffect(() => {
+    clearSelection();
+    setBulkFailures([]);
+    flushDeletes();
+  }, [listParams, clearSelection, flushDeletes]);
+
+  /**
+   * Renders the list itself, or what stands in for it while there is none
+   */
+  const renderContent = () => {
+    // Results of a previous search stay visible (dimmed) while new ones load
+    if (loading && posts.length === 0) {
+      return <div className="loading">{UI_MESSAGES.LOADING}</div>;
+    }
+
+    // With posts on screen, a failed fetch is only reported as a toast
+    if (error && posts.length === 0) {
+      return (
+        <div className="error">
+          <p>Error: {error}</p>
+          <button onClick={handleRetry}>Try Again</button>
+        </div>
+      );
+    }
+
+    if (posts.length === 0) {
+      return (
+        <div className="no-posts">
+          <p>{searchTerm || hasFilters ? UI_MESSAGES.NO_SEARCH_RESULTS : `${UI_MESSAGES.NO_POSTS} ${UI_MESSAGES.CREATE_FIRST_POST}`}</p>
+        </div>
+      );
+    }
 
+    return null;
+  };
+
+  const placeholder = renderContent();
+
+  // The header stays mounted while results load, so the search box keeps
+  // its focus and whatever is being typed
   return (
     <div className="posts-list">
       <div className="posts-header">
-        <h2>All Posts ({pagination.totalItems || 0})</h2>
-        <form className="search-form" onSubmit={handleSearch}>
-          <div className="search-container">
-            <input
-              type="text"
-              placeholder="Search posts by title or content..."
-              value={searchInput}
-              onChange={(e) => setSearchInput(e.target.value)}
-              className="search-input"
-            />
-            <button type="submit" className="search-btn">
-              Search
-            </button>
-            {searchTerm && (
-              <button type="button" onClick={clearSearch} className="clear-btn">
-                Clear
-              </button>
-            )}
-          </div>
-        </form>
+        <h2>
+          All Posts ({pagination.totalItems || 0})
+          {(revalidating || loading) && <span className="revalidating">Updating...</span>}
+        </h2>
+        <SearchBox value={searchTerm} onSearch={handleSearch} />
+        <ListControls
+          params={listParams}
+          onChange={handleListOptionsChange}
+          preferences={{ mode, pageSize }}
+          onPreferencesChange={handlePreferencesChange}
+        />
+        <ExportControls
+          onExport={handleExportAll}
+          onCancel={postsExport.cancel}
+          progress={postsExport.progress}
+          error={postsExport.error}
+          onDismissError={postsExport.clearError}
+          disabled={!pagination.totalItems}
+        />
 
         {searchTerm && (
           <div className="search-info">
@@ -115,38 +410,102 @@ function PostsList({ refreshTrigger }) {
           </div>
         )}
       </div>
-      
-      {posts.length === 0 ? (
-        <div className="no-posts">
-          <p>{searchTerm ? UI_MESSAGES.NO_SEARCH_RESULTS : `${UI_MESSAGES.NO_POSTS} ${UI_MESSAGES.CREATE_FIRST_POST}`}</p>
+
+      {mutationError && !editingPost && (
+        <div className="mutation-error">
+          <span>{mutationError}</span>
+          <button onClick={clearMutationError} title="Dismiss">×</button>
         </div>
-      ) : (
-        <>
-          <div className="posts-grid">
-            {posts.map(post => (
-              <div key={post.id} className="post-card">
+      )}
+
+      
+      {placeholder || (
+        <div className={`posts-results ${loading ? 'stale' : ''}`} aria-busy={loading}>
+          <BulkActionBar
+            selectedCount={selectedPosts.length}
+            selectableCount={selectableIds.length}
+            onToggleAll={selection.setAll}
+            onDelete={handleBulkDelete}
+            onExport={handleExportSelected}
+            progress={bulkProgress}
+            failures={bulkFailures}
+            onDismissFailures={() => setBulkFailures([])}
+          />
+
+          <div className="posts-grid" {...gridProps}>
+            {segments.map(({ type, key, item: post, height }) => (type === 'spacer' ? (
+              <div key={key} className="virtual-spacer" style={{ height }} aria-hidden="true" />
+            ) : (
+              <div
+                key={key}
+                {...itemProps(key)}
+                className={`post-card ${post.isOptimistic ? 'optimistic' : ''} ${selection.isSelected(post.id) ? 'selected' : ''}`}
+              >
                 <div className="post-header">
-                  <h3>{post.title}</h3>
+                  <input
+                    type="checkbox"
+                    className="post-select"
+                    checked={selection.isSelected(post.id)}
+                    onChange={(e) => selection.toggle(post.id, { range: e.nativeEvent.shiftKey })}
+                    disabled={post.isOptimistic || Boolean(bulkProgress)}
+                    aria-label={`Select post #${post.id}`}
+                  />
+                  <h3>
+                    {post.isOptimistic ? post.title : (
+                      <Link to={generatePath(ROUTES.POST_DETAIL, { id: String(post.id) })}>
+                        <Highlight text={post.title} term={searchTerm} />
+                      </Link>
+                    )}
+                  </h3>
                   <div className="post-actions">
                     <span className="post-id">#{post.id}</span>
+                    <button
+                      className="edit-btn"
+                      onClick={() => handleOpenEdit(post.id)}
+                      title="Edit post"
+                      disabled={post.isOptimistic}
+                    >
+                      ✎
+                    </button>
                     <button 
                       className="delete-btn"
-                      onClick={() => handleDeletePost(post.id)}
+                      onClick={() => deleteWithUndo(post)}
                       title="Delete post"
+                      disabled={post.isOptimistic}
                     >
                       ×
                     </button>
                   </div>
                 </div>
-                <p className="post-body">{post.body}</p>
+                <PostBody
+                  id={post.id}
+                  body={post.body}
+                  searchTerm={searchTerm}
+                  linkable={!post.isOptimistic}
+                />
                 <div className="post-footer">
                   <span className="user-id">User: {post.user_id}</span>
                 </div>
               </div>
-            ))}
+            )))}
           </div>
 
-          {pagination.totalPages > 1 && (
+          {isScrollMode && (
+            <div className="load-more" ref={sentinelRef}>
+              {loadMoreError && (
+                <p className="load-more-error" role="alert">Could not load more posts: {loadMoreError}</p>
+              )}
+              {hasMore ? (
+                <button className="load-more-btn" onClick={loadMore} disabled={loadingMore}>
+                  {loadingMore ? UI_MESSAGES.LOADING : loadMoreError ? 'Try again' : 'Load more'}
+                </button>
+              ) : !loading && (
+                <p className="load-more-end">All {pagination.totalItems || 0} posts loaded</p>
+              )}
+            </div>
+          )}
+
+          {!isScrollMode && pagination.totalPages > 1 && (
             <div className="pagination">
               <div className="pagination-info">
                 Page {pagination.currentPage} of {pagination.totalPages} 
@@ -195,7 +554,15 @@ function PostsList({ refreshTrigger }) {
               </div>
             </div>
           )}
-        </>
+        </div>
+      )}
+
+      {editingPost && (
+        <EditPostModal
+          post={editingPost}
+          onSave={handleSavePost}
+          onClose={handleCloseEdit}
+        />
       )}
     </div>
   );
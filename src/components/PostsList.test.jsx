@@ -0,0 +1,614 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, within, act } from '@testing-library/react';
+import { MemoryRouter, useLocation, useNavigate } from 'react-router-dom';
+import PostsList from './PostsList';
+import NotificationProvider from './NotificationProvider';
+import { installMockBackend, mockBackend, mockTransport } from '../services/mockBackend';
+import { apiService, postsApi } from '../services/api';
+import { UI_MESSAGES, MARKDOWN, UNDO_CONFIG, LIST_VIEW, EXPORT_CONFIG } from '../utils/constants';
+import { jsonResponse, fail } from '../test/helpers';
+
+// Exposes the query string and history navigation to assertions
+function LocationProbe() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  return (
+    <>
+      <output data-testid="search-params">{location.search}</output>
+      <button onClick={() => navigate(-1)}>Back</button>
+    </>
+  );
+}
+
+const renderPostsList = (path = '/posts') => render(
+  <NotificationProvider>
+    <MemoryRouter initialEntries={[path]}>
+      <PostsList />
+      <LocationProbe />
+    </MemoryRouter>
+  </NotificationProvider>
+);
+
+const currentSearch = () => screen.getByTestId('search-params').textContent;
+
+const checkbox = (id) => screen.getByRole('checkbox', { name: `Select post #${id}` });
+
+describe('PostsList', () => {
+  beforeEach(() => {
+    mockBackend.configure({ latency: 0, failureRate: 0, networkErrorRate: 0, storage: 'memory' });
+    mockBackend.reset();
+    installMockBackend();
+  });
+
+  it('renders the first page of posts with the total count', async () => {
+    mockBackend.configure({ latency: 50 });
+    renderPostsList();
+
+    expect(await screen.findByText(UI_MESSAGES.LOADING)).toBeInTheDocument();
+    expect(await screen.findByText('All Posts (24)')).toBeInTheDocument();
+    expect(document.querySelectorAll('.post-card')).toHaveLength(6);
+    expect(screen.getByText(/Page 1 of 4/)).toBeInTheDocument();
+  });
+
+  it('moves between pages', async () => {
+    renderPostsList();
+    await screen.findByText(/Page 1 of 4/);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+
+    expect(await screen.findByText(/Page 2 of 4/)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Previous' })).not.toBeDisabled();
+  });
+
+  it('searches and clears the search', async () => {
+    renderPostsList();
+    await screen.findByText('All Posts (24)');
+
+    fireEvent.change(screen.getByPlaceholderText(/Search posts/), { target: { value: 'vite' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+
+    expect(await screen.findByText('All Posts (3)')).toBeInTheDocument();
+    expect(screen.getByText(/Showing results for/)).toHaveTextContent('vite');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Clear' }));
+    expect(await screen.findByText('All Posts (24)')).toBeInTheDocument();
+  });
+
+  it('shows the empty search state', async () => {
+    renderPostsList();
+    await screen.findByText('All Posts (24)');
+
+    fireEvent.change(screen.getByPlaceholderText(/Search posts/), { target: { value: 'nothing matches' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+
+    expect(await screen.findByText(UI_MESSAGES.NO_SEARCH_RESULTS)).toBeInTheDocument();
+  });
+
+  it('searches as the user types, sending only the last term', async () => {
+    renderPostsList();
+    await screen.findByText('All Posts (24)');
+    const transport = vi.fn(mockTransport);
+    apiService.setTransport(transport);
+
+    const input = screen.getByRole('combobox', { name: 'Search posts' });
+    input.focus();
+    ['v', 'vi', 'vit', 'vite'].forEach(value => fireEvent.change(input, { target: { value } }));
+    expect(transport).not.toHaveBeenCalled();
+
+    expect(await screen.findByText('All Posts (3)')).toBeInTheDocument();
+    expect(transport).toHaveBeenCalledTimes(1);
+    expect(transport.mock.calls[0][0]).toContain('search=vite');
+    expect(input).toHaveFocus();
+    expect(input).toHaveValue('vite');
+  });
+
+  it('adds one history entry per burst of typing', async () => {
+    renderPostsList();
+    await screen.findByText('All Posts (24)');
+    const input = screen.getByRole('combobox', { name: 'Search posts' });
+
+    fireEvent.change(input, { target: { value: 'notes' } });
+    await waitFor(() => expect(currentSearch()).toBe('?search=notes'));
+    fireEvent.change(input, { target: { value: 'vite' } });
+    await waitFor(() => expect(currentSearch()).toBe('?search=vite'));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Back' }));
+    await waitFor(() => expect(currentSearch()).toBe(''));
+    expect(input).toHaveValue('');
+  });
+
+  it('highlights matches in titles and bodies', async () => {
+    renderPostsList('/posts?search=vite');
+    await screen.findByText('All Posts (3)');
+
+    const card = screen.getByText('#18').closest('.post-card');
+    const marks = [...card.querySelectorAll('mark.search-match')].map(mark => mark.textContent);
+    expect(marks).toEqual(['Vite', 'vite']);
+  });
+
+  it('offers recent searches and applies one when picked', async () => {
+    renderPostsList();
+    await screen.findByText('All Posts (24)');
+    const input = screen.getByRole('combobox', { name: 'Search posts' });
+
+    fireEvent.change(input, { target: { value: 'vite' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+    await screen.findByText('All Posts (3)');
+    fireEvent.click(screen.getByRole('button', { name: 'Clear' }));
+    await screen.findByText('All Posts (24)');
+
+    fireEvent.focus(input);
+    fireEvent.click(screen.getByRole('option', { name: 'vite' }));
+
+    expect(await screen.findByText('All Posts (3)')).toBeInTheDocument();
+    expect(input).toHaveValue('vite');
+    expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+  });
+
+  it('hides a deleted post at once and deletes it after the undo window', async () => {
+    const confirmSpy = vi.spyOn(window, 'confirm');
+    renderPostsList();
+    await screen.findByText('All Posts (24)');
+    vi.useFakeTimers();
+    const transport = vi.fn(mockTransport);
+    apiService.setTransport(transport);
+
+    const card = screen.getByText('#24').closest('.post-card');
+    fireEvent.click(within(card).getByTitle('Delete post'));
+
+    expect(confirmSpy).not.toHaveBeenCalled();
+    expect(screen.queryByText('#24')).not.toBeInTheDocument();
+    expect(screen.getByText('All Posts (23)')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Undo' })).toBeInTheDocument();
+    expect(transport).not.toHaveBeenCalled();
+
+    // Let the delete and the reload that follows it settle before going back to real time
+    await act(() => vi.advanceTimersByTimeAsync(UNDO_CONFIG.DELETE_WINDOW + 1000));
+    expect(screen.getByText(UI_MESSAGES.SUCCESS_POST_DELETED)).toBeInTheDocument();
+    await act(() => vi.runAllTimersAsync());
+    vi.useRealTimers();
+
+    await waitFor(() => expect(transport.mock.calls.some(([, init]) => init.method === 'DELETE')).toBe(true));
+    await waitFor(() => expect(screen.queryByRole('button', { name: 'Undo' })).not.toBeInTheDocument());
+    await waitFor(() => expect(document.querySelectorAll('.post-card')).toHaveLength(6));
+    expect(screen.getByText('All Posts (23)')).toBeInTheDocument();
+  });
+
+  it('puts an undone post back in place without calling the server', async () => {
+    renderPostsList();
+    await screen.findByText('All Posts (24)');
+    const transport = vi.fn(mockTransport);
+    apiService.setTransport(transport);
+
+    const card22 = screen.getByText('#22').closest('.post-card');
+    const title22 = card22.querySelector('h3').textContent;
+    fireEvent.click(within(card22).getByTitle('Delete post'));
+    fireEvent.click(within(screen.getByText('#23').closest('.post-card')).getByTitle('Delete post'));
+    expect(screen.getAllByRole('button', { name: 'Undo' })).toHaveLength(2);
+
+    // Undo in the opposite order of deleting
+    const toast22 = screen.getByText(`Deleted "${title22}"`).closest('.toast');
+    fireEvent.click(within(toast22).getByRole('button', { name: 'Undo' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+
+    const ids = [...document.querySelectorAll('.post-id')].map(element => element.textContent);
+    expect(ids).toEqual(['#24', '#23', '#22', '#21', '#20', '#19']);
+    expect(screen.getByText('All Posts (24)')).toBeInTheDocument();
+    expect(transport).not.toHaveBeenCalled();
+  });
+
+  it('sends pending deletes when the list is left', async () => {
+    const { unmount } = renderPostsList();
+    await screen.findByText('All Posts (24)');
+    const transport = vi.fn(mockTransport);
+    apiService.setTransport(transport);
+
+    fireEvent.click(within(screen.getByText('#24').closest('.post-card')).getByTitle('Delete post'));
+    unmount();
+
+    expect(transport).toHaveBeenCalledWith(expect.stringMatching(/\/posts\/24$/), expect.objectContaining({ method: 'DELETE', keepalive: true }));
+    await act(() => transport.mock.results[0].value);
+    // Only the delete went out: the list that is gone did not reload itself
+    expect(transport).toHaveBeenCalledTimes(1);
+    await waitFor(async () => expect((await postsApi.getAll({}, { staleTime: 0 })).data.pagination.totalItems).toBe(23));
+  });
+
+  it('takes back the Undo toast when the list is left', async () => {
+    const { rerender } = renderPostsList();
+    await screen.findByText('All Posts (24)');
+
+    fireEvent.click(within(screen.getByText('#24').closest('.post-card')).getByTitle('Delete post'));
+    expect(screen.getByRole('button', { name: 'Undo' })).toBeInTheDocument();
+
+    rerender(
+      <NotificationProvider>
+        <MemoryRouter initialEntries={['/posts']}>
+          <LocationProbe />
+        </MemoryRouter>
+      </NotificationProvider>
+    );
+
+    expect(screen.queryByRole('button', { name: 'Undo' })).not.toBeInTheDocument();
+    await waitFor(async () => expect((await postsApi.getAll({}, { staleTime: 0 })).data.pagination.totalItems).toBe(23));
+  });
+
+  it('does not reload when a delete sent on leaving fails', async () => {
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { unmount } = renderPostsList();
+    await screen.findByText('All Posts (24)');
+    const transport = vi.fn(async () => jsonResponse(fail('Post not found'), 404));
+    apiService.setTransport(transport);
+
+    fireEvent.click(within(screen.getByText('#24').closest('.post-card')).getByTitle('Delete post'));
+    unmount();
+
+    await waitFor(() => expect(errorSpy).toHaveBeenCalledWith('Error deleting post:', expect.anything()));
+    expect(transport).toHaveBeenCalledTimes(1);
+    expect(transport).toHaveBeenCalledWith(expect.stringMatching(/\/posts\/24$/), expect.objectContaining({ method: 'DELETE' }));
+  });
+
+  it('links each post title to its detail page', async () => {
+    renderPostsList();
+    await screen.findByText('All Posts (24)');
+
+    const card = screen.getByText('#24').closest('.post-card');
+    expect(within(card).getByRole('link')).toHaveAttribute('href', '/posts/24');
+  });
+
+  it('restores page and search from the URL', async () => {
+    renderPostsList('/posts?search=notes&page=2');
+
+    expect(await screen.findByText(/Page 2 of 4/)).toBeInTheDocument();
+    expect(screen.getByPlaceholderText(/Search posts/)).toHaveValue('notes');
+    expect(screen.getByText(/Showing results for/)).toHaveTextContent('notes');
+  });
+
+  it('writes page and search changes to the URL', async () => {
+    renderPostsList();
+    await screen.findByText(/Page 1 of 4/);
+    expect(currentSearch()).toBe('');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+    await screen.findByText(/Page 2 of 4/);
+    expect(currentSearch()).toBe('?page=2');
+
+    fireEvent.change(screen.getByPlaceholderText(/Search posts/), { target: { value: 'vite' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+    await screen.findByText('All Posts (3)');
+    expect(currentSearch()).toBe('?search=vite');
+  });
+
+  it('steps back through search history', async () => {
+    renderPostsList();
+    await screen.findByText('All Posts (24)');
+
+    fireEvent.change(screen.getByPlaceholderText(/Search posts/), { target: { value: 'vite' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+    await screen.findByText('All Posts (3)');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Back' }));
+
+    expect(await screen.findByText('All Posts (24)')).toBeInTheDocument();
+    expect(screen.getByPlaceholderText(/Search posts/)).toHaveValue('');
+  });
+
+  it('normalizes invalid query string values', async () => {
+    renderPostsList('/posts?page=abc&search=%20%20vite%20');
+
+    expect(await screen.findByText('All Posts (3)')).toBeInTheDocument();
+    await waitFor(() => expect(currentSearch()).toBe('?search=vite'));
+  });
+
+  it('sorts the list and goes back to the first page', async () => {
+    renderPostsList('/posts?page=2');
+    await screen.findByText(/Page 2 of 4/);
+
+    fireEvent.change(screen.getByLabelText('Sort by'), { target: { value: 'title' } });
+    fireEvent.change(screen.getByLabelText('Order'), { target: { value: 'asc' } });
+
+    await waitFor(() => expect(currentSearch()).toBe('?sort=title&order=asc'));
+    await waitFor(() => expect(document.querySelector('.post-card h3')).toHaveTextContent('Accessibility notes #1'));
+    expect(screen.getByRole('option', { name: 'A to Z' }).selected).toBe(true);
+  });
+
+  it('combines filters with the search and resets them', async () => {
+    renderPostsList('/posts?search=notes&page=2');
+    await screen.findByText(/Page 2 of 4/);
+
+    fireEvent.change(screen.getByLabelText('Author ID'), { target: { value: '2' } });
+    fireEvent.change(screen.getByLabelText('Post ID from'), { target: { value: '10' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Apply filters' }));
+
+    expect(await screen.findByText('All Posts (5)')).toBeInTheDocument();
+    expect(currentSearch()).toBe('?search=notes&user_id=2&id_min=10');
+    expect(screen.getByText('Filters (2)')).toBeInTheDocument();
+    expect([...document.querySelectorAll('.user-id')].every(el => el.textContent === 'User: 2')).toBe(true);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Reset' }));
+    expect(await screen.findByText('All Posts (24)')).toBeInTheDocument();
+    expect(currentSearch()).toBe('?search=notes');
+    expect(screen.getByLabelText('Author ID')).toHaveValue(null);
+  });
+
+  it('switches to infinite scroll with a chosen page size and remembers both', async () => {
+    const { unmount } = renderPostsList();
+    await screen.findByText(/Page 1 of 4/);
+
+    fireEvent.change(screen.getByLabelText('Per page'), { target: { value: '12' } });
+    fireEvent.change(screen.getByLabelText('Browse'), { target: { value: LIST_VIEW.MODES.SCROLL } });
+
+    await waitFor(() => expect(document.querySelectorAll('.post-card')).toHaveLength(12));
+    expect(screen.queryByText(/Page 1 of/)).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Load more' }));
+
+    expect(await screen.findByText('All 24 posts loaded')).toBeInTheDocument();
+    expect(document.querySelectorAll('.post-card')).toHaveLength(24);
+
+    unmount();
+    renderPostsList();
+    await screen.findByText('All Posts (24)');
+    expect(screen.getByLabelText('Browse')).toHaveValue(LIST_VIEW.MODES.SCROLL);
+    expect(screen.getByLabelText('Per page')).toHaveValue('12');
+  });
+
+  it('loads the next page when the end of the list comes into view', async () => {
+    const observers = [];
+    vi.stubGlobal('IntersectionObserver', class {
+      constructor(callback) {
+        this.callback = callback;
+        observers.push(this);
+      }
+      observe() {}
+      disconnect() {
+        this.disconnected = true;
+      }
+    });
+    localStorage.setItem(LIST_VIEW.STORAGE_KEY, JSON.stringify({ mode: LIST_VIEW.MODES.SCROLL, pageSize: 6 }));
+    renderPostsList();
+    await screen.findByText('All Posts (24)');
+
+    const observer = observers.find(candidate => !candidate.disconnected);
+    act(() => observer.callback([{ isIntersecting: true }]));
+
+    await waitFor(() => expect(document.querySelectorAll('.post-card')).toHaveLength(12));
+  });
+
+  it('keeps the accumulated list in order after deleting from it', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    localStorage.setItem(LIST_VIEW.STORAGE_KEY, JSON.stringify({ mode: LIST_VIEW.MODES.SCROLL, pageSize: 6 }));
+    renderPostsList();
+    await screen.findByText('All Posts (24)');
+    fireEvent.click(screen.getByRole('button', { name: 'Load more' }));
+    await waitFor(() => expect(document.querySelectorAll('.post-card')).toHaveLength(12));
+
+    fireEvent.click(checkbox(24));
+    fireEvent.click(checkbox(23));
+    fireEvent.click(screen.getByRole('button', { name: 'Delete selected' }));
+    await screen.findByText('Deleted 2 posts.');
+    expect(document.querySelectorAll('.post-card')).toHaveLength(10);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Load more' }));
+
+    await waitFor(() => expect(document.querySelectorAll('.post-card')).toHaveLength(12));
+    const ids = [...document.querySelectorAll('.post-id')].map(el => Number(el.textContent.slice(1)));
+    expect(ids).toEqual([22, 21, 20, 19, 18, 17, 16, 15, 14, 13, 12, 11]);
+    expect(screen.getByText('All Posts (22)')).toBeInTheDocument();
+  });
+
+  it('renders only the cards near the viewport of a long list and keeps the focused one', async () => {
+    for (let n = 25; n <= 40; n++) {
+      await postsApi.create({ title: `Extra notes #${n}`, body: 'More notes.', user_id: 1 });
+    }
+    localStorage.setItem(LIST_VIEW.STORAGE_KEY, JSON.stringify({ mode: LIST_VIEW.MODES.PAGES, pageSize: 48 }));
+    renderPostsList();
+    await screen.findByText('All Posts (40)');
+
+    const cards = () => document.querySelectorAll('.post-card');
+    expect(cards().length).toBeLessThan(40);
+    expect(document.querySelector('.virtual-spacer')).toBeInTheDocument();
+    expect(checkbox(40)).toBeInTheDocument();
+    expect(screen.queryByRole('checkbox', { name: 'Select post #1' })).not.toBeInTheDocument();
+
+    act(() => checkbox(40).focus());
+    const grid = document.querySelector('.posts-grid');
+    vi.spyOn(grid, 'getBoundingClientRect').mockReturnValue({ top: -4000, bottom: 5000, height: 9000 });
+    act(() => window.dispatchEvent(new Event('scroll')));
+
+    await waitFor(() => expect(screen.queryByRole('checkbox', { name: 'Select post #30' })).not.toBeInTheDocument());
+    expect(screen.getByRole('checkbox', { name: 'Select post #20' })).toBeInTheDocument();
+    expect(checkbox(40)).toHaveFocus();
+    expect(cards().length).toBeLessThan(40);
+  });
+
+  it('falls back to the last page when the page no longer exists', async () => {
+    renderPostsList('/posts?page=9');
+
+    await waitFor(() => expect(currentSearch()).toBe('?page=4'));
+    expect(await screen.findByText(/Page 4 of 4/)).toBeInTheDocument();
+  });
+
+  it('renders short bodies as Markdown and long ones as an excerpt with a read more link', async () => {
+    await postsApi.create({ title: 'Formatted', body: 'Uses **bold** text', user_id: 1 });
+    await postsApi.create({ title: 'Long read', body: `# Heading\n\n${'word '.repeat(MARKDOWN.EXCERPT_LENGTH)}`, user_id: 1 });
+    renderPostsList();
+    await screen.findByText('All Posts (26)');
+
+    const formatted = screen.getByText('Formatted').closest('.post-card');
+    expect(within(formatted).getByText('bold').tagName).toBe('STRONG');
+
+    const long = screen.getByText('Long read').closest('.post-card');
+    expect(within(long).getByText(/^Heading word word/)).toHaveTextContent('…');
+    expect(within(long).getByRole('link', { name: 'Read more' })).toHaveAttribute('href', '/posts/26');
+  });
+
+  it('selects ranges with shift-click and everything on the page', async () => {
+    renderPostsList();
+    await screen.findByText('All Posts (24)');
+
+    fireEvent.click(checkbox(24));
+    fireEvent.click(checkbox(21), { shiftKey: true });
+
+    expect([24, 23, 22, 21].every(id => checkbox(id).checked)).toBe(true);
+    expect(checkbox(20)).not.toBeChecked();
+    expect(screen.getByText('4 selected')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Select all on page'));
+    expect(screen.getByText('6 selected')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Select all on page'));
+    expect(screen.queryByText(/selected$/)).not.toBeInTheDocument();
+  });
+
+  it('bulk deletes and reports posts that could not be deleted', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    renderPostsList();
+    await screen.findByText('All Posts (24)');
+    apiService.setTransport((url, init) => (
+      url.endsWith('/posts/23') && init.method === 'DELETE'
+        ? Promise.resolve(jsonResponse(fail('Post is locked'), 409))
+        : mockTransport(url, init)
+    ));
+
+    [24, 23, 22].forEach(id => fireEvent.click(checkbox(id)));
+    fireEvent.click(screen.getByRole('button', { name: 'Delete selected' }));
+
+    expect(await screen.findByText('Deleted 2 posts.')).toBeInTheDocument();
+    expect(screen.getByRole('alert')).toHaveTextContent('1 post could not be deleted');
+    expect(screen.getByRole('alert')).toHaveTextContent('#23');
+    expect(screen.getByRole('alert')).toHaveTextContent('Post is locked');
+    await waitFor(() => expect(screen.getByText('All Posts (22)')).toBeInTheDocument());
+    expect(checkbox(23)).toBeChecked();
+    expect(document.querySelectorAll('.post-card')).toHaveLength(6);
+  });
+
+  it('steps back a page when a bulk delete empties the current one', async () => {
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    renderPostsList('/posts?page=4');
+    await screen.findByText(/Page 4 of 4/);
+
+    fireEvent.click(screen.getByLabelText('Select all on page'));
+    fireEvent.click(screen.getByRole('button', { name: 'Delete selected' }));
+
+    expect(await screen.findByText(/Page 3 of 3/)).toBeInTheDocument();
+    expect(currentSearch()).toBe('?page=3');
+  });
+
+  it('exports the selected posts as JSON', async () => {
+    const blobs = [];
+    URL.createObjectURL = vi.fn((blob) => {
+      blobs.push(blob);
+      return 'blob:posts';
+    });
+    URL.revokeObjectURL = vi.fn();
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    renderPostsList();
+    await screen.findByText('All Posts (24)');
+
+    fireEvent.click(checkbox(24));
+    fireEvent.click(screen.getByRole('button', { name: 'Export' }));
+
+    expect(click).toHaveBeenCalled();
+    const exported = JSON.parse(await blobs[0].text());
+    expect(exported).toEqual([expect.objectContaining({ id: 24 })]);
+    await waitFor(() => expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:posts'));
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  it('exports every page of the current search as CSV', async () => {
+    const blobs = [];
+    URL.createObjectURL = vi.fn((blob) => {
+      blobs.push(blob);
+      return 'blob:posts';
+    });
+    URL.revokeObjectURL = vi.fn();
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    const getAll = vi.spyOn(postsApi, 'getAll');
+    const pageSize = EXPORT_CONFIG.PAGE_SIZE;
+    EXPORT_CONFIG.PAGE_SIZE = 10;
+    try {
+      renderPostsList('/posts?search=notes&user_id=1');
+      await screen.findByText('All Posts (8)');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Export all' }));
+
+      expect(await screen.findByText('Exported 8 posts.')).toBeInTheDocument();
+    } finally {
+      EXPORT_CONFIG.PAGE_SIZE = pageSize;
+    }
+    const rows = (await blobs[0].text()).split('\r\n');
+    expect(rows[0]).toBe('id,title,body,user_id,created_at,updated_at');
+    expect(rows).toHaveLength(9);
+    expect(rows.slice(1).every(row => row.split(',')[3] === '1')).toBe(true);
+    expect(getAll).toHaveBeenCalledWith(
+      expect.objectContaining({ search: 'notes', user_id: 1, page: 1, limit: 10 }),
+      expect.anything()
+    );
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  it('reports why the server refused an export', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    URL.createObjectURL = vi.fn(() => 'blob:posts');
+    renderPostsList();
+    await screen.findByText('All Posts (24)');
+    apiService.setTransport(() => Promise.resolve(jsonResponse(fail('Exports are paused'))));
+
+    fireEvent.click(screen.getByRole('button', { name: 'Export all' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Export failed: Exports are paused');
+    expect(URL.createObjectURL).not.toHaveBeenCalled();
+    delete URL.createObjectURL;
+  });
+
+  it('walks every page and can be cancelled', async () => {
+    URL.createObjectURL = vi.fn(() => 'blob:posts');
+    const pageSize = EXPORT_CONFIG.PAGE_SIZE;
+    EXPORT_CONFIG.PAGE_SIZE = 5;
+    try {
+      renderPostsList();
+      await screen.findByText('All Posts (24)');
+      mockBackend.configure({ latency: 30 });
+
+      fireEvent.click(screen.getByRole('button', { name: 'Export all' }));
+      expect(await screen.findByText('Exporting 10 of 24 posts...')).toBeInTheDocument();
+      fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+
+      await waitFor(() => expect(screen.queryByText(/Exporting/)).not.toBeInTheDocument());
+    } finally {
+      EXPORT_CONFIG.PAGE_SIZE = pageSize;
+    }
+    expect(URL.createObjectURL).not.toHaveBeenCalled();
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Export all' })).not.toBeDisabled();
+    delete URL.createObjectURL;
+  });
+
+  it('shows an error with a retry button', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockBackend.configure({ failureRate: 1 });
+    renderPostsList();
+
+    expect(await screen.findByText(/Injected mock server error/, {}, { timeout: 5000 })).toBeInTheDocument();
+    expect(screen.getByRole('alert')).toHaveTextContent(UI_MESSAGES.ERROR_SERVER);
+
+    mockBackend.configure({ failureRate: 0 });
+    fireEvent.click(screen.getByRole('button', { name: 'Try Again' }));
+    expect(await screen.findByText('All Posts (24)')).toBeInTheDocument();
+  });
+
+  it('keeps the current page on screen when the next one fails to load', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    renderPostsList();
+    await screen.findByText(/Page 1 of 4/);
+    mockBackend.configure({ failureRate: 1 });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Next' }));
+
+    expect(await screen.findByRole('alert', {}, { timeout: 5000 })).toHaveTextContent(UI_MESSAGES.ERROR_SERVER);
+    expect(screen.getByText('#24')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Try Again' })).not.toBeInTheDocument();
+  });
+});
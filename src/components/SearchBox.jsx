@@ -0,0 +1,203 @@
+/**
+ * SearchBox Component
+ *
+ * Search input for the posts list that searches while the user types.
+ * Changes are sent SEARCH.DEBOUNCE_DELAY ms after the last keystroke;
+ * Enter or the Search button sends them at once. While focused, the box
+ * offers the user's recent searches (arrow keys and Enter, or a click).
+ *
+ * One burst of typing adds a single history entry: the first search it
+ * sends is pushed and later ones replace it, so back/forward steps between
+ * searches rather than keystrokes.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.value - Search term currently applied to the list
+ * @param {Function} props.onSearch - Called with `(term, { replace })` to apply a term
+ * @example
+ * return (
+ *   <SearchBox
+ *     value={searchTerm}
+ *     onSearch={(term, { replace }) => setListParams({ search: term, page: 1 }, { replace })}
+ *   />
+ * )
+ */
+
+import { useState, useEffect, useRef, useId } from 'react';
+import { useRecentSearches } from '../hooks/useRecentSearches';
+import { SEARCH } from '../utils/constants';
+import { validateSearchTerm } from '../utils/validation';
+import './SearchBox.css';
+
+function SearchBox({ value, onSearch }) {
+  const [input, setInput] = useState(value);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const { recent, add: addRecent, clear: clearRecent } = useRecentSearches();
+  const listId = useId();
+  const inputRef = useRef(null);
+
+  // Refs so the debounce timer sees the latest term and callback
+  const timerRef = useRef(null);
+  const typingRef = useRef(false);
+  const latestRef = useRef({ value, onSearch });
+  useEffect(() => {
+    latestRef.current = { value, onSearch };
+  }, [value, onSearch]);
+
+  const query = validateSearchTerm(input).toLowerCase();
+  const suggestions = recent.filter(term => (
+    term.toLowerCase().includes(query) && term.toLowerCase() !== query
+  ));
+  const showSuggestions = open && suggestions.length > 0;
+
+  /**
+   * Applies a term to the list unless it is already applied
+   */
+  const apply = (term, { typing = false } = {}) => {
+    clearTimeout(timerRef.current);
+    const { value: current, onSearch: search } = latestRef.current;
+    if (term !== current) {
+      search(term, { replace: typing && typingRef.current });
+    }
+    typingRef.current = typing;
+  };
+
+  const handleChange = (e) => {
+    const next = e.target.value;
+    setInput(next);
+    setOpen(true);
+    setActiveIndex(-1);
+
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(
+      () => apply(validateSearchTerm(next), { typing: true }),
+      SEARCH.DEBOUNCE_DELAY
+    );
+  };
+
+  const selectSuggestion = (term) => {
+    setInput(term);
+    setOpen(false);
+    setActiveIndex(-1);
+    apply(term);
+    addRecent(term);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (showSuggestions && activeIndex >= 0) {
+      selectSuggestion(suggestions[activeIndex]);
+      return;
+    }
+
+    const term = validateSearchTerm(input);
+    setOpen(false);
+    apply(term);
+    addRecent(term);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setOpen(true);
+      if (suggestions.length === 0) return;
+      // Cycle through the suggestions and back to the input (-1)
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      const positions = suggestions.length + 1;
+      setActiveIndex(index => ((index + 1 + step + positions) % positions) - 1);
+    } else if (e.key === 'Escape' && showSuggestions) {
+      e.preventDefault();
+      setOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  const handleBlur = () => {
+    setOpen(false);
+    setActiveIndex(-1);
+    // Leaving the box settles whatever the typing led to
+    typingRef.current = false;
+    addRecent(latestRef.current.value);
+  };
+
+  const handleClear = () => {
+    setInput('');
+    apply('');
+    inputRef.current?.focus();
+  };
+
+  // Follow the URL when back/forward changes the search, but keep what is
+  // being typed (e.g. a trailing space) when it already matches
+  useEffect(() => {
+    setInput(current => (validateSearchTerm(current) === value ? current : value));
+  }, [value]);
+
+  useEffect(() => () => clearTimeout(timerRef.current), []);
+
+  return (
+    <form className="search-form" onSubmit={handleSubmit} role="search">
+      <div className="search-container">
+        <div className="search-field">
+          <input
+            ref={inputRef}
+            type="text"
+            placeholder="Search posts by title or content..."
+            value={input}
+            onChange={handleChange}
+            onFocus={() => setOpen(true)}
+            onBlur={handleBlur}
+            onKeyDown={handleKeyDown}
+            className="search-input"
+            role="combobox"
+            aria-label="Search posts"
+            aria-autocomplete="list"
+            aria-expanded={showSuggestions}
+            aria-controls={listId}
+            aria-activedescendant={showSuggestions && activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
+          />
+          {showSuggestions && (
+            <div className="recent-searches">
+              <div className="recent-searches-header">
+                <span>Recent searches</span>
+                <button
+                  type="button"
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={clearRecent}
+                >
+                  Clear history
+                </button>
+              </div>
+              <ul id={listId} role="listbox" aria-label="Recent searches">
+                {suggestions.map((term, index) => (
+                  <li
+                    key={term}
+                    id={`${listId}-${index}`}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                    className={index === activeIndex ? 'active' : ''}
+                    // Keep focus in the input so typing can continue
+                    onMouseDown={(e) => e.preventDefault()}
+                    onClick={() => selectSuggestion(term)}
+                  >
+                    {term}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+        <button type="submit" className="search-btn">
+          Search
+        </button>
+        {(value || input) && (
+          <button type="button" onClick={handleClear} className="clear-btn">
+            Clear
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default SearchBox;
@@ -11,8 +11,27 @@
  * @version 1.0.0
  */
 
-import { useState, useCallback } from 'react';
-import { handleApiError } from '../services/api';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { ApiError, getApiError, getErrorMessage, handleApiError, isAbortError, isApiSuccess, postQueryKeys } from '../services/api';
+import { getQueryData } from '../services/queryCache';
+import * as offlineQueue from '../services/offlineQueue';
+import { runWithConcurrency } from '../utils/concurrency';
+import { BULK_ACTIONS, HTTP_STATUS, UI_MESSAGES } from '../utils/constants';
+import { useNotifications } from './useNotifications';
+
+/**
+ * Turns a reply with `success: false` into an error carrying its message
+ * 
+ * @param {Object} response - API response
+ * @returns {Object} The response, if successful
+ * @throws {ApiError} With the server's message otherwise
+ */
+const requireSuccess = (response) => {
+  if (!isApiSuccess(response)) {
+    throw new ApiError(getApiError(response) || UI_MESSAGES.ERROR_SERVER, 200, response);
+  }
+  return response;
+};
 
 /**
  * Generic API Call Hook
@@ -20,6 +39,17 @@ import { handleApiError } from '../services/api';
  * A reusable hook for managing the state of any API call. Provides loading
  * states, error handling, and a consistent interface for executing API operations.
  * 
+ * Each call receives an AbortSignal. Calls still in flight when the component
+ * unmounts are cancelled, and calls sharing a `key` cancel their predecessor.
+ * Cancelled calls never set the error state. Calls marked `silent` (such as
+ * background revalidation) touch neither the loading nor the error state.
+ * 
+ * With `notifyErrors`, failed calls are also published as error toasts,
+ * worded by status (see getErrorMessage), for views that have no place of
+ * their own to show the error.
+ * 
+ * @param {Object} [options={}] - Hook options
+ * @param {boolean} [options.notifyErrors=false] - Publish failures through useNotifications
  * @returns {Object} Hook state and methods
  * @returns {boolean} loading - True when an API call is in progress
  * @returns {string|null} error - Error message if the last call failed
@@ -48,32 +78,72 @@ import { handleApiError } from '../services/api';
  *   );
  * }
  */
-export function useApiCall() {
-  const [loading, setLoading] = useState(false);
+export function useApiCall({ notifyErrors = false } = {}) {
+  const [pendingCount, setPendingCount] = useState(0);
   const [error, setError] = useState(null);
+  const notifications = useNotifications();
+
+  // Controllers for every call in flight, and the latest one per key
+  const controllersRef = useRef(new Set());
+  const keyedControllersRef = useRef(new Map());
+
+  // Cancel everything still running when the component unmounts
+  useEffect(() => {
+    const controllers = controllersRef.current;
+    return () => {
+      controllers.forEach(controller => controller.abort());
+      controllers.clear();
+    };
+  }, []);
 
   /**
    * Executes an API call with automatic state management
    * 
-   * @param {Function} apiCall - Function that returns a Promise (API call)
+   * @param {Function} apiCall - Function receiving an AbortSignal and returning a Promise
+   * @param {Object} [options={}] - Execution options
+   * @param {string} [options.key] - Calls with the same key cancel the previous one
+   * @param {boolean} [options.silent=false] - Skip loading and error state updates
    * @returns {Promise<any>} The result of the API call
    * @throws {Error} Re-throws the original error after setting error state
    */
-  const execute = useCallback(async (apiCall) => {
+  const execute = useCallback(async (apiCall, { key, silent = false } = {}) => {
+    const controller = new AbortController();
+    const keyedControllers = keyedControllersRef.current;
+
+    if (key) {
+      keyedControllers.get(key)?.abort();
+      keyedControllers.set(key, controller);
+    }
+    controllersRef.current.add(controller);
+
     try {
-      setLoading(true);
-      setError(null);
+      if (!silent) {
+        setPendingCount(count => count + 1);
+        setError(null);
+      }
       
-      const result = await apiCall();
+      const result = await apiCall(controller.signal);
       return result;
     } catch (err) {
-      const errorInfo = handleApiError(err);
-      setError(errorInfo.message);
+      // Cancellation is intentional, never report it as a failure
+      if (!silent && !isAbortError(err) && !controller.signal.aborted) {
+        const errorInfo = handleApiError(err);
+        setError(errorInfo.message);
+        if (notifyErrors) {
+          notifications.error(getErrorMessage(err));
+        }
+      }
       throw err; // Re-throw for component-level handling
     } finally {
-      setLoading(false);
+      controllersRef.current.delete(controller);
+      if (key && keyedControllers.get(key) === controller) {
+        keyedControllers.delete(key);
+      }
+      if (!silent) {
+        setPendingCount(count => count - 1);
+      }
     }
-  }, []);
+  }, [notifyErrors, notifications]);
 
   /**
    * Clears the current error state
@@ -85,7 +155,7 @@ export function useApiCall() {
   }, []);
 
   return {
-    loading,
+    loading: pendingCount > 0,
     error,
     execute,
     clearError,
@@ -96,19 +166,40 @@ export function useApiCall() {
  * Posts-Specific API Hook
  * 
  * A specialized hook for managing posts data and operations. Provides state
- * management for posts list, pagination, and all CRUD operations with
+ * management for posts list, pagination, and post mutations with
  * optimistic updates for better user experience.
  * 
+ * A new `fetchPosts` call cancels the one before it, so a slow response for
+ * an outdated search or page can never overwrite newer results. Failed
+ * fetches are also published as error toasts.
+ * 
+ * Creates and updates are applied to the local list immediately and
+ * rolled back (with `mutationError` set) if the server rejects them.
+ * Deletes go through `hidePost` (undoable, see useUndoableDelete) or
+ * `deletePosts` (bulk).
+ * 
+ * Previously fetched pages are rendered straight from the query cache and
+ * revalidated in the background (`revalidating` is true meanwhile) instead
+ * of showing the loading state again.
+ * 
+ * With `append`, a fetched page is added to the end of the current posts
+ * instead of replacing them, skipping posts already in the list. This is
+ * how an infinitely scrolling list grows.
+ * 
  * @returns {Object} Hook state and methods
  * @returns {Array} posts - Array of post objects
  * @returns {Object} pagination - Pagination metadata (currentPage, totalPages, etc.)
  * @returns {boolean} loading - True when an API call is in progress
- * @returns {string|null} error - Error message if the last call failed
+ * @returns {boolean} revalidating - True while cached posts are refreshed in the background
+ * @returns {string|null} error - Error message if the last fetch failed
+ * @returns {string|null} mutationError - Error message if the last mutation was rolled back
  * @returns {Function} fetchPosts - Function to fetch posts with pagination/search
- * @returns {Function} createPost - Function to create a new post
- * @returns {Function} updatePost - Function to update an existing post
- * @returns {Function} deletePost - Function to delete a post (with optimistic update)
+ * @returns {Function} createPost - Function to create a new post (with optimistic update)
+ * @returns {Function} updatePost - Function to update an existing post (with optimistic update)
+ * @returns {Function} deletePosts - Function to delete several posts with limited concurrency
+ * @returns {Function} hidePost - Function to remove a post locally, returning a restore function
  * @returns {Function} clearError - Function to clear the current error
+ * @returns {Function} clearMutationError - Function to dismiss the rollback notice
  * 
  * @example
  * function PostsList() {
@@ -118,19 +209,19 @@ export function useApiCall() {
  *     loading,
  *     error,
  *     fetchPosts,
- *     deletePost
+ *     updatePost
  *   } = usePostsApi();
  *   
  *   useEffect(() => {
  *     fetchPosts({ page: 1, limit: 10 });
  *   }, []);
  *   
- *   const handleDelete = async (postId) => {
+ *   const handleRename = async (post) => {
  *     try {
- *       await deletePost(postId);
- *       // Post is automatically removed from local state
+ *       await updatePost(post.id, { title: `${post.title} (edited)`, body: post.body });
+ *       // The change shows at once and is rolled back if the save fails
  *     } catch (err) {
- *       console.error('Delete failed:', err);
+ *       console.error('Update failed:', err);
  *     }
  *   };
  *   
@@ -141,7 +232,7 @@ export function useApiCall() {
  *       {posts.map(post => (
  *         <div key={post.id}>
  *           <h3>{post.title}</h3>
- *           <button onClick={() => handleDelete(post.id)}>Delete</button>
+ *           <button onClick={() => handleRename(post)}>Rename</button>
  *         </div>
  *       ))}
  *     </div>
@@ -151,7 +242,28 @@ export function useApiCall() {
 export function usePostsApi() {
   const [posts, setPosts] = useState([]);
   const [pagination, setPagination] = useState({});
-  const { loading, error, execute, clearError } = useApiCall();
+  const [revalidating, setRevalidating] = useState(false);
+  const [mutationError, setMutationError] = useState(null);
+  const { loading, error, execute, clearError } = useApiCall({ notifyErrors: true });
+
+  // Latest state, read when taking snapshots for rollback and placing new posts
+  const postsRef = useRef(posts);
+  const paginationRef = useRef(pagination);
+  useEffect(() => {
+    postsRef.current = posts;
+    paginationRef.current = pagination;
+  }, [posts, pagination]);
+
+  // Identifies the latest fetchPosts call so older ones can't reset revalidating
+  const fetchIdRef = useRef(0);
+
+  // Position of each post in the last server response, for restoring hidden posts
+  const serverOrderRef = useRef(new Map());
+
+  // Optimistic creates still waiting for the server by temporary ID, kept on
+  // top of the first page when it is fetched again meanwhile
+  const pendingCreatesRef = useRef(new Map());
+  const tempIdRef = useRef(0);
 
   /**
    * Fetches posts with optional pagination and search parameters
@@ -160,40 +272,148 @@ export function usePostsApi() {
    * @param {number} [params.page] - Page number for pagination
    * @param {number} [params.limit] - Number of posts per page
    * @param {string} [params.search] - Search term for filtering
+   * @param {Object} [options={}] - Fetch options
+   * @param {number} [options.staleTime] - Maximum age of cached data before revalidating
+   * @param {boolean} [options.background=false] - Keep the current posts on screen and skip the cache
+   * @param {boolean} [options.append=false] - Add the page to the current posts without a loading
+   *   state; `pagination.currentPage` keeps pointing at the first page of the list
    * @returns {Promise<Object>} The API response
+   * @throws {ApiError} ABORTED error when superseded by a newer call
    */
-  const fetchPosts = useCallback(async (params = {}) => {
+  const fetchPosts = useCallback(async (params = {}, { staleTime, background = false, append = false } = {}) => {
     const { postsApi } = await import('../services/api');
-    
-    const response = await execute(() => postsApi.getAll(params));
-    
-    // Update local state with fetched data
-    if (response && response.success) {
-      setPosts(response.data.posts || []);
-      setPagination(response.data.pagination || {});
+    const fetchId = ++fetchIdRef.current;
+
+    const applyResponse = (response) => {
+      if (!response || !response.success) return;
+
+      const fetched = response.data.posts || [];
+      const fetchedPagination = response.data.pagination || {};
+      if (!append) {
+        const pendingCreates = [...pendingCreatesRef.current.values()];
+        serverOrderRef.current = new Map(fetched.map((post, index) => [post.id, index]));
+        setPosts((fetchedPagination.currentPage || 1) === 1 ? [...pendingCreates, ...fetched] : fetched);
+        setPagination({ ...fetchedPagination, totalItems: (fetchedPagination.totalItems || 0) + pendingCreates.length });
+        return;
+      }
+
+      // Pages overlap when posts were created or deleted since the last one
+      const known = new Set(postsRef.current.map(post => post.id));
+      const added = fetched.filter(post => !known.has(post.id));
+      added.forEach(post => serverOrderRef.current.set(post.id, serverOrderRef.current.size));
+      setPosts((prev) => {
+        const present = new Set(prev.map(post => post.id));
+        return [...prev, ...added.filter(post => !present.has(post.id))];
+      });
+      setPagination(prev => ({ ...fetchedPagination, currentPage: prev.currentPage ?? fetchedPagination.currentPage }));
+    };
+
+    // Render cached data right away and refresh it without a loading state
+    const cached = background || append ? null : getQueryData(postQueryKeys.list(params));
+    if (cached) {
+      applyResponse(cached);
+    }
+    setRevalidating(Boolean(cached) || background);
+
+    try {
+      const response = await execute(
+        (signal) => postsApi.getAll(params, { signal, staleTime: background ? 0 : staleTime }),
+        { key: 'fetchPosts', silent: Boolean(cached) || background || append }
+      );
+      
+      // Update local state with fetched data
+      applyResponse(response);
+      return response;
+    } finally {
+      if (fetchIdRef.current === fetchId) {
+        setRevalidating(false);
+      }
     }
-    
-    return response;
   }, [execute]);
 
   /**
-   * Creates a new post
+   * Runs an optimistic mutation
+   * 
+   * Applies the local change immediately, then performs the request without
+   * a loading state. If the request fails or the reply has `success: false`,
+   * the change is rolled back and `mutationError` is set; cancellations roll
+   * back silently.
+   * 
+   * @param {Object} mutation - Mutation steps
+   * @param {Function} mutation.apply - Applies the optimistic change, returns a rollback function
+   * @param {Function} mutation.request - Receives an AbortSignal and performs the API call
+   * @param {Function} [mutation.reconcile] - Receives the successful response to merge server data
+   * @returns {Promise<Object>} The API response
+   */
+  const runOptimistic = useCallback(async ({ apply, request, reconcile }) => {
+    setMutationError(null);
+    const rollback = apply();
+
+    try {
+      const response = requireSuccess(await execute(request, { silent: true }));
+      if (reconcile) {
+        reconcile(response);
+      }
+      return response;
+    } catch (err) {
+      rollback();
+      if (!isAbortError(err)) {
+        setMutationError(handleApiError(err).message);
+      }
+      throw err;
+    }
+  }, [execute]);
+
+  /**
+   * Creates a new post with optimistic update
+   * 
+   * A temporary post (marked `isOptimistic`) is added to the top of the
+   * first page right away and replaced by the server's version, with its
+   * assigned ID, once created. On failure it is removed again. Queued
+   * offline posts keep the temporary entry until the list is fetched again.
    * 
    * @param {Object} postData - The post data to create
    * @param {string} postData.title - Post title
    * @param {string} postData.body - Post content
    * @param {number} postData.user_id - User ID
-   * @returns {Promise<Object>} The API response with created post data
+   * @returns {Promise<Object>} The API response with created post data, or a
+   *   `queued: true` placeholder if the network is unavailable
    */
   const createPost = useCallback(async (postData) => {
-    const { postsApi } = await import('../services/api');
-    
-    const response = await execute(() => postsApi.create(postData));
-    return response;
-  }, [execute]);
+    const tempPost = { ...postData, id: `temp-${++tempIdRef.current}`, isOptimistic: true };
+
+    try {
+      return await runOptimistic({
+        apply: () => {
+          pendingCreatesRef.current.set(tempPost.id, tempPost);
+          if ((paginationRef.current.currentPage || 1) === 1) {
+            setPosts(prev => [tempPost, ...prev]);
+          }
+          setPagination(prev => ({ ...prev, totalItems: (prev.totalItems || 0) + 1 }));
+
+          return () => {
+            pendingCreatesRef.current.delete(tempPost.id);
+            setPosts(prev => prev.filter(post => post.id !== tempPost.id));
+            setPagination(prev => ({ ...prev, totalItems: Math.max(0, (prev.totalItems || 0) - 1) }));
+          };
+        },
+        request: (signal) => offlineQueue.queuedPostsApi.create(postData, { signal }),
+        reconcile: (response) => {
+          if (response.success && !response.queued && response.data) {
+            setPosts(prev => prev.map(post => (post.id === tempPost.id ? response.data : post)));
+          }
+        },
+      });
+    } finally {
+      pendingCreatesRef.current.delete(tempPost.id);
+    }
+  }, [runOptimistic]);
 
   /**
-   * Updates an existing post
+   * Updates an existing post with optimistic update
+   * 
+   * The post is changed locally right away and replaced by the server's
+   * version once saved. On failure the previous version is restored.
    * 
    * @param {string|number} id - The post ID to update
    * @param {Object} postData - The updated post data
@@ -202,44 +422,278 @@ export function usePostsApi() {
    * @returns {Promise<Object>} The API response with updated post data
    */
   const updatePost = useCallback(async (id, postData) => {
-    const { postsApi } = await import('../services/api');
-    
-    const response = await execute(() => postsApi.update(id, postData));
-    return response;
-  }, [execute]);
+    return runOptimistic({
+      apply: () => {
+        const previous = postsRef.current.find(post => post.id === id);
+        setPosts(prev => prev.map(post => (
+          post.id === id ? { ...post, ...postData, isOptimistic: true } : post
+        )));
+
+        return () => {
+          if (previous) {
+            setPosts(prev => prev.map(post => (post.id === id ? previous : post)));
+          }
+        };
+      },
+      request: (signal) => offlineQueue.queuedPostsApi.update(id, postData, { signal }),
+      reconcile: (response) => {
+        if (response.success && !response.queued && response.data) {
+          setPosts(prev => prev.map(post => (post.id === id ? response.data : post)));
+        }
+      },
+    });
+  }, [runOptimistic]);
 
   /**
-   * Deletes a post with optimistic UI update
+   * Removes a post from the local list without calling the server
    * 
-   * Immediately removes the post from the local state for better UX,
-   * then performs the actual deletion. If the deletion fails, the UI
-   * will show an error but the post will remain removed from the list.
+   * Used for deletes that can still be undone. The returned function puts
+   * the post back at its original position and restores the pagination.
    * 
-   * @param {string|number} id - The post ID to delete
-   * @returns {Promise<Object>} The API response
+   * @param {number} id - Post ID
+   * @returns {Function} Restores the post
    */
-  const deletePost = useCallback(async (id) => {
-    const { postsApi } = await import('../services/api');
-    
-    const response = await execute(() => postsApi.delete(id));
-    
-    // Optimistically remove the post from local state
-    if (response.success) {
-      setPosts(prev => prev.filter(post => post.id !== id));
-    }
-    
-    return response;
+  const hidePost = useCallback((id) => {
+    const removed = postsRef.current.find(post => post.id === id);
+    if (!removed) return () => {};
+
+    setPosts(prev => prev.filter(post => post.id !== id));
+    setPagination(prev => ({ ...prev, totalItems: Math.max(0, (prev.totalItems || 0) - 1) }));
+
+    return () => {
+      // Go by the server order so the post lands in the right place even
+      // if other posts were hidden or restored in the meantime; posts the
+      // server has not returned yet (optimistic creates) stay on top
+      const rank = (post) => serverOrderRef.current.get(post.id) ?? -1;
+      setPosts(prev => {
+        const insertAt = prev.findIndex(post => rank(post) > rank(removed));
+        const restored = [...prev];
+        restored.splice(insertAt === -1 ? restored.length : insertAt, 0, removed);
+        return restored;
+      });
+      setPagination(prev => ({ ...prev, totalItems: (prev.totalItems || 0) + 1 }));
+    };
+  }, []);
+
+  /**
+   * Deletes several posts
+   * 
+   * Sends at most BULK_ACTIONS.CONCURRENCY deletes at a time and removes
+   * each post from the list as soon as its delete succeeds (or is queued
+   * offline). Failures leave their post in place and are reported per post
+   * in the results rather than thrown.
+   * 
+   * @param {Array<number>} ids - Posts to delete
+   * @param {Object} [options={}] - Options
+   * @param {Function} [options.onProgress] - Called with (completed, total, result) after each post
+   * @returns {Promise<Array<Object>>} One `{ item: id, status, value|reason }` per post
+   */
+  const deletePosts = useCallback(async (ids, { onProgress } = {}) => {
+    setMutationError(null);
+
+    return runWithConcurrency(
+      ids,
+      (id) => execute((signal) => offlineQueue.queuedPostsApi.delete(id, { signal }), { silent: true }),
+      {
+        concurrency: BULK_ACTIONS.CONCURRENCY,
+        onProgress: (completed, total, result) => {
+          if (result.status === 'fulfilled') {
+            setPosts(prev => prev.filter(post => post.id !== result.item));
+            setPagination(prev => ({ ...prev, totalItems: Math.max(0, (prev.totalItems || 0) - 1) }));
+          }
+          if (onProgress) onProgress(completed, total, result);
+        },
+      }
+    );
   }, [execute]);
 
+  /**
+   * Clears the error left by a rolled-back mutation
+   */
+  const clearMutationError = useCallback(() => {
+    setMutationError(null);
+  }, []);
+
   return {
     posts,
     pagination,
     loading,
+    revalidating,
     error,
+    mutationError,
     fetchPosts,
     createPost,
     updatePost,
-    deletePost,
+    deletePosts,
+    hidePost,
     clearError,
+    clearMutationError,
+  };
+}
+
+/**
+ * Single Post Hook
+ * 
+ * Loads one post by ID with `postsApi.getById`. A cached copy is shown
+ * immediately and revalidated in the background; the request is cancelled
+ * when the ID changes or the component unmounts. A 404 is reported through
+ * `notFound` rather than `error` so pages can render a dedicated state.
+ * 
+ * @param {string|number} id - Post ID
+ * @returns {Object} Hook state and methods
+ * @returns {Object|null} post - The loaded post
+ * @returns {boolean} loading - True while loading without cached data, from the first render on
+ * @returns {string|null} error - Error message if loading failed
+ * @returns {boolean} notFound - True if the post does not exist
+ * @returns {Function} reload - Fetches the post again, bypassing the cache
+ * 
+ * @example
+ * function PostTitle({ id }) {
+ *   const { post, loading, notFound } = usePost(id);
+ *   if (loading) return <p>Loading...</p>;
+ *   if (notFound) return <p>Post not found</p>;
+ *   return <h1>{post?.title}</h1>;
+ * }
+ */
+export function usePost(id) {
+  const [post, setPost] = useState(() => getQueryData(postQueryKeys.detail(id))?.data || null);
+  const [notFound, setNotFound] = useState(false);
+  // ID of the last load that finished; until then the post counts as loading,
+  // even before the request has started
+  const [settledId, setSettledId] = useState(null);
+  const { loading, error, execute, clearError } = useApiCall();
+
+  const load = useCallback(async (staleTime) => {
+    const { postsApi } = await import('../services/api');
+
+    const cached = getQueryData(postQueryKeys.detail(id));
+    setPost(cached?.data || null);
+    setNotFound(false);
+    clearError();
+
+    try {
+      const response = await execute(
+        async (signal) => requireSuccess(await postsApi.getById(id, { signal, staleTime })),
+        { key: 'post', silent: Boolean(cached) }
+      );
+      setPost(response.data);
+    } catch (err) {
+      // A newer load took over
+      if (isAbortError(err)) return;
+      if (err.status === HTTP_STATUS.NOT_FOUND) {
+        setNotFound(true);
+        setPost(null);
+        clearError();
+      } else {
+        console.error('Error fetching post:', err);
+      }
+    }
+    setSettledId(id);
+  }, [id, execute, clearError]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const reload = useCallback(() => load(0), [load]);
+
+  return {
+    post,
+    loading: (loading || settledId !== id) && !post,
+    error,
+    notFound,
+    reload,
+  };
+}
+
+/**
+ * Offline Queue Hook
+ * 
+ * Exposes the persistent offline mutation queue to components and replays
+ * it whenever the browser comes back online (and once on mount, to pick up
+ * items left over from a previous session).
+ * 
+ * @param {Object} [options={}] - Hook options
+ * @param {Function} [options.onReplayed] - Called with the number of items sent after a replay
+ * @returns {Object} Hook state and methods
+ * @returns {Array} queue - Queued items with their status
+ * @returns {boolean} isOnline - Browser connectivity as reported by navigator.onLine
+ * @returns {boolean} replaying - True while the queue is being replayed
+ * @returns {Function} replay - Sends all pending items
+ * @returns {Function} retry - Marks a failed or conflicted item pending and replays
+ * @returns {Function} discard - Removes an item without sending it
+ * 
+ * @example
+ * function QueueBadge() {
+ *   const { queue, isOnline } = useOfflineQueue();
+ *   return <span>{isOnline ? 'Online' : 'Offline'} ({queue.length} queued)</span>;
+ * }
+ */
+export function useOfflineQueue({ onReplayed } = {}) {
+  const [queue, setQueue] = useState(offlineQueue.getQueue);
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [replaying, setReplaying] = useState(false);
+
+  // Keep the latest callback without re-registering listeners
+  const onReplayedRef = useRef(onReplayed);
+  useEffect(() => {
+    onReplayedRef.current = onReplayed;
+  }, [onReplayed]);
+
+  /**
+   * Runs a replay and reports how many items were sent
+   * 
+   * @param {Function} run - Starts the replay and resolves with the sent count
+   */
+  const runReplay = useCallback(async (run) => {
+    setReplaying(true);
+    try {
+      const sent = await run();
+      if (sent > 0 && onReplayedRef.current) {
+        onReplayedRef.current(sent);
+      }
+    } finally {
+      setReplaying(false);
+    }
+  }, []);
+
+  const replay = useCallback(() => runReplay(offlineQueue.replayQueue), [runReplay]);
+
+  const retry = useCallback((id) => runReplay(() => offlineQueue.retry(id)), [runReplay]);
+
+  const discard = useCallback((id) => {
+    offlineQueue.discard(id);
+  }, []);
+
+  useEffect(() => {
+    const unsubscribe = offlineQueue.subscribe(setQueue);
+
+    const handleOnline = () => {
+      setIsOnline(true);
+      replay();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    if (navigator.onLine) {
+      replay();
+    }
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [replay]);
+
+  return {
+    queue,
+    isOnline,
+    replaying,
+    replay,
+    retry,
+    discard,
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,285 @@
+import { describe, it, expect, vi } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { useApiCall, usePostsApi, usePost } from './useApi';
+import { ApiError } from '../services/api';
+import { API_ERROR_TYPES, UI_MESSAGES } from '../utils/constants';
+import NotificationProvider from '../components/NotificationProvider';
+import { stubFetch, jsonResponse, ok, fail, postsPage } from '../test/helpers';
+
+const posts = [
+  { id: 1, title: 'First', body: 'One', user_id: 1 },
+  { id: 2, title: 'Second', body: 'Two', user_id: 1 },
+];
+
+describe('useApiCall', () => {
+  it('tracks loading and returns the result', async () => {
+    const { result } = renderHook(() => useApiCall());
+    let resolveCall;
+    let promise;
+
+    act(() => {
+      promise = result.current.execute(() => new Promise(resolve => { resolveCall = resolve; }));
+    });
+    expect(result.current.loading).toBe(true);
+
+    await act(async () => {
+      resolveCall('done');
+      await expect(promise).resolves.toBe('done');
+    });
+    expect(result.current.loading).toBe(false);
+    expect(result.current.error).toBeNull();
+  });
+
+  it('stores the error message and re-throws', async () => {
+    const { result } = renderHook(() => useApiCall());
+
+    await act(async () => {
+      await expect(result.current.execute(async () => {
+        throw new ApiError('Server exploded', 500, null);
+      })).rejects.toThrow('Server exploded');
+    });
+    expect(result.current.error).toBe('Server exploded');
+
+    act(() => result.current.clearError());
+    expect(result.current.error).toBeNull();
+  });
+
+  it('never reports cancellations as errors', async () => {
+    const { result } = renderHook(() => useApiCall());
+
+    await act(async () => {
+      await expect(result.current.execute(async () => {
+        throw new ApiError('Request was cancelled', 0, null, API_ERROR_TYPES.ABORTED);
+      })).rejects.toBeInstanceOf(ApiError);
+    });
+    expect(result.current.error).toBeNull();
+  });
+
+  it('publishes failures as toasts worded by status when asked to', async () => {
+    const { result } = renderHook(() => useApiCall({ notifyErrors: true }), { wrapper: NotificationProvider });
+    const fail = (error) => act(async () => {
+      await result.current.execute(async () => { throw error; }).catch(() => {});
+    });
+
+    await fail(new ApiError('upstream exploded', 502, null));
+    await fail(new ApiError('Failed to fetch', 0, null));
+    await fail(new ApiError('Title is required', 400, null));
+    await fail(new ApiError('Request was cancelled', 0, null, API_ERROR_TYPES.ABORTED));
+
+    const toasts = [...document.querySelectorAll('.toast-message')].map(el => el.textContent);
+    expect(toasts).toEqual([UI_MESSAGES.ERROR_SERVER, UI_MESSAGES.ERROR_NETWORK, 'Title is required']);
+  });
+
+  it('cancels the previous call with the same key', async () => {
+    const { result } = renderHook(() => useApiCall());
+    const signals = [];
+    const pending = (signal) => {
+      signals.push(signal);
+      return new Promise(() => {});
+    };
+
+    act(() => {
+      result.current.execute(pending, { key: 'list' }).catch(() => {});
+      result.current.execute(pending, { key: 'list' }).catch(() => {});
+    });
+
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[1].aborted).toBe(false);
+  });
+
+  it('cancels calls in flight on unmount', () => {
+    const { result, unmount } = renderHook(() => useApiCall());
+    let signal;
+
+    act(() => {
+      result.current.execute((s) => { signal = s; return new Promise(() => {}); }).catch(() => {});
+    });
+    unmount();
+
+    expect(signal.aborted).toBe(true);
+  });
+});
+
+describe('usePostsApi', () => {
+  it('fetchPosts stores posts and pagination', async () => {
+    stubFetch(jsonResponse(postsPage(posts, { totalItems: 2 })));
+    const { result } = renderHook(() => usePostsApi());
+
+    await act(() => result.current.fetchPosts({ page: 1 }));
+
+    expect(result.current.posts).toEqual(posts);
+    expect(result.current.pagination.totalItems).toBe(2);
+  });
+
+  it('ignores a superseded response', async () => {
+    const replies = {};
+    stubFetch((url, init) => new Promise((resolve, reject) => {
+      replies[new URL(url).searchParams.get('search')] = resolve;
+      init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+    const { result } = renderHook(() => usePostsApi());
+
+    let first;
+    let second;
+    await act(async () => {
+      first = result.current.fetchPosts({ search: 'old' }).catch(err => err);
+      second = result.current.fetchPosts({ search: 'new' });
+      await vi.waitFor(() => expect(replies.new).toBeDefined());
+    });
+    await act(async () => {
+      replies.new(jsonResponse(postsPage([posts[1]])));
+      await second;
+    });
+
+    await expect(first).resolves.toMatchObject({ type: API_ERROR_TYPES.ABORTED });
+    expect(result.current.posts).toEqual([posts[1]]);
+    expect(result.current.error).toBeNull();
+  });
+
+  it('appends a page without duplicating posts already listed', async () => {
+    const third = { id: 3, title: 'Third', body: 'Three', user_id: 1 };
+    stubFetch((url) => jsonResponse(new URL(url).searchParams.get('page') === '2'
+      ? postsPage([posts[1], third], { currentPage: 2, totalPages: 2, totalItems: 3 })
+      : postsPage(posts, { totalPages: 2, totalItems: 3, hasNextPage: true })));
+    const { result } = renderHook(() => usePostsApi());
+
+    await act(() => result.current.fetchPosts({ page: 1 }));
+    await act(() => result.current.fetchPosts({ page: 2 }, { append: true }));
+
+    expect(result.current.posts).toEqual([...posts, third]);
+    expect(result.current.pagination).toMatchObject({ currentPage: 1, totalItems: 3 });
+    expect(result.current.loading).toBe(false);
+  });
+
+  it('renders cached pages immediately and revalidates silently', async () => {
+    const fetchMock = stubFetch(jsonResponse(postsPage(posts)));
+    const first = renderHook(() => usePostsApi());
+    await act(() => first.result.current.fetchPosts({ page: 1 }));
+    first.unmount();
+
+    const { result } = renderHook(() => usePostsApi());
+    await act(() => result.current.fetchPosts({ page: 1 }, { staleTime: 0 }));
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(result.current.posts).toEqual(posts);
+  });
+
+  it('shows an update immediately and restores the post on failure', async () => {
+    stubFetch(jsonResponse(postsPage(posts)), jsonResponse(fail('Cannot update'), 400));
+    const { result } = renderHook(() => usePostsApi());
+    await act(() => result.current.fetchPosts());
+
+    let update;
+    act(() => {
+      update = result.current.updatePost(1, { title: 'Renamed', body: 'One' }).catch(() => {});
+    });
+    expect(result.current.posts[0]).toMatchObject({ title: 'Renamed', isOptimistic: true });
+
+    await act(() => update);
+    expect(result.current.posts[0]).toEqual(posts[0]);
+    expect(result.current.mutationError).toBe('Cannot update');
+  });
+
+  it('hides a post and puts it back in place', async () => {
+    stubFetch(jsonResponse(postsPage(posts, { totalItems: 2 })));
+    const { result } = renderHook(() => usePostsApi());
+    await act(() => result.current.fetchPosts());
+
+    let restore;
+    act(() => {
+      restore = result.current.hidePost(1);
+    });
+    expect(result.current.posts.map(post => post.id)).toEqual([2]);
+    expect(result.current.pagination.totalItems).toBe(1);
+
+    act(() => restore());
+    expect(result.current.posts.map(post => post.id)).toEqual([1, 2]);
+    expect(result.current.pagination.totalItems).toBe(2);
+  });
+
+  it('replaces an optimistic post with the created one', async () => {
+    const created = { id: 3, title: 'Third', body: 'Three', user_id: 1 };
+    stubFetch(jsonResponse(postsPage(posts)), jsonResponse(ok(created), 201));
+    const { result } = renderHook(() => usePostsApi());
+    await act(() => result.current.fetchPosts());
+
+    let creation;
+    act(() => {
+      creation = result.current.createPost({ title: 'Third', body: 'Three', user_id: 1 });
+    });
+    expect(result.current.posts[0]).toMatchObject({ title: 'Third', isOptimistic: true });
+    expect(result.current.pagination.totalItems).toBe(3);
+
+    await act(() => creation);
+    expect(result.current.posts[0]).toEqual(created);
+    expect(result.current.pagination.totalItems).toBe(3);
+  });
+
+  it('removes an optimistic post the server rejects', async () => {
+    stubFetch(jsonResponse(postsPage(posts)), jsonResponse(fail('Title already taken'), 400));
+    const { result } = renderHook(() => usePostsApi());
+    await act(() => result.current.fetchPosts());
+
+    await act(() => result.current.createPost({ title: 'Third', body: 'Three', user_id: 1 }).catch(() => {}));
+
+    expect(result.current.posts).toEqual(posts);
+    expect(result.current.pagination.totalItems).toBe(2);
+    expect(result.current.mutationError).toBe('Title already taken');
+  });
+
+  it('keeps an optimistic post on top when the list reloads before it is created', async () => {
+    let finishCreate;
+    const created = { id: 3, title: 'Third', body: 'Three', user_id: 1 };
+    stubFetch((url, init) => (init.method === 'POST'
+      ? new Promise((resolve) => { finishCreate = () => resolve(jsonResponse(ok(created), 201)); })
+      : jsonResponse(postsPage(posts))));
+    const { result } = renderHook(() => usePostsApi());
+
+    let creation;
+    act(() => {
+      creation = result.current.createPost({ title: 'Third', body: 'Three', user_id: 1 });
+    });
+    await act(() => result.current.fetchPosts());
+    expect(result.current.posts.map(post => post.title)).toEqual(['Third', 'First', 'Second']);
+    expect(result.current.pagination.totalItems).toBe(3);
+
+    await waitFor(() => expect(finishCreate).toBeDefined());
+    await act(async () => {
+      finishCreate();
+      await creation;
+    });
+    expect(result.current.posts[0]).toEqual(created);
+  });
+
+  it('updates a post and keeps the server version', async () => {
+    const updated = { ...posts[0], title: 'Renamed' };
+    stubFetch(jsonResponse(postsPage(posts)), jsonResponse(ok(updated)));
+    const { result } = renderHook(() => usePostsApi());
+    await act(() => result.current.fetchPosts());
+
+    await act(() => result.current.updatePost(1, { title: 'Renamed', body: 'One' }));
+
+    expect(result.current.posts[0]).toEqual(updated);
+  });
+});
+
+describe('usePost', () => {
+  it('counts as loading from the first render until the post arrives', async () => {
+    stubFetch(jsonResponse(ok(posts[0])));
+    const { result } = renderHook(() => usePost(1));
+
+    expect(result.current).toMatchObject({ post: null, loading: true, error: null });
+
+    await waitFor(() => expect(result.current.post).toEqual(posts[0]));
+    expect(result.current.loading).toBe(false);
+  });
+
+  it('reports a reply with success: false as an error', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    stubFetch(jsonResponse(fail('Post is locked')));
+    const { result } = renderHook(() => usePost(1));
+
+    await waitFor(() => expect(result.current.error).toBe('Post is locked'));
+    expect(result.current).toMatchObject({ post: null, loading: false });
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Authentication Context and Hook
+ * 
+ * Gives components access to the current user and session actions provided
+ * by AuthProvider.
+ * 
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { createContext, useContext } from 'react';
+
+/**
+ * Context populated by AuthProvider
+ */
+export const AuthContext = createContext(null);
+
+/**
+ * Authentication Hook
+ * 
+ * @returns {Object} Auth state and methods
+ * @returns {Object|null} user - Signed-in user, or null when signed out
+ * @returns {boolean} isAuthenticated - True when a user is signed in
+ * @returns {boolean} sessionExpired - True when the user must sign in again
+ * @returns {Function} login - Signs in with `{ email, password }`
+ * @returns {Function} logout - Signs out and clears cached data
+ * @throws {Error} If used outside of AuthProvider
+ * 
+ * @example
+ * function Greeting() {
+ *   const { user, logout } = useAuth();
+ *   return <p>Hello {user.name} <button onClick={logout}>Sign out</button></p>;
+ * }
+ */
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+}
@@ -0,0 +1,126 @@
+/**
+ * Post Drafts Hook
+ *
+ * Autosaves the post being written as a draft and exposes the user's saved
+ * drafts so they can be resumed or deleted.
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+import * as draftsStore from '../services/drafts';
+import { DRAFTS } from '../utils/constants';
+
+/**
+ * Checks if form values contain anything worth keeping
+ *
+ * @param {Object} values - `{ title, body }`
+ * @returns {boolean} True if either field has non-whitespace content
+ */
+const hasContent = (values) => Boolean(values.title?.trim() || values.body?.trim());
+
+/**
+ * Drafts Hook
+ *
+ * `autosave` is meant to be called on every change; it saves the values
+ * DRAFTS.SAVE_DELAY ms after the last call, and immediately if the
+ * component unmounts first. The first save creates a draft that later saves
+ * update. Clearing both fields deletes that draft again.
+ *
+ * @param {number} userId - Author whose drafts are managed
+ * @returns {Object} Drafts state and methods
+ * @returns {Array<Object>} drafts - Saved drafts, most recent first
+ * @returns {string|null} activeDraftId - Draft the form is currently saving to
+ * @returns {Function} autosave - Schedules saving `{ title, body }`
+ * @returns {Function} resume - Continues editing the given draft
+ * @returns {Function} startNew - Detaches the form so the next save creates a new draft
+ * @returns {Function} discardActive - Deletes the draft being edited (e.g. after posting it)
+ * @returns {Function} remove - Deletes a draft by ID
+ *
+ * @example
+ * const { autosave, discardActive } = useDrafts(user.id);
+ * <PostForm onChange={(field, value, values) => autosave(values)} />
+ */
+export function useDrafts(userId) {
+  const [drafts, setDrafts] = useState(() => draftsStore.getDrafts(userId));
+  const [activeDraftId, setActiveDraftId] = useState(null);
+
+  // Refs so the unmount flush sees the latest values without re-subscribing
+  const activeIdRef = useRef(null);
+  const pendingRef = useRef(null);
+  const timerRef = useRef(null);
+
+  const setActive = useCallback((id) => {
+    activeIdRef.current = id;
+    setActiveDraftId(id);
+  }, []);
+
+  /**
+   * Writes the pending values, if any, to storage
+   *
+   * Returns the draft ID now holding them, or null when nothing is kept.
+   */
+  const flush = useCallback(() => {
+    clearTimeout(timerRef.current);
+    const values = pendingRef.current;
+    pendingRef.current = null;
+    if (!values) return activeIdRef.current;
+
+    if (!hasContent(values)) {
+      if (activeIdRef.current) draftsStore.deleteDraft(activeIdRef.current);
+      return null;
+    }
+
+    return draftsStore.saveDraft({ id: activeIdRef.current, userId, ...values }).id;
+  }, [userId]);
+
+  const autosave = useCallback((values) => {
+    pendingRef.current = { title: values.title, body: values.body };
+    clearTimeout(timerRef.current);
+    timerRef.current = setTimeout(() => setActive(flush()), DRAFTS.SAVE_DELAY);
+  }, [flush, setActive]);
+
+  const resume = useCallback((draft) => {
+    flush();
+    setActive(draft.id);
+  }, [flush, setActive]);
+
+  const startNew = useCallback(() => {
+    flush();
+    setActive(null);
+  }, [flush, setActive]);
+
+  const discardActive = useCallback(() => {
+    clearTimeout(timerRef.current);
+    pendingRef.current = null;
+    if (activeIdRef.current) draftsStore.deleteDraft(activeIdRef.current);
+    setActive(null);
+  }, [setActive]);
+
+  const remove = useCallback((id) => {
+    if (id === activeIdRef.current) {
+      discardActive();
+    } else {
+      draftsStore.deleteDraft(id);
+    }
+  }, [discardActive]);
+
+  useEffect(() => {
+    setDrafts(draftsStore.getDrafts(userId));
+    return draftsStore.subscribe(() => setDrafts(draftsStore.getDrafts(userId)));
+  }, [userId]);
+
+  // Leaving the form must not lose the last keystrokes
+  useEffect(() => flush, [flush]);
+
+  return {
+    drafts,
+    activeDraftId,
+    autosave,
+    resume,
+    startNew,
+    discardActive,
+    remove,
+  };
+}
@@ -0,0 +1,52 @@
+/**
+ * Intersection Observer Hook
+ *
+ * Calls back whenever an element scrolls into view, e.g. a sentinel at the
+ * end of a list that should load the next page.
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useRef } from 'react';
+
+/**
+ * Intersection Observer Hook
+ *
+ * The element is passed through the returned callback ref. Nothing is
+ * observed while `enabled` is false or where the browser has no
+ * IntersectionObserver, so callers should offer a manual fallback.
+ *
+ * @param {Function} onIntersect - Called each time the element enters the viewport (plus `rootMargin`)
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.enabled=true] - Whether to observe at all
+ * @param {string} [options.rootMargin='0px'] - Grows the viewport, to trigger early
+ * @returns {Function} Callback ref for the observed element
+ *
+ * @example
+ * const sentinelRef = useIntersectionObserver(loadMore, { enabled: hasMore });
+ * <div ref={sentinelRef} />
+ */
+export function useIntersectionObserver(onIntersect, { enabled = true, rootMargin = '0px' } = {}) {
+  const [element, setElement] = useState(null);
+
+  // Ref so a new callback on every render does not re-create the observer
+  const callbackRef = useRef(onIntersect);
+  useEffect(() => {
+    callbackRef.current = onIntersect;
+  }, [onIntersect]);
+
+  useEffect(() => {
+    if (!enabled || !element || typeof IntersectionObserver === 'undefined') return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        callbackRef.current();
+      }
+    }, { rootMargin });
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [enabled, element, rootMargin]);
+
+  return setElement;
+}
@@ -0,0 +1,132 @@
+/**
+ * Posts List URL Parameters Hook
+ *
+ * Keeps the posts list view state (page, search, sort options and filters)
+ * in the URL query string, so a reload restores the view, links can be
+ * shared, and browser back/forward steps through it.
+ *
+ * Every parameter is declared once in LIST_PARAMS with its default and a
+ * parser that normalizes raw query string values. Parameters at their
+ * default are left out of the URL.
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { useCallback, useEffect, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { PAGINATION, SORTING } from '../utils/constants';
+import { validatePaginationParams, validateSearchTerm } from '../utils/validation';
+
+/**
+ * Declares a sort or filter option validated by validatePaginationParams
+ *
+ * @param {string} name - Option name
+ * @param {any} defaultValue - Value used when the option is missing or invalid
+ * @returns {Object} LIST_PARAMS entry
+ */
+const listOption = (name, defaultValue) => ({
+  defaultValue,
+  parse: (value) => validatePaginationParams(undefined, undefined, { [name]: value })[name] ?? defaultValue,
+});
+
+/**
+ * Query string parameters of the posts list
+ *
+ * Each entry maps a parameter name to its default value and a parser that
+ * turns a raw query string value (or undefined) into a valid value.
+ * Filters default to '' (not filtered).
+ */
+const LIST_PARAMS = {
+  page: {
+    defaultValue: PAGINATION.DEFAULT_PAGE,
+    parse: (value) => validatePaginationParams(value).page,
+  },
+  search: {
+    defaultValue: '',
+    parse: (value) => validateSearchTerm(value),
+  },
+  sort: listOption('sort', SORTING.DEFAULT_FIELD),
+  order: listOption('order', SORTING.DEFAULT_ORDER),
+  user_id: listOption('user_id', ''),
+  id_min: listOption('id_min', ''),
+  id_max: listOption('id_max', ''),
+  date_from: listOption('date_from', ''),
+  date_to: listOption('date_to', ''),
+};
+
+/**
+ * Names of the filter parameters, for counting and resetting active filters
+ */
+export const LIST_FILTERS = ['user_id', 'id_min', 'id_max', 'date_from', 'date_to'];
+
+/**
+ * Normalizes raw query string values into list parameters
+ *
+ * @param {URLSearchParams} searchParams - Current query string
+ * @returns {Object} Valid value for every parameter in LIST_PARAMS
+ */
+export const parseListParams = (searchParams) => Object.fromEntries(
+  Object.entries(LIST_PARAMS).map(([name, { parse }]) => [
+    name,
+    parse(searchParams.get(name) ?? undefined),
+  ])
+);
+
+/**
+ * Serializes list parameters into a query string
+ *
+ * Parameters at their default value are omitted to keep URLs short.
+ *
+ * @param {Object} params - List parameters
+ * @returns {URLSearchParams} Query string
+ */
+export const toListSearchParams = (params) => {
+  const searchParams = new URLSearchParams();
+  Object.entries(LIST_PARAMS).forEach(([name, { defaultValue }]) => {
+    const value = params[name];
+    if (value !== undefined && value !== defaultValue) {
+      searchParams.set(name, String(value));
+    }
+  });
+  return searchParams;
+};
+
+/**
+ * Posts List Parameters Hook
+ *
+ * Reads the list parameters from the query string and writes updates back
+ * as new history entries. Invalid values in the URL (e.g. `?page=abc`) are
+ * normalized and the URL is rewritten in place.
+ *
+ * @returns {Array} `[params, setParams]`
+ * @returns {Object} params - Current `{ page, search, sort, order }` and filters
+ * @returns {Function} setParams - Merges `(updates, { replace })` into the URL
+ *
+ * @example
+ * function Pager() {
+ *   const [{ page }, setParams] = useListParams();
+ *   return <button onClick={() => setParams({ page: page + 1 })}>Next</button>;
+ * }
+ */
+export function useListParams() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const params = useMemo(() => parseListParams(searchParams), [searchParams]);
+
+  // Rewrite hand-edited or outdated URLs to their normalized form
+  useEffect(() => {
+    const normalized = toListSearchParams(params);
+    if (normalized.toString() !== searchParams.toString()) {
+      setSearchParams(normalized, { replace: true });
+    }
+  }, [params, searchParams, setSearchParams]);
+
+  const setParams = useCallback((updates, { replace = false } = {}) => {
+    setSearchParams(
+      (current) => toListSearchParams({ ...parseListParams(current), ...updates }),
+      { replace }
+    );
+  }, [setSearchParams]);
+
+  return [params, setParams];
+}
@@ -0,0 +1,72 @@
+/**
+ * Posts List Preferences Hook
+ *
+ * Remembers how the user likes to browse the posts list: page by page or
+ * with infinite scrolling, and how many posts to load at a time. Unlike
+ * the list parameters in the URL (see useListParams) these are personal
+ * settings, so they are kept in localStorage.
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { useState, useCallback } from 'react';
+import { LIST_VIEW, PAGINATION } from '../utils/constants';
+import { validatePaginationParams } from '../utils/validation';
+
+/**
+ * Brings stored preferences into a valid shape
+ *
+ * @param {any} stored - Parsed storage value
+ * @returns {Object} `{ mode, pageSize }`
+ */
+const normalizePreferences = (stored) => ({
+  mode: Object.values(LIST_VIEW.MODES).includes(stored?.mode) ? stored.mode : LIST_VIEW.MODES.PAGES,
+  pageSize: validatePaginationParams(1, stored?.pageSize ?? PAGINATION.DEFAULT_LIMIT).limit,
+});
+
+/**
+ * Reads the stored preferences
+ *
+ * @returns {Object} `{ mode, pageSize }`
+ */
+const readPreferences = () => {
+  try {
+    return normalizePreferences(JSON.parse(localStorage.getItem(LIST_VIEW.STORAGE_KEY)));
+  } catch {
+    return normalizePreferences(null);
+  }
+};
+
+/**
+ * List Preferences Hook
+ *
+ * @returns {Object} Preferences and setter
+ * @returns {string} mode - One of LIST_VIEW.MODES
+ * @returns {number} pageSize - Posts per page (or per load in scroll mode)
+ * @returns {Function} setPreferences - Merges and saves `{ mode, pageSize }` updates
+ *
+ * @example
+ * const { mode, setPreferences } = useListPreferences();
+ * setPreferences({ mode: LIST_VIEW.MODES.SCROLL });
+ */
+export function useListPreferences() {
+  const [preferences, setPreferencesState] = useState(readPreferences);
+
+  const setPreferences = useCallback((updates) => {
+    setPreferencesState((prev) => {
+      const next = normalizePreferences({ ...prev, ...updates });
+      try {
+        localStorage.setItem(LIST_VIEW.STORAGE_KEY, JSON.stringify(next));
+      } catch (error) {
+        console.error('Error saving list preferences:', error);
+      }
+      return next;
+    });
+  }, []);
+
+  return {
+    ...preferences,
+    setPreferences,
+  };
+}
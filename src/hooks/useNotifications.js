@@ -0,0 +1,53 @@
+/**
+ * Notifications Context and Hook
+ *
+ * Lets components and hooks publish toasts to the NotificationProvider,
+ * e.g. the outcome of a save or why a request failed.
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { createContext, useContext } from 'react';
+
+/**
+ * Context populated by NotificationProvider
+ */
+export const NotificationsContext = createContext(null);
+
+// Used outside a provider (e.g. a component rendered on its own in a
+// test): publishing does nothing, so callers never need to check
+const noop = () => null;
+const silentNotifications = {
+  notify: noop,
+  success: noop,
+  info: noop,
+  error: noop,
+  dismiss: noop,
+};
+
+/**
+ * Notifications Hook
+ *
+ * Every publishing method receives `(message, options)` and returns the
+ * toast ID. Options are `type` ('success', 'info' or 'error'; `notify`
+ * only), `duration` in ms (0 keeps the toast until dismissed), `actions`
+ * (`{ label, onClick }` buttons that also dismiss the toast) and `id`
+ * (replaces the toast with that ID instead of adding one).
+ *
+ * @returns {Object} Notification methods
+ * @returns {Function} notify - Shows a toast of any type
+ * @returns {Function} success - Shows a success toast
+ * @returns {Function} info - Shows an informational toast
+ * @returns {Function} error - Shows an error toast
+ * @returns {Function} dismiss - Removes the toast with the given ID
+ *
+ * @example
+ * const notifications = useNotifications();
+ * notifications.error(UI_MESSAGES.ERROR_NETWORK, {
+ *   actions: [{ label: 'Try again', onClick: retry }],
+ * });
+ */
+export function useNotifications() {
+  return useContext(NotificationsContext) || silentNotifications;
+}
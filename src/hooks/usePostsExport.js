@@ -0,0 +1,114 @@
+/**
+ * Posts Export Hook
+ *
+ * Exports every post matching a search and filters, not just the page on
+ * screen. Pages are fetched one after another with progress reporting,
+ * and the export can be cancelled at any point.
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { postsApi, ApiError, getApiError, handleApiError, isAbortError, isApiSuccess } from '../services/api';
+import { EXPORT_CONFIG, UI_MESSAGES } from '../utils/constants';
+import { exportPosts } from '../utils/exportPosts';
+
+/**
+ * Fetches every page of a posts list
+ *
+ * Posts that move to the next page while exporting (because others were
+ * created) are only included once.
+ *
+ * @param {Object} params - List params (search, sorting, filters); `page` and `limit` are set here
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the export
+ * @param {Function} options.onProgress - Receives `{ loaded, total }` after each page
+ * @returns {Promise<Array<Object>>} All posts, in list order
+ * @throws {ApiError} If a page fails (including a reply with `success: false`) or the export is cancelled
+ */
+const fetchAllPosts = async (params, { signal, onProgress }) => {
+  const postsById = new Map();
+
+  for (let page = 1; ; page++) {
+    const response = await postsApi.getAll(
+      { ...params, page, limit: EXPORT_CONFIG.PAGE_SIZE },
+      { signal, staleTime: 0 }
+    );
+    if (!isApiSuccess(response)) {
+      throw new ApiError(getApiError(response) || UI_MESSAGES.ERROR_SERVER, 200, response);
+    }
+
+    const { posts, pagination } = response.data;
+    posts.forEach(post => postsById.set(post.id, post));
+    onProgress({ loaded: postsById.size, total: Math.max(pagination.totalItems, postsById.size) });
+
+    if (!pagination.hasNextPage || posts.length === 0) {
+      return [...postsById.values()];
+    }
+  }
+};
+
+/**
+ * Posts Export Hook
+ *
+ * @returns {Object} Export state and methods
+ * @returns {Object|null} progress - `{ loaded, total }` while exporting (`total` is null until the first page)
+ * @returns {string|null} error - Message of the last failed export
+ * @returns {Function} exportAll - Receives `(params, format)`, downloads the file and resolves to the post count (null if cancelled or failed)
+ * @returns {Function} cancel - Stops the export in progress
+ * @returns {Function} clearError - Dismisses the error
+ *
+ * @example
+ * const { progress, exportAll, cancel } = usePostsExport();
+ * await exportAll({ search: 'react', sort: 'title', order: 'asc' }, 'csv');
+ */
+export function usePostsExport() {
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  // Nobody is left to download the file
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const exportAll = useCallback(async (params, format) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setError(null);
+    setProgress({ loaded: 0, total: null });
+
+    try {
+      const posts = await fetchAllPosts(params, { signal: controller.signal, onProgress: setProgress });
+      exportPosts(posts, format);
+      return posts.length;
+    } catch (err) {
+      if (!isAbortError(err)) {
+        console.error('Error exporting posts:', err);
+        setError(handleApiError(err).message);
+      }
+      return null;
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setProgress(null);
+      }
+    }
+  }, []);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  return {
+    progress,
+    error,
+    exportAll,
+    cancel,
+    clearError,
+  };
+}
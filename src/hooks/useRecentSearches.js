@@ -0,0 +1,81 @@
+/**
+ * Recent Searches Hook
+ *
+ * Remembers the search terms the user settled on so they can be picked
+ * again from the search box. Terms are kept in localStorage, newest first,
+ * without duplicates (compared ignoring case).
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { useState, useCallback } from 'react';
+import { SEARCH } from '../utils/constants';
+
+/**
+ * Reads the stored terms
+ *
+ * @returns {Array<string>} Recent terms, newest first
+ */
+const readRecent = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SEARCH.RECENT_STORAGE_KEY));
+    return Array.isArray(stored) ? stored.filter(term => typeof term === 'string') : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Stores the terms
+ *
+ * @param {Array<string>} terms - Recent terms, newest first
+ */
+const writeRecent = (terms) => {
+  try {
+    localStorage.setItem(SEARCH.RECENT_STORAGE_KEY, JSON.stringify(terms));
+  } catch (error) {
+    console.error('Error saving recent searches:', error);
+  }
+};
+
+/**
+ * Recent Searches Hook
+ *
+ * @returns {Object} Recent terms and methods
+ * @returns {Array<string>} recent - Up to SEARCH.MAX_RECENT terms, newest first
+ * @returns {Function} add - Moves a term to the top, ignoring empty terms
+ * @returns {Function} clear - Forgets every term
+ *
+ * @example
+ * const { recent, add } = useRecentSearches();
+ * const handleSubmit = () => add(searchInput);
+ */
+export function useRecentSearches() {
+  const [recent, setRecent] = useState(readRecent);
+
+  const add = useCallback((term) => {
+    const trimmed = typeof term === 'string' ? term.trim() : '';
+    if (!trimmed) return;
+
+    setRecent((prev) => {
+      const next = [
+        trimmed,
+        ...prev.filter(existing => existing.toLowerCase() !== trimmed.toLowerCase()),
+      ].slice(0, SEARCH.MAX_RECENT);
+      writeRecent(next);
+      return next;
+    });
+  }, []);
+
+  const clear = useCallback(() => {
+    writeRecent([]);
+    setRecent([]);
+  }, []);
+
+  return {
+    recent,
+    add,
+    clear,
+  };
+}
@@ -0,0 +1,90 @@
+/**
+ * Selection Hook
+ *
+ * Multi-select state for a list of items, with shift-click range selection
+ * like a file manager.
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { useState, useCallback, useRef } from 'react';
+
+/**
+ * Selection Hook
+ *
+ * Shift-toggling an item applies the anchor item's new state (the last item
+ * toggled without shift) to every item between the two, in the order of
+ * `ids`.
+ *
+ * @param {Array} ids - Selectable item IDs in display order
+ * @returns {Object} Selection state and methods
+ * @returns {Set} selected - Selected IDs
+ * @returns {Function} isSelected - Checks a single ID
+ * @returns {Function} toggle - Toggles `(id, { range })`, selecting a range when `range` is true
+ * @returns {Function} setAll - Selects (true) or deselects (false) every ID in `ids`
+ * @returns {Function} select - Replaces the selection with the given IDs
+ * @returns {Function} clear - Deselects everything
+ *
+ * @example
+ * const { isSelected, toggle } = useSelection(posts.map(post => post.id));
+ * <input type="checkbox" checked={isSelected(id)} onChange={(e) => toggle(id, { range: e.nativeEvent.shiftKey })} />
+ */
+export function useSelection(ids) {
+  const [selected, setSelected] = useState(() => new Set());
+  const anchorRef = useRef(null);
+
+  const isSelected = useCallback((id) => selected.has(id), [selected]);
+
+  const toggle = useCallback((id, { range = false } = {}) => {
+    const anchor = anchorRef.current;
+    const anchorIndex = ids.indexOf(anchor);
+    const index = ids.indexOf(id);
+    const isRange = range && anchorIndex !== -1 && index !== -1;
+
+    setSelected(prev => {
+      const next = new Set(prev);
+
+      if (isRange) {
+        const shouldSelect = prev.has(anchor);
+        const [start, end] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+        ids.slice(start, end + 1).forEach(rangeId => {
+          if (shouldSelect) next.add(rangeId);
+          else next.delete(rangeId);
+        });
+      } else if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+
+    if (!isRange) {
+      anchorRef.current = id;
+    }
+  }, [ids]);
+
+  const setAll = useCallback((shouldSelect) => {
+    setSelected(shouldSelect ? new Set(ids) : new Set());
+    anchorRef.current = null;
+  }, [ids]);
+
+  const select = useCallback((selectedIds) => {
+    setSelected(new Set(selectedIds));
+  }, []);
+
+  const clear = useCallback(() => {
+    setSelected(new Set());
+    anchorRef.current = null;
+  }, []);
+
+  return {
+    selected,
+    isSelected,
+    toggle,
+    setAll,
+    select,
+    clear,
+  };
+}
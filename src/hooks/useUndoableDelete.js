@@ -0,0 +1,107 @@
+/**
+ * Undoable Delete Hook
+ *
+ * Deletes that take effect only after a grace period. The item disappears
+ * at once, and the server call goes out when the undo window closes, when
+ * `flush` is called, when the component unmounts or when the browser page
+ * is left. Undoing within the window puts the item back without any
+ * request.
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { UNDO_CONFIG } from '../utils/constants';
+
+/**
+ * Undoable Delete Hook
+ *
+ * @param {Object} handlers - Delete steps
+ * @param {Function} handlers.hide - Receives the item ID, hides it locally and returns a restore function
+ * @param {Function} handlers.commit - Receives `(id, { keepalive })` and performs the delete
+ * @param {Function} [handlers.onCommitted] - Called with `(id, { left })` after a successful delete;
+ *   `left` is true when it was sent because the view or page was left, so
+ *   there is nothing on screen to refresh
+ * @param {Function} [handlers.onError] - Called with `(error, item, { left })` if the delete fails
+ * @param {number} [delay=UNDO_CONFIG.DELETE_WINDOW] - Undo window in milliseconds
+ * @returns {Object} Pending deletes and methods
+ * @returns {Array<Object>} pending - Items waiting to be deleted, oldest first
+ * @returns {Function} remove - Hides an item and schedules its delete
+ * @returns {Function} undo - Cancels a pending delete and restores the item
+ * @returns {Function} flush - Sends every pending delete now
+ *
+ * @example
+ * const { pending, remove, undo } = useUndoableDelete({
+ *   hide: hidePost,
+ *   commit: (id) => postsApi.delete(id),
+ * });
+ */
+export function useUndoableDelete({ hide, commit, onCommitted, onError }, delay = UNDO_CONFIG.DELETE_WINDOW) {
+  const [pending, setPending] = useState([]);
+
+  // Timers and restore functions by item ID; refs so unmount can flush
+  const entriesRef = useRef(new Map());
+  const handlersRef = useRef({ commit, onCommitted, onError });
+  useEffect(() => {
+    handlersRef.current = { commit, onCommitted, onError };
+  }, [commit, onCommitted, onError]);
+
+  const dropEntry = useCallback((id) => {
+    const entry = entriesRef.current.get(id);
+    if (!entry) return null;
+
+    clearTimeout(entry.timer);
+    entriesRef.current.delete(id);
+    setPending(prev => prev.filter(item => item.id !== id));
+    return entry;
+  }, []);
+
+  const send = useCallback(async (id, { keepalive = false, left = false } = {}) => {
+    const entry = dropEntry(id);
+    if (!entry) return;
+
+    const { commit: commitDelete, onCommitted: committed, onError: failed } = handlersRef.current;
+    try {
+      await commitDelete(id, { keepalive });
+      if (committed) committed(id, { left });
+    } catch (err) {
+      if (failed) failed(err, entry.item, { left });
+    }
+  }, [dropEntry]);
+
+  const remove = useCallback((item) => {
+    if (entriesRef.current.has(item.id)) return;
+
+    const restore = hide(item.id);
+    const timer = setTimeout(() => send(item.id), delay);
+    entriesRef.current.set(item.id, { item, restore, timer });
+    setPending(prev => [...prev, item]);
+  }, [hide, send, delay]);
+
+  const undo = useCallback((id) => {
+    const entry = dropEntry(id);
+    if (entry) entry.restore();
+  }, [dropEntry]);
+
+  const flush = useCallback((options) => {
+    return Promise.all([...entriesRef.current.keys()].map(id => send(id, options)));
+  }, [send]);
+
+  // Leaving the page or the view counts as accepting the delete
+  useEffect(() => {
+    const handlePageHide = () => flush({ keepalive: true, left: true });
+    window.addEventListener('pagehide', handlePageHide);
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide);
+      flush({ keepalive: true, left: true });
+    };
+  }, [flush]);
+
+  return {
+    pending,
+    remove,
+    undo,
+    flush,
+  };
+}
@@ -0,0 +1,352 @@
+/**
+ * Virtual Grid Hook
+ *
+ * Windowed rendering for a CSS grid that scrolls with the page. Only the
+ * rows near the viewport are rendered; the rows above and below are
+ * replaced by spacers of the same height, so the scrollbar and the page
+ * layout stay as if every item was there.
+ *
+ * The grid keeps its own responsive CSS: the number of columns is read from
+ * the laid-out grid, and items may have any height. Rows are measured once
+ * rendered and estimated (from the rows measured so far) until then.
+ *
+ * While items are added, removed or measured, the first visible item is
+ * kept at the same place on screen, and the item holding keyboard focus is
+ * always rendered. If the focused item is removed, focus moves to the item
+ * that took its place.
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { useState, useCallback, useEffect, useLayoutEffect, useMemo, useRef } from 'react';
+import { VIRTUAL_LIST } from '../utils/constants';
+
+// Attribute that marks rendered items and carries their key
+const KEY_ATTRIBUTE = 'data-virtual-key';
+
+const defaultGetKey = (item) => item.id;
+
+/**
+ * Counts the columns of a laid-out grid
+ *
+ * Browsers resolve `grid-template-columns` to one length per track;
+ * collapsed `auto-fit` tracks resolve to 0px and are not counted.
+ *
+ * @param {HTMLElement} grid - Grid container
+ * @returns {number} Column count, at least 1
+ */
+const readColumns = (grid) => {
+  const tracks = getComputedStyle(grid).gridTemplateColumns.split(' ');
+  return tracks.filter(track => parseFloat(track) > 0).length || 1;
+};
+
+/**
+ * Lists the rendered item elements
+ *
+ * @param {HTMLElement} grid - Grid container
+ * @returns {Array<HTMLElement>} Item elements in document order
+ */
+const getItemElements = (grid) => [...grid.querySelectorAll(`[${KEY_ATTRIBUTE}]`)];
+
+/**
+ * Finds the rendered element of an item
+ *
+ * @param {HTMLElement} grid - Grid container
+ * @param {string} key - Item key
+ * @returns {HTMLElement|undefined} The element, if rendered
+ */
+const findItemElement = (grid, key) => (
+  getItemElements(grid).find(element => element.getAttribute(KEY_ATTRIBUTE) === key)
+);
+
+/**
+ * Works out which rows overlap the viewport, plus VIRTUAL_LIST.OVERSCAN
+ *
+ * @param {Object} layout - Row positions, see useVirtualGrid
+ * @param {HTMLElement} grid - Grid container
+ * @returns {Object} `{ first, last }` row indexes
+ */
+const computeRange = ({ tops, heights }, grid) => {
+  const gridTop = grid.getBoundingClientRect().top;
+  const start = -gridTop - VIRTUAL_LIST.OVERSCAN;
+  const end = -gridTop + window.innerHeight + VIRTUAL_LIST.OVERSCAN;
+  const lastRow = Math.max(0, tops.length - 1);
+
+  let first = 0;
+  while (first < lastRow && tops[first] + heights[first] < start) first++;
+  let last = first;
+  while (last < lastRow && tops[last + 1] <= end) last++;
+  return { first, last };
+};
+
+/**
+ * Virtual Grid Hook
+ *
+ * Spread `gridProps` on the grid container and render `segments` in
+ * order: each item segment as the item's element, with `itemProps(key)`
+ * spread on it, and each spacer as an element spanning every column
+ * (`grid-column: 1 / -1`) with the given height.
+ *
+ * @param {Array} items - Items in display order
+ * @param {Object} [options={}] - Options
+ * @param {boolean} [options.enabled=true] - Render everything when false
+ * @param {Function} [options.getKey] - Returns an item's unique key (default: `item.id`)
+ * @returns {Object} Rendering instructions
+ * @returns {Array<Object>} segments - `{ type: 'item', item, key }` or `{ type: 'spacer', key, height }`
+ * @returns {Object} gridProps - Ref, focus handlers and style for the grid container
+ * @returns {Function} itemProps - Returns the attributes for an item's element
+ *
+ * @example
+ * const { segments, gridProps, itemProps } = useVirtualGrid(posts);
+ * <div className="posts-grid" {...gridProps}>
+ *   {segments.map(segment => segment.type === 'spacer'
+ *     ? <div key={segment.key} className="virtual-spacer" style={{ height: segment.height }} />
+ *     : <PostCard key={segment.key} post={segment.item} {...itemProps(segment.key)} />)}
+ * </div>
+ */
+export function useVirtualGrid(items, { enabled = true, getKey = defaultGetKey } = {}) {
+  const [grid, setGrid] = useState(null);
+  const [columns, setColumns] = useState(1);
+  const [gap, setGap] = useState(0);
+  const [range, setRange] = useState(() => ({
+    first: 0,
+    last: Math.ceil((window.innerHeight + VIRTUAL_LIST.OVERSCAN) / VIRTUAL_LIST.ESTIMATED_ROW_HEIGHT),
+  }));
+  const [focusedKey, setFocusedKey] = useState(null);
+  const [measuredHeights, setMeasuredHeights] = useState(() => new Map());
+
+  // Measured item heights by key, updated in place and published to
+  // `measuredHeights` when they change; the first visible item and its position
+  // on screen; the last focused item and its index
+  const heightsRef = useRef(new Map());
+  const anchorRef = useRef(null);
+  const lastFocusRef = useRef(null);
+
+  const layout = useMemo(() => {
+    const keys = items.map(item => String(getKey(item)));
+    const measured = [...measuredHeights.values()];
+    const fallback = measured.length
+      ? measured.reduce((sum, height) => sum + height, 0) / measured.length
+      : VIRTUAL_LIST.ESTIMATED_ROW_HEIGHT;
+
+    const tops = [];
+    const heights = [];
+    let top = 0;
+    for (let start = 0; start < keys.length; start += columns) {
+      const rowKeys = keys.slice(start, start + columns);
+      const height = Math.max(...rowKeys.map(key => measuredHeights.get(key) ?? fallback));
+      tops.push(top);
+      heights.push(height);
+      top += height + gap;
+    }
+    return { keys, tops, heights };
+  }, [items, getKey, columns, gap, measuredHeights]);
+
+  const layoutRef = useRef(layout);
+
+  /**
+   * Remembers where the first visible item is on screen
+   */
+  const recordAnchor = useCallback(() => {
+    anchorRef.current = null;
+    if (!grid || grid.getBoundingClientRect().top >= 0) return;
+
+    const visible = getItemElements(grid).find(element => element.getBoundingClientRect().bottom > 0);
+    if (visible) {
+      anchorRef.current = {
+        key: visible.getAttribute(KEY_ATTRIBUTE),
+        top: visible.getBoundingClientRect().top,
+      };
+    }
+  }, [grid]);
+
+  const updateRange = useCallback(() => {
+    if (!grid) return;
+    const next = computeRange(layoutRef.current, grid);
+    setRange(prev => (prev.first === next.first && prev.last === next.last ? prev : next));
+  }, [grid]);
+
+  // Follow scrolling and resizing
+  useEffect(() => {
+    if (!grid || !enabled) return undefined;
+
+    const handleScroll = () => {
+      recordAnchor();
+      updateRange();
+    };
+    const handleResize = () => {
+      setColumns(readColumns(grid));
+      setGap(parseFloat(getComputedStyle(grid).rowGap) || 0);
+      handleScroll();
+    };
+
+    handleResize();
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('resize', handleResize);
+    const resizeObserver = typeof ResizeObserver === 'undefined' ? null : new ResizeObserver(handleResize);
+    resizeObserver?.observe(grid);
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      window.removeEventListener('resize', handleResize);
+      resizeObserver?.disconnect();
+    };
+  }, [grid, enabled, recordAnchor, updateRange]);
+
+  /**
+   * Stores the current heights of rendered items
+   *
+   * @param {Array<HTMLElement>} elements - Item elements
+   * @returns {boolean} True if any height changed
+   */
+  const measure = useCallback((elements) => {
+    let changed = false;
+    elements.forEach((element) => {
+      const key = element.getAttribute(KEY_ATTRIBUTE);
+      const height = element.getBoundingClientRect().height;
+      if (height > 0 && heightsRef.current.get(key) !== height) {
+        heightsRef.current.set(key, height);
+        changed = true;
+      }
+    });
+    return changed;
+  }, []);
+
+  // Item heights can change after rendering (fonts, images, edits)
+  const observedRef = useRef(new Set());
+  const [itemObserver] = useState(() => (
+    typeof ResizeObserver === 'undefined' ? null : new ResizeObserver((entries) => {
+      if (measure(entries.map(entry => entry.target))) {
+        setMeasuredHeights(new Map(heightsRef.current));
+      }
+    })
+  ));
+  useEffect(() => () => itemObserver?.disconnect(), [itemObserver]);
+
+  const handleFocus = useCallback((e) => {
+    const element = e.target.closest(`[${KEY_ATTRIBUTE}]`);
+    if (!element) return;
+    const key = element.getAttribute(KEY_ATTRIBUTE);
+    lastFocusRef.current = { key, index: layoutRef.current.keys.indexOf(key) };
+    setFocusedKey(key);
+  }, []);
+
+  const handleBlur = useCallback((e) => {
+    if (grid?.contains(e.relatedTarget)) return;
+
+    // Focus that left for nowhere because the item was removed is restored
+    // above; focus the user moved away is forgotten
+    const { target } = e;
+    const forget = () => {
+      lastFocusRef.current = null;
+      setFocusedKey(null);
+    };
+    if (e.relatedTarget) {
+      forget();
+    } else {
+      setTimeout(() => {
+        if (target.isConnected && document.activeElement !== target) forget();
+      }, 0);
+    }
+  }, [grid]);
+
+  const segments = useMemo(() => {
+    const { keys, tops, heights } = layout;
+    const toItems = (start, end) => keys.slice(start, end).map((key, offset) => ({
+      type: 'item',
+      key,
+      item: items[start + offset],
+    }));
+
+    if (!enabled) return toItems(0, keys.length);
+
+    const focusedRow = focusedKey === null ? -1 : Math.floor(keys.indexOf(focusedKey) / columns);
+    const isRendered = (row) => (row >= range.first && row <= range.last) || row === focusedRow;
+
+    const result = [];
+    let hiddenFrom = null;
+    for (let row = 0; row <= tops.length; row++) {
+      const rendered = row < tops.length && isRendered(row);
+      if (!rendered && row < tops.length) {
+        if (hiddenFrom === null) hiddenFrom = row;
+        continue;
+      }
+      // Replace the hidden rows, and the gaps between them, with one spacer
+      if (hiddenFrom !== null) {
+        const lastHidden = row - 1;
+        result.push({
+          type: 'spacer',
+          key: `spacer-${hiddenFrom}`,
+          height: tops[lastHidden] + heights[lastHidden] - tops[hiddenFrom],
+        });
+        hiddenFrom = null;
+      }
+      if (rendered) result.push(...toItems(row * columns, (row + 1) * columns));
+    }
+    return result;
+  }, [layout, items, enabled, columns, range, focusedKey]);
+
+  // After rendering other items or rows: measure, keep the view steady,
+  // restore focus and work out which rows to render next
+  useLayoutEffect(() => {
+    layoutRef.current = layout;
+    if (!grid) return;
+
+    if (enabled) {
+      const elements = getItemElements(grid);
+      if (measure(elements)) setMeasuredHeights(new Map(heightsRef.current));
+
+      if (itemObserver) {
+        const observed = observedRef.current;
+        observed.forEach((element) => {
+          if (!element.isConnected) {
+            itemObserver.unobserve(element);
+            observed.delete(element);
+          }
+        });
+        elements.filter(element => !observed.has(element)).forEach((element) => {
+          itemObserver.observe(element);
+          observed.add(element);
+        });
+      }
+
+      const anchor = anchorRef.current;
+      const anchorElement = anchor && findItemElement(grid, anchor.key);
+      if (anchorElement) {
+        const shift = anchorElement.getBoundingClientRect().top - anchor.top;
+        if (Math.abs(shift) >= 1) window.scrollBy(0, shift);
+      }
+      recordAnchor();
+      updateRange();
+    }
+
+    // The focused item was removed: focus the one now in its place
+    const lastFocus = lastFocusRef.current;
+    const focusLost = !document.activeElement || document.activeElement === document.body;
+    if (lastFocus && focusLost && layout.keys.length > 0 && !layout.keys.includes(lastFocus.key)) {
+      const replacement = layout.keys[Math.min(lastFocus.index, layout.keys.length - 1)];
+      const element = findItemElement(grid, replacement);
+      if (element) {
+        element.focus();
+      } else {
+        setFocusedKey(replacement);
+      }
+    }
+  }, [grid, enabled, layout, segments, measure, itemObserver, recordAnchor, updateRange]);
+
+  const itemProps = useCallback((key) => ({
+    [KEY_ATTRIBUTE]: key,
+    tabIndex: -1,
+  }), []);
+
+  return {
+    segments,
+    gridProps: {
+      ref: setGrid,
+      onFocus: handleFocus,
+      onBlur: handleBlur,
+      style: enabled ? { overflowAnchor: 'none' } : undefined,
+    },
+    itemProps,
+  };
+}
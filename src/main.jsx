@@ -2,9 +2,17 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { MOCK_API } from './utils/constants'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// Swap in the in-browser mock backend before the first request is made
+const ready = MOCK_API.ENABLED
+  ? import('./services/mockBackend').then(({ installMockBackend }) => installMockBackend())
+  : Promise.resolve()
+
+ready.then(() => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App />
+    </StrictMode>,
+  )
+})
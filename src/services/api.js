@@ -12,14 +12,48 @@
  * - Automatic request/response validation
  * - Type-safe API methods for all CRUD operations
  * - Built-in network error detection
+ * - Content-type aware parsing and envelope/schema validation of responses
+ * - Request timeouts and retry with exponential backoff for idempotent calls
+ * - Stale-while-revalidate query cache for post reads
+ * - Request/response/error interceptors registered with apiService.use()
+ * - Pluggable transport (e.g. the in-browser mock backend) via apiService.setTransport()
  * - Matches backend response format: { success: boolean, data: any, error: string | null }
  * 
  * @author Your Name
  * @version 1.0.0
  */
 
+import { API_CONFIG, API_ERROR_TYPES, HTTP_STATUS, UI_MESSAGES } from '../utils/constants';
+import {
+  createQueryKey,
+  getQueryData,
+  setQueryData,
+  isQueryStale,
+  invalidateQueries,
+  removeQueries,
+} from './queryCache';
+import { createInterceptorManager } from './interceptors';
+import { assertEnvelope, assertPostResponse, assertPostsPageResponse } from './contracts';
+
 // API base URL from environment variables with fallback
-const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+const API_BASE_URL = API_CONFIG.BASE_URL;
+
+// HTTP methods that are safe to repeat without side effects
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Interceptors registered through apiService.use()
+const interceptors = createInterceptorManager();
+
+/**
+ * Default transport: the browser's fetch
+ * 
+ * A transport is any function with the signature of `fetch(url, init)` that
+ * resolves to a Response. It must reject when `init.signal` is aborted.
+ */
+const fetchTransport = (url, init) => fetch(url, init);
+
+// Transport used for every request, replaceable with apiService.setTransport()
+let transport = fetchTransport;
 
 /**
  * Custom API Error Class
@@ -34,12 +68,213 @@ class ApiError extends Error {
    * @param {string} message - Human-readable error message
    * @param {number} status - HTTP status code (0 for network errors)
    * @param {Object} response - Original response data from the API
+   * @param {string} [type] - One of API_ERROR_TYPES (derived from status if omitted)
    */
-  constructor(message, status, response) {
+  constructor(message, status, response, type) {
     super(message);
     this.name = 'ApiError';
     this.status = status;
     this.response = response;
+    this.type = type || (status === 0 ? API_ERROR_TYPES.NETWORK : API_ERROR_TYPES.HTTP);
+  }
+}
+
+/**
+ * Creates the error thrown when the caller cancels a request
+ * 
+ * @returns {ApiError} ApiError of type ABORTED
+ */
+const createAbortError = () => new ApiError('Request was cancelled', 0, null, API_ERROR_TYPES.ABORTED);
+
+/**
+ * Waits for the given number of milliseconds
+ * 
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancels the wait early
+ * @returns {Promise<void>}
+ * @throws {ApiError} ABORTED error if the signal fires during the wait
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timeoutId);
+    reject(createAbortError());
+  };
+  const timeoutId = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Calculates the backoff delay before the next retry attempt
+ * 
+ * Uses exponential backoff with "equal jitter": half of the exponential
+ * delay is fixed and the other half is random, so concurrent clients
+ * don't retry in lockstep.
+ * 
+ * @param {number} attempt - Zero-based index of the retry being scheduled
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempt) => {
+  const exponential = Math.min(
+    API_CONFIG.RETRY_MAX_DELAY,
+    API_CONFIG.RETRY_BASE_DELAY * 2 ** attempt
+  );
+  return exponential / 2 + Math.random() * (exponential / 2);
+};
+
+/**
+ * Determines whether a failed request is worth retrying
+ * 
+ * Network failures, timeouts, rate limiting and 5xx responses are treated
+ * as transient. Other 4xx responses will fail the same way on every attempt.
+ * 
+ * @param {ApiError} error - The error raised by the last attempt
+ * @returns {boolean} True if the request may succeed when repeated
+ */
+const isRetryableError = (error) => {
+  if (error.type === API_ERROR_TYPES.NETWORK || error.type === API_ERROR_TYPES.TIMEOUT) {
+    return true;
+  }
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+};
+
+/**
+ * Reads and parses a response body according to its content type
+ * 
+ * - 204/205 and empty bodies become null
+ * - JSON content types (application/json, *+json) are parsed
+ * - Anything else (e.g. an HTML error page from a proxy) is returned as text
+ * 
+ * Malformed JSON in an error response is returned as text, since the HTTP
+ * status already explains the failure.
+ * 
+ * @param {Response} response - Fetch response
+ * @returns {Promise<{ body: any, isJson: boolean }>} Parsed body and whether it was JSON
+ * @throws {ApiError} PARSE error if a successful response has malformed JSON
+ */
+async function parseResponseBody(response) {
+  if (response.status === HTTP_STATUS.NO_CONTENT || response.status === 205) {
+    return { body: null, isJson: false };
+  }
+
+  const text = await response.text();
+  if (!text.trim()) {
+    return { body: null, isJson: false };
+  }
+
+  const contentType = response.headers.get('Content-Type') || '';
+  if (!/application\/(.+\+)?json/i.test(contentType)) {
+    return { body: text, isJson: false };
+  }
+
+  try {
+    return { body: JSON.parse(text), isJson: true };
+  } catch {
+    if (!response.ok) {
+      return { body: text, isJson: false };
+    }
+    throw new ApiError(
+      `Malformed JSON in response (HTTP ${response.status})`,
+      response.status,
+      text,
+      API_ERROR_TYPES.PARSE
+    );
+  }
+}
+
+/**
+ * Turns a parsed response into an envelope or an ApiError
+ * 
+ * @param {Response} response - Fetch response
+ * @param {{ body: any, isJson: boolean }} parsed - Result of parseResponseBody
+ * @returns {Object} Validated `{ success, data, error }` envelope
+ * @throws {ApiError} HTTP error for non-2xx, PARSE error for non-JSON
+ *   success bodies, CONTRACT error for JSON that isn't an envelope
+ */
+function toEnvelope(response, { body, isJson }) {
+  // Handle non-2xx HTTP status codes, whatever the body looks like
+  if (!response.ok) {
+    throw new ApiError(
+      (isJson && typeof body?.error === 'string' && body.error) || `HTTP ${response.status}: ${response.statusText}`,
+      response.status,
+      body
+    );
+  }
+
+  // 2xx without content (e.g. 204 after DELETE)
+  if (body === null) {
+    return { success: true, data: null, error: null };
+  }
+
+  if (!isJson) {
+    throw new ApiError(
+      `Expected JSON but received ${response.headers.get('Content-Type') || 'an unknown content type'}`,
+      response.status,
+      body,
+      API_ERROR_TYPES.PARSE
+    );
+  }
+
+  return assertEnvelope(body, response.status);
+}
+
+/**
+ * Performs a single HTTP request with a timeout
+ * 
+ * @param {string} url - Fully qualified request URL
+ * @param {Object} config - Fetch options
+ * @param {number} timeout - Milliseconds to wait before aborting
+ * @param {AbortSignal} [signal] - Caller-provided signal for cancellation
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {ApiError} HTTP, network, timeout or abort error
+ */
+async function sendRequest(url, config, timeout, signal) {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+
+  // One controller serves both the timeout and the caller's signal
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const abortFromCaller = () => controller.abort();
+  signal?.addEventListener('abort', abortFromCaller, { once: true });
+
+  try {
+    // Make the HTTP request
+    const response = await transport(url, { ...config, signal: controller.signal });
+    return toEnvelope(response, await parseResponseBody(response));
+  } catch (error) {
+    // Re-throw ApiError instances as-is
+    if (error instanceof ApiError) {
+      throw error;
+    }
+
+    // The caller cancelled the request
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+
+    // Otherwise our own abort means the timeout elapsed
+    if (controller.signal.aborted) {
+      throw new ApiError(
+        `Request timed out after ${timeout}ms`,
+        0,
+        null,
+        API_ERROR_TYPES.TIMEOUT
+      );
+    }
+    
+    // Handle network errors (connection refused, DNS, CORS, etc.)
+    throw new ApiError(
+      error.message || 'Network error occurred',
+      0, // Status 0 indicates network error
+      null
+    );
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', abortFromCaller);
   }
 }
 
@@ -50,10 +285,23 @@ class ApiError extends Error {
  * and response transformation. Automatically adds appropriate headers and
  * handles both successful responses and various error conditions.
  * 
+ * Every attempt is aborted after `API_CONFIG.TIMEOUT`. Idempotent requests
+ * (GET, PUT, DELETE) that fail with a transient error are retried up to
+ * `API_CONFIG.RETRY_ATTEMPTS` times with exponential backoff. POST requests
+ * are never retried unless the caller opts in with `retries`. Passing an
+ * AbortSignal as `signal` cancels the request, including any pending retry.
+ * 
+ * The request passes through the registered interceptors (see
+ * `apiService.use`) before it is sent, and the response or error passes
+ * through them afterwards.
+ * 
  * @param {string} endpoint - API endpoint path (e.g., '/posts', '/posts/123')
  * @param {Object} [options={}] - Fetch options (method, body, headers, etc.)
+ * @param {number} [options.timeout] - Per-attempt timeout override in milliseconds
+ * @param {number} [options.retries] - Retry count override (0 disables retries)
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the request
  * @returns {Promise<Object>} Promise that resolves to the API response data
- * @throws {ApiError} Throws ApiError for HTTP errors or network failures
+ * @throws {ApiError} Throws ApiError for HTTP errors, timeouts, network failures or cancellation
  * 
  * @example
  * // GET request
@@ -64,50 +312,82 @@ class ApiError extends Error {
  *   method: 'POST',
  *   body: JSON.stringify({ title: 'New Post', body: 'Content' })
  * });
+ * 
+ * // GET request with a shorter timeout and no retries
+ * const health = await apiRequest('/health', { timeout: 2000, retries: 0 });
  */
 async function apiRequest(endpoint, options = {}) {
-  // Construct the full API URL
-  const url = `${API_BASE_URL}/api${endpoint}`;
+  const method = (options.method || 'GET').toUpperCase();
   
   // Merge default headers with any provided headers
   const config = {
+    ...options,
+    endpoint,
+    method,
+    // Construct the full API URL
+    url: `${API_BASE_URL}/api${endpoint}`,
     headers: {
       'Content-Type': 'application/json',
       ...options.headers,
     },
-    ...options,
   };
 
-  try {
-    // Make the HTTP request
-    const response = await fetch(url, config);
-    const data = await response.json();
+  return interceptors.run(config, sendWithRetry);
+}
 
-    // Handle non-2xx HTTP status codes
-    if (!response.ok) {
-      throw new ApiError(
-        data.error || `HTTP ${response.status}: ${response.statusText}`,
-        response.status,
-        data
-      );
-    }
+/**
+ * Sends a request config, retrying transient failures
+ * 
+ * @param {Object} config - Final request config produced by the interceptors
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {ApiError} The error of the last attempt
+ */
+async function sendWithRetry(config) {
+  // Client-only keys (`endpoint`, `skipAuth`) are not part of the fetch init
+  const {
+    endpoint: _endpoint,
+    skipAuth: _skipAuth,
+    url,
+    timeout = API_CONFIG.TIMEOUT,
+    retries,
+    signal,
+    ...fetchOptions
+  } = config;
+  const maxRetries = retries ?? (IDEMPOTENT_METHODS.includes(fetchOptions.method) ? API_CONFIG.RETRY_ATTEMPTS : 0);
 
-    return data;
-  } catch (error) {
-    // Re-throw ApiError instances as-is
-    if (error instanceof ApiError) {
-      throw error;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await sendRequest(url, fetchOptions, timeout, signal);
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+      await sleep(getRetryDelay(attempt), signal);
     }
-    
-    // Handle network errors, JSON parsing errors, etc.
-    throw new ApiError(
-      error.message || 'Network error occurred',
-      0, // Status 0 indicates network error
-      null
-    );
   }
 }
 
+/**
+ * Query Cache Keys for Posts
+ * 
+ * Builds the cache keys under which post queries are stored. Every key
+ * starts with 'posts:' so mutations can invalidate them by prefix.
+ */
+export const postQueryKeys = {
+  all: 'posts:',
+  lists: 'posts:list',
+  list: (params = {}) => createQueryKey('posts:list', params),
+  detail: (id) => createQueryKey('posts:detail', { id: String(id) }),
+};
+
+/**
+ * Query string parameters understood by GET /posts
+ */
+const LIST_QUERY_PARAMS = [
+  'page', 'limit', 'search', 'sort', 'order',
+  'user_id', 'id_min', 'id_max', 'date_from', 'date_to',
+];
+
 /**
  * API Service Methods
  * 
@@ -115,16 +395,132 @@ async function apiRequest(endpoint, options = {}) {
  * Provides a clean interface for all backend communication.
  */
 export const apiService = {
+  /**
+   * Registers an interceptor
+   * 
+   * Interceptors run in registration order on every request, response and
+   * error. See `services/interceptors.js` for the hook contract.
+   * 
+   * @param {Object} interceptor - Object with optional request, response and error hooks
+   * @returns {Function} Function that removes the interceptor again
+   * 
+   * @example
+   * const eject = apiService.use({
+   *   request: (config) => ({ ...config, headers: { ...config.headers, 'X-Client': 'dashboard' } }),
+   *   response: (data) => data,
+   * });
+   * // Later
+   * eject();
+   */
+  use(interceptor) {
+    return interceptors.use(interceptor);
+  },
+
+  /**
+   * Removes a previously registered interceptor
+   * 
+   * @param {Object} interceptor - The interceptor passed to use()
+   * @returns {boolean} True if it was registered
+   */
+  eject(interceptor) {
+    return interceptors.eject(interceptor);
+  },
+
+  /**
+   * Replaces the transport used to send requests
+   * 
+   * Timeouts, retries, interceptors and response handling still apply, only
+   * the final network call is swapped. Pass null to restore fetch.
+   * 
+   * @param {Function|null} nextTransport - fetch-compatible function, or null
+   * 
+   * @example
+   * apiService.setTransport(async (url, init) => new Response(JSON.stringify({ success: true, data: {}, error: null })));
+   */
+  setTransport(nextTransport) {
+    transport = nextTransport || fetchTransport;
+  },
+
+  /**
+   * Authentication API Methods
+   * 
+   * Session management endpoints. These requests are sent without the
+   * bearer token (`skipAuth`) so an expired token can't block them.
+   */
+  auth: {
+    /**
+     * Sign in with email and password
+     * 
+     * @param {Object} credentials - Login credentials
+     * @param {string} credentials.email - User email
+     * @param {string} credentials.password - User password
+     * @param {Object} [options={}] - Request options (signal, timeout, retries)
+     * @returns {Promise<Object>} `{ user, token, refreshToken }` in `data`
+     * @throws {ApiError} If credentials are missing or rejected
+     * 
+     * @example
+     * const { data } = await authApi.login({ email: 'ada@example.com', password: 'secret' });
+     * console.log(data.user.name);
+     */
+    async login(credentials, options = {}) {
+      if (!credentials.email || !credentials.password) {
+        throw new ApiError('Email and password are required', 400, null);
+      }
+
+      return apiRequest('/auth/login', {
+        ...options,
+        method: 'POST',
+        body: JSON.stringify(credentials),
+        skipAuth: true,
+      });
+    },
+
+    /**
+     * Exchange a refresh token for a new access token
+     * 
+     * @param {string} refreshToken - Refresh token from the current session
+     * @param {Object} [options={}] - Request options (signal, timeout, retries)
+     * @returns {Promise<Object>} `{ token, refreshToken }` in `data`
+     * @throws {ApiError} If the refresh token is missing, expired or revoked
+     */
+    async refresh(refreshToken, options = {}) {
+      if (!refreshToken) {
+        throw new ApiError('Refresh token is required', 400, null);
+      }
+
+      return apiRequest('/auth/refresh', {
+        ...options,
+        method: 'POST',
+        body: JSON.stringify({ refreshToken }),
+        skipAuth: true,
+      });
+    },
+
+    /**
+     * Invalidate the current session on the server
+     * 
+     * @param {Object} [options={}] - Request options (signal, timeout, retries)
+     * @returns {Promise<Object>} Success confirmation
+     */
+    async logout(options = {}) {
+      return apiRequest('/auth/logout', {
+        ...options,
+        method: 'POST',
+      });
+    },
+  },
+
   /**
    * Health Check API
    * 
    * Checks if the backend server is running and responsive.
    * Useful for monitoring and connection testing.
    * 
+   * @param {Object} [options={}] - Request options (signal, timeout, retries)
    * @returns {Promise<Object>} Server health status and uptime info
    */
-  async checkHealth() {
-    return apiRequest('/health');
+  async checkHealth(options = {}) {
+    return apiRequest('/health', options);
   },
 
   /**
@@ -137,39 +533,66 @@ export const apiService = {
      * Get all posts with pagination and search
      * 
      * Retrieves a paginated list of posts with optional search filtering.
-     * Search is performed on both title and body fields.
+     * Search is performed on both title and body fields. Results can be
+     * sorted and narrowed down by author, ID range and creation date range;
+     * run the params through `validatePaginationParams` first.
+     * 
+     * Successful responses are cached per parameter set. A cached response
+     * younger than `options.staleTime` (default `CACHE_CONFIG.STALE_TIME`)
+     * is returned without a request; pass `staleTime: 0` to always hit the
+     * server.
      * 
      * @param {Object} [params={}] - Query parameters
      * @param {number} [params.page=1] - Page number for pagination
      * @param {number} [params.limit=10] - Number of posts per page
      * @param {string} [params.search=''] - Search term for filtering
+     * @param {string} [params.sort] - Field to sort by, one of SORTING.FIELDS
+     * @param {string} [params.order] - Sort direction, 'asc' or 'desc'
+     * @param {number} [params.user_id] - Only posts by this author
+     * @param {number} [params.id_min] - Lowest post ID, inclusive
+     * @param {number} [params.id_max] - Highest post ID, inclusive
+     * @param {string} [params.date_from] - Earliest creation date (`YYYY-MM-DD`), inclusive
+     * @param {string} [params.date_to] - Latest creation date (`YYYY-MM-DD`), inclusive
+     * @param {Object} [options={}] - Request options (signal, timeout, retries, staleTime)
      * @returns {Promise<Object>} Posts array with pagination metadata
      * 
      * @example
-     * const result = await postsApi.getAll({ page: 1, limit: 10, search: 'react' });
+     * const result = await postsApi.getAll({ page: 1, limit: 10, search: 'react', sort: 'title', order: 'asc' });
      * console.log(result.data.posts); // Array of posts
      * console.log(result.data.pagination); // Pagination info
      */
-    async getAll(params = {}) {
+    async getAll(params = {}, options = {}) {
+      const { staleTime, ...requestOptions } = options;
+      const queryKey = postQueryKeys.list(params);
+
+      if (!isQueryStale(queryKey, staleTime)) {
+        return getQueryData(queryKey);
+      }
+
       const searchParams = new URLSearchParams();
       
       // Build query string from parameters
-      if (params.page) searchParams.set('page', params.page.toString());
-      if (params.limit) searchParams.set('limit', params.limit.toString());
-      if (params.search) searchParams.set('search', params.search);
+      LIST_QUERY_PARAMS.forEach((name) => {
+        if (params[name]) searchParams.set(name, params[name].toString());
+      });
       
       const queryString = searchParams.toString();
       const endpoint = queryString ? `/posts?${queryString}` : '/posts';
       
-      return apiRequest(endpoint);
+      const response = assertPostsPageResponse(await apiRequest(endpoint, requestOptions));
+      // A `success: false` reply must not be served as cached data later
+      if (isApiSuccess(response)) setQueryData(queryKey, response);
+      return response;
     },
 
     /**
      * Get a single post by ID
      * 
-     * Retrieves detailed information for a specific post.
+     * Retrieves detailed information for a specific post. Cached the same
+     * way as `getAll`.
      * 
      * @param {string|number} id - The unique identifier of the post
+     * @param {Object} [options={}] - Request options (signal, timeout, retries, staleTime)
      * @returns {Promise<Object>} Single post data
      * @throws {ApiError} If ID is missing or post not found
      * 
@@ -177,22 +600,34 @@ export const apiService = {
      * const post = await postsApi.getById(123);
      * console.log(post.data.title); // Post title
      */
-    async getById(id) {
+    async getById(id, options = {}) {
       if (!id) {
         throw new ApiError('Post ID is required', 400, null);
       }
-      return apiRequest(`/posts/${id}`);
+
+      const { staleTime, ...requestOptions } = options;
+      const queryKey = postQueryKeys.detail(id);
+
+      if (!isQueryStale(queryKey, staleTime)) {
+        return getQueryData(queryKey);
+      }
+
+      const response = assertPostResponse(await apiRequest(`/posts/${id}`, requestOptions));
+      if (isApiSuccess(response)) setQueryData(queryKey, response);
+      return response;
     },
 
     /**
      * Create a new post
      * 
      * Creates a new post with the provided data. All fields are required.
+     * Invalidates every cached post list on success.
      * 
      * @param {Object} postData - The post data
      * @param {string} postData.title - Post title (max 255 characters)
      * @param {string} postData.body - Post content (max 10000 characters)
      * @param {number} postData.user_id - ID of the user creating the post
+     * @param {Object} [options={}] - Request options (signal, timeout, retries)
      * @returns {Promise<Object>} Created post data
      * @throws {ApiError} If required fields are missing or validation fails
      * 
@@ -203,26 +638,32 @@ export const apiService = {
      *   user_id: 1
      * });
      */
-    async create(postData) {
+    async create(postData, options = {}) {
       if (!postData.title || !postData.body || !postData.user_id) {
         throw new ApiError('Title, body, and user_id are required', 400, null);
       }
 
-      return apiRequest('/posts', {
+      const response = assertPostResponse(await apiRequest('/posts', {
+        ...options,
         method: 'POST',
         body: JSON.stringify(postData),
-      });
+      }));
+
+      invalidateQueries(postQueryKeys.lists);
+      return response;
     },
 
     /**
      * Update an existing post
      * 
      * Updates the title and body of an existing post. The user_id cannot be changed.
+     * Refreshes the cached post and invalidates every cached post list on success.
      * 
      * @param {string|number} id - The unique identifier of the post to update
      * @param {Object} postData - The updated post data
      * @param {string} postData.title - New post title (max 255 characters)
      * @param {string} postData.body - New post content (max 10000 characters)
+     * @param {Object} [options={}] - Request options (signal, timeout, retries)
      * @returns {Promise<Object>} Updated post data
      * @throws {ApiError} If ID is missing, required fields are missing, or post not found
      * 
@@ -232,7 +673,7 @@ export const apiService = {
      *   body: 'Updated content here.'
      * });
      */
-    async update(id, postData) {
+    async update(id, postData, options = {}) {
       if (!id) {
         throw new ApiError('Post ID is required', 400, null);
       }
@@ -241,18 +682,25 @@ export const apiService = {
         throw new ApiError('Title and body are required', 400, null);
       }
 
-      return apiRequest(`/posts/${id}`, {
+      const response = assertPostResponse(await apiRequest(`/posts/${id}`, {
+        ...options,
         method: 'PUT',
         body: JSON.stringify(postData),
-      });
+      }));
+
+      if (isApiSuccess(response)) setQueryData(postQueryKeys.detail(id), response);
+      invalidateQueries(postQueryKeys.lists);
+      return response;
     },
 
     /**
      * Delete a post
      * 
      * Permanently removes a post from the database. This action cannot be undone.
+     * Drops the cached post and invalidates every cached post list on success.
      * 
      * @param {string|number} id - The unique identifier of the post to delete
+     * @param {Object} [options={}] - Request options (signal, timeout, retries)
      * @returns {Promise<Object>} Success confirmation message
      * @throws {ApiError} If ID is missing or deletion fails
      * 
@@ -260,14 +708,19 @@ export const apiService = {
      * await postsApi.delete(123);
      * console.log('Post deleted successfully');
      */
-    async delete(id) {
+    async delete(id, options = {}) {
       if (!id) {
         throw new ApiError('Post ID is required', 400, null);
       }
       
-      return apiRequest(`/posts/${id}`, {
+      const response = await apiRequest(`/posts/${id}`, {
+        ...options,
         method: 'DELETE',
       });
+
+      removeQueries(postQueryKeys.detail(id));
+      invalidateQueries(postQueryKeys.lists);
+      return response;
     },
   },
 };
@@ -277,7 +730,7 @@ export const apiService = {
  * 
  * Export commonly used API methods and utilities for easier importing.
  */
-export const { posts: postsApi } = apiService;
+export const { posts: postsApi, auth: authApi } = apiService;
 export { ApiError };
 
 /**
@@ -302,24 +755,170 @@ export { ApiError };
  *   const errorInfo = handleApiError(error);
  *   console.log(errorInfo.message); // User-friendly error message
  *   console.log(errorInfo.isNetworkError); // true if network error
+ *   console.log(errorInfo.isTimeout); // true if the request timed out
+ *   console.log(errorInfo.isForbidden); // true if the user lacks permission
+ *   console.log(errorInfo.type); // HTTP_ERROR, NETWORK_ERROR, PARSE_ERROR, CONTRACT_ERROR, ...
  * }
  */
 export const handleApiError = (error) => {
   if (error instanceof ApiError) {
+    const isParseError = error.type === API_ERROR_TYPES.PARSE;
+    const isContractError = error.type === API_ERROR_TYPES.CONTRACT;
+
+    let message = error.message;
+    if (error.status === HTTP_STATUS.FORBIDDEN) {
+      // A 403 gets a clear, consistent message whatever the server says
+      message = UI_MESSAGES.ERROR_FORBIDDEN;
+    } else if (isParseError || isContractError) {
+      // Parser and schema details are for developers, not users
+      message = UI_MESSAGES.ERROR_UNEXPECTED_RESPONSE;
+    }
+
     return {
-      message: error.message,
+      message,
       status: error.status,
+      type: error.type,
       isNetworkError: error.status === 0,
+      isTimeout: error.type === API_ERROR_TYPES.TIMEOUT,
+      isAborted: error.type === API_ERROR_TYPES.ABORTED,
+      isForbidden: error.status === HTTP_STATUS.FORBIDDEN,
+      isParseError,
+      isContractError,
     };
   }
   
   return {
     message: error.message || 'An unexpected error occurred',
     status: 500,
+    type: null,
     isNetworkError: false,
+    isTimeout: false,
+    isAborted: false,
+    isForbidden: false,
+    isParseError: false,
+    isContractError: false,
   };
 };
 
+/**
+ * Picks the message to show the user for a failed request
+ * 
+ * Failures the user cannot act on get the standard wording by status:
+ * network errors and timeouts UI_MESSAGES.ERROR_NETWORK, 5xx responses
+ * UI_MESSAGES.ERROR_SERVER. Other failures keep the message from
+ * handleApiError, which explains what was wrong with the request.
+ * 
+ * @param {Error|ApiError} error - The error to describe
+ * @returns {string} Message for a notification
+ * 
+ * @example
+ * getErrorMessage(new ApiError('upstream timeout', 502, null)); // UI_MESSAGES.ERROR_SERVER
+ * getErrorMessage(new ApiError('Title is required', 400, null)); // 'Title is required'
+ */
+export const getErrorMessage = (error) => {
+  const errorInfo = handleApiError(error);
+  if (error instanceof ApiError) {
+    if (errorInfo.isNetworkError || errorInfo.isTimeout) {
+      return UI_MESSAGES.ERROR_NETWORK;
+    }
+    if (errorInfo.status >= HTTP_STATUS.INTERNAL_SERVER_ERROR) {
+      return UI_MESSAGES.ERROR_SERVER;
+    }
+  }
+  return errorInfo.message;
+};
+
+// Field names used by validation responses mapped to post form fields
+const FIELD_ALIASES = {
+  title: 'title',
+  body: 'body',
+  content: 'body',
+  user_id: 'user_id',
+  userid: 'user_id',
+};
+
+/**
+ * Resolves a server field name to a post form field
+ * 
+ * @param {any} name - Field name from the response
+ * @returns {string|undefined} `title`, `body`, `user_id` or undefined
+ */
+const toFormField = (name) => FIELD_ALIASES[String(name || '').toLowerCase()];
+
+/**
+ * Extracts field-level validation errors from a failed request
+ * 
+ * Reads structured details from the error response, either an array of
+ * `{ field|path|param, message|msg }` or an object keyed by field, under
+ * `details` or `errors`. Without details, a plain error message that starts
+ * with a field name ("Title must be 200 characters or less") is assigned
+ * to that field. Unknown fields are ignored.
+ * 
+ * @param {Error|ApiError} error - The error to inspect
+ * @returns {Object} Messages keyed by `title`, `body` and `user_id`
+ * 
+ * @example
+ * try {
+ *   await postsApi.create(data);
+ * } catch (error) {
+ *   setFieldErrors(getApiFieldErrors(error)); // { title: 'Title is too long' }
+ * }
+ */
+export const getApiFieldErrors = (error) => {
+  const fieldErrors = {};
+  if (!(error instanceof ApiError) || error.type !== API_ERROR_TYPES.HTTP) {
+    return fieldErrors;
+  }
+
+  const body = error.response && typeof error.response === 'object' ? error.response : {};
+  const details = body.details || body.errors;
+
+  if (Array.isArray(details)) {
+    details.forEach((detail) => {
+      const field = toFormField(detail?.field ?? detail?.path ?? detail?.param);
+      const message = detail?.message ?? detail?.msg;
+      if (field && message && !fieldErrors[field]) {
+        fieldErrors[field] = String(message);
+      }
+    });
+  } else if (details && typeof details === 'object') {
+    Object.entries(details).forEach(([name, message]) => {
+      const field = toFormField(name);
+      if (field && message) {
+        fieldErrors[field] = String(Array.isArray(message) ? message[0] : message);
+      }
+    });
+  } else {
+    const match = /^(\w+) (?:is|must)\b/i.exec(error.message);
+    const field = match && toFormField(match[1]);
+    if (field) {
+      fieldErrors[field] = error.message;
+    }
+  }
+
+  return fieldErrors;
+};
+
+/**
+ * Checks if an error was caused by cancelling the request
+ * 
+ * Cancelled requests are expected (superseded searches, unmounted
+ * components) and should never be shown to the user as failures.
+ * 
+ * @param {Error|ApiError} error - The error to check
+ * @returns {boolean} True if the request was aborted by the caller
+ * 
+ * @example
+ * try {
+ *   await postsApi.getAll({}, { signal: controller.signal });
+ * } catch (error) {
+ *   if (!isAbortError(error)) throw error;
+ * }
+ */
+export const isAbortError = (error) => {
+  return error instanceof ApiError && error.type === API_ERROR_TYPES.ABORTED;
+};
+
 /**
  * Checks if an API response indicates success
  * 
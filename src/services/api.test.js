@@ -0,0 +1,359 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  apiService,
+  postsApi,
+  ApiError,
+  handleApiError,
+  getErrorMessage,
+  isApiSuccess,
+  getApiData,
+  getApiError,
+  getApiFieldErrors,
+  isAbortError,
+} from './api';
+import { API_ERROR_TYPES, HTTP_STATUS, UI_MESSAGES } from '../utils/constants';
+import { stubFetch, jsonResponse, ok, fail, postsPage } from '../test/helpers';
+
+const post = { id: 1, title: 'Hello', body: 'World', user_id: 1 };
+
+describe('apiRequest error mapping', () => {
+  it('returns the parsed envelope on success', async () => {
+    stubFetch(jsonResponse(ok({ status: 'ok' })));
+    await expect(apiService.checkHealth()).resolves.toEqual(ok({ status: 'ok' }));
+  });
+
+  it('maps non-2xx responses to HTTP errors using the envelope message', async () => {
+    stubFetch(jsonResponse(fail('Post not found'), 404));
+
+    const error = await postsApi.getById(99).catch(err => err);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.status).toBe(404);
+    expect(error.type).toBe(API_ERROR_TYPES.HTTP);
+    expect(error.message).toBe('Post not found');
+    expect(error.response).toEqual(fail('Post not found'));
+  });
+
+  it('falls back to the status text when the envelope has no error', async () => {
+    stubFetch(new Response('{}', { status: 400, statusText: 'Bad Request' }));
+
+    const error = await postsApi.getById(1).catch(err => err);
+    expect(error.message).toBe('HTTP 400: Bad Request');
+  });
+
+  it('maps fetch rejections to network errors with status 0', async () => {
+    stubFetch(new TypeError('Failed to fetch'));
+
+    const error = await postsApi.getAll({}, { retries: 0 }).catch(err => err);
+    expect(error.status).toBe(0);
+    expect(error.type).toBe(API_ERROR_TYPES.NETWORK);
+    expect(handleApiError(error).isNetworkError).toBe(true);
+  });
+
+  it('aborts slow requests with a timeout error', async () => {
+    stubFetch((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+
+    const error = await postsApi.getAll({}, { timeout: 10, retries: 0 }).catch(err => err);
+    expect(error.type).toBe(API_ERROR_TYPES.TIMEOUT);
+    expect(handleApiError(error).isTimeout).toBe(true);
+  });
+
+  it('reports caller cancellation as an abort error', async () => {
+    const controller = new AbortController();
+    stubFetch((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+      controller.abort();
+    }));
+
+    const error = await postsApi.getAll({}, { signal: controller.signal }).catch(err => err);
+    expect(isAbortError(error)).toBe(true);
+  });
+});
+
+describe('response parsing', () => {
+  it('treats 204 No Content as an empty success', async () => {
+    stubFetch(new Response(null, { status: 204 }));
+    await expect(postsApi.delete(1)).resolves.toEqual({ success: true, data: null, error: null });
+  });
+
+  it('maps an HTML error page to an HTTP error', async () => {
+    stubFetch(new Response('<html>Bad Gateway</html>', {
+      status: 502,
+      statusText: 'Bad Gateway',
+      headers: { 'Content-Type': 'text/html' },
+    }));
+
+    const error = await postsApi.getAll({}, { retries: 0 }).catch(err => err);
+    expect(error).toMatchObject({ status: 502, type: API_ERROR_TYPES.HTTP, message: 'HTTP 502: Bad Gateway' });
+  });
+
+  it('maps a non-JSON success body to a parse error', async () => {
+    stubFetch(new Response('<html>Welcome</html>', { status: 200, headers: { 'Content-Type': 'text/html' } }));
+
+    const error = await apiService.checkHealth().catch(err => err);
+    expect(error.type).toBe(API_ERROR_TYPES.PARSE);
+    expect(handleApiError(error)).toMatchObject({
+      isParseError: true,
+      message: UI_MESSAGES.ERROR_UNEXPECTED_RESPONSE,
+    });
+  });
+
+  it('maps malformed JSON to a parse error', async () => {
+    stubFetch(new Response('{"success": tru', { status: 200, headers: { 'Content-Type': 'application/json' } }));
+
+    await expect(apiService.checkHealth()).rejects.toMatchObject({ type: API_ERROR_TYPES.PARSE });
+  });
+
+  it('rejects JSON that is not an envelope', async () => {
+    stubFetch(jsonResponse([post]));
+
+    const error = await apiService.checkHealth().catch(err => err);
+    expect(error.type).toBe(API_ERROR_TYPES.CONTRACT);
+    expect(handleApiError(error).isContractError).toBe(true);
+  });
+
+  it('rejects post lists with a malformed payload', async () => {
+    stubFetch(
+      jsonResponse(ok({ posts: 'nope', pagination: {} })),
+      jsonResponse(ok({ posts: [post], pagination: { currentPage: 1 } })),
+      jsonResponse(ok({ posts: [{ id: 1 }], pagination: postsPage([]).data.pagination }))
+    );
+
+    await expect(postsApi.getAll()).rejects.toThrow('data.posts must be an array');
+    await expect(postsApi.getAll({ page: 2 })).rejects.toThrow('data.pagination.totalPages');
+    await expect(postsApi.getAll({ page: 3 })).rejects.toThrow('data.posts[0].title');
+  });
+
+  it('rejects a single post response without an ID', async () => {
+    stubFetch(jsonResponse(ok({ title: 'Hello', body: 'World' })));
+
+    await expect(postsApi.getById(1)).rejects.toMatchObject({ type: API_ERROR_TYPES.CONTRACT });
+  });
+});
+
+describe('apiRequest retries', () => {
+  it('retries idempotent requests on transient failures', async () => {
+    vi.useFakeTimers();
+    const fetchMock = stubFetch(
+      jsonResponse(fail('Unavailable'), 503),
+      new TypeError('Failed to fetch'),
+      jsonResponse(postsPage([post]))
+    );
+
+    const request = postsApi.getAll();
+    await vi.runAllTimersAsync();
+
+    await expect(request).resolves.toEqual(postsPage([post]));
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry client errors', async () => {
+    const fetchMock = stubFetch(jsonResponse(fail('Bad input'), 400));
+
+    await expect(postsApi.update(1, { title: 'a', body: 'b' })).rejects.toThrow('Bad input');
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('never retries POST unless asked to', async () => {
+    const fetchMock = stubFetch(jsonResponse(fail('Unavailable'), 503));
+
+    await expect(postsApi.create({ title: 'a', body: 'b', user_id: 1 })).rejects.toThrow('Unavailable');
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('postsApi', () => {
+  it('getAll builds the query string from page, limit and search', async () => {
+    const fetchMock = stubFetch(jsonResponse(postsPage([post])));
+
+    await postsApi.getAll({ page: 2, limit: 6, search: 'react hooks' });
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toMatch(/\/api\/posts\?page=2&limit=6&search=react\+hooks$/);
+    expect(init.method).toBe('GET');
+  });
+
+  it('getAll adds sort and filter options to the query string', async () => {
+    const fetchMock = stubFetch(jsonResponse(postsPage([post])));
+
+    await postsApi.getAll({ page: 1, sort: 'title', order: 'asc', user_id: 2, id_min: 5, date_to: '2024-01-31' });
+
+    expect(fetchMock.mock.calls[0][0]).toMatch(
+      /\/api\/posts\?page=1&sort=title&order=asc&user_id=2&id_min=5&date_to=2024-01-31$/
+    );
+  });
+
+  it('getAll serves fresh results from the cache', async () => {
+    const fetchMock = stubFetch(jsonResponse(postsPage([post])));
+
+    await postsApi.getAll({ page: 1 });
+    await postsApi.getAll({ page: 1 });
+    await postsApi.getAll({ page: 1 }, { staleTime: 0 });
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not cache a failed envelope', async () => {
+    const fetchMock = stubFetch(jsonResponse(fail('Try later')), jsonResponse(postsPage([post])));
+
+    await expect(postsApi.getAll({ page: 1 })).resolves.toEqual(fail('Try later'));
+    await expect(postsApi.getAll({ page: 1 })).resolves.toEqual(postsPage([post]));
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('getById requests a single post and requires an ID', async () => {
+    const fetchMock = stubFetch(jsonResponse(ok(post)));
+
+    await expect(postsApi.getById(1)).resolves.toEqual(ok(post));
+    expect(fetchMock.mock.calls[0][0]).toMatch(/\/api\/posts\/1$/);
+    await expect(postsApi.getById()).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('create posts JSON and validates required fields', async () => {
+    const fetchMock = stubFetch(jsonResponse(ok(post), 201));
+    const payload = { title: 'Hello', body: 'World', user_id: 1 };
+
+    await expect(postsApi.create(payload)).resolves.toEqual(ok(post));
+    const [, init] = fetchMock.mock.calls[0];
+    expect(init.method).toBe('POST');
+    expect(JSON.parse(init.body)).toEqual(payload);
+    expect(init.headers['Content-Type']).toBe('application/json');
+
+    await expect(postsApi.create({ title: '', body: 'x', user_id: 1 })).rejects.toMatchObject({ status: 400 });
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('create invalidates cached lists', async () => {
+    const fetchMock = stubFetch(
+      jsonResponse(postsPage([])),
+      jsonResponse(ok(post), 201),
+      jsonResponse(postsPage([post]))
+    );
+
+    await postsApi.getAll();
+    await postsApi.create({ title: 'Hello', body: 'World', user_id: 1 });
+    await expect(postsApi.getAll()).resolves.toEqual(postsPage([post]));
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('update sends PUT and validates its input', async () => {
+    const fetchMock = stubFetch(jsonResponse(ok(post)));
+
+    await postsApi.update(1, { title: 'Hello', body: 'World' });
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toMatch(/\/api\/posts\/1$/);
+    expect(init.method).toBe('PUT');
+
+    await expect(postsApi.update(null, { title: 'a', body: 'b' })).rejects.toMatchObject({ status: 400 });
+    await expect(postsApi.update(1, { title: 'a' })).rejects.toMatchObject({ status: 400 });
+  });
+
+  it('delete sends DELETE and requires an ID', async () => {
+    const fetchMock = stubFetch(jsonResponse(ok({ message: 'Deleted' })));
+
+    await postsApi.delete(1);
+    expect(fetchMock.mock.calls[0][1].method).toBe('DELETE');
+    await expect(postsApi.delete()).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe('apiService interceptors', () => {
+  it('runs registered interceptors and stops after eject', async () => {
+    const fetchMock = stubFetch(jsonResponse(ok({ status: 'ok' })));
+    const eject = apiService.use({
+      request: (config) => ({ ...config, headers: { ...config.headers, 'X-Test': 'yes' } }),
+      response: (data) => data.data,
+    });
+
+    await expect(apiService.checkHealth()).resolves.toEqual({ status: 'ok' });
+    expect(fetchMock.mock.calls[0][1].headers['X-Test']).toBe('yes');
+
+    eject();
+    await expect(apiService.checkHealth()).resolves.toEqual(ok({ status: 'ok' }));
+  });
+
+  it('sends requests through a custom transport', async () => {
+    const transport = vi.fn(async () => jsonResponse(ok({ status: 'mocked' })));
+    apiService.setTransport(transport);
+
+    await expect(apiService.checkHealth()).resolves.toEqual(ok({ status: 'mocked' }));
+    expect(transport).toHaveBeenCalledOnce();
+  });
+
+  it('keeps client-only options out of the fetch init', async () => {
+    const fetchMock = stubFetch(jsonResponse(ok({ user: {}, token: 't', refreshToken: 'r' })));
+
+    await apiService.auth.login({ email: 'ada@example.com', password: 'secret' });
+
+    expect(fetchMock.mock.calls[0][1]).not.toHaveProperty('skipAuth');
+    expect(fetchMock.mock.calls[0][1]).not.toHaveProperty('endpoint');
+  });
+});
+
+describe('response helpers', () => {
+  it('handleApiError normalises ApiError and plain errors', () => {
+    expect(handleApiError(new ApiError('Nope', 500, null))).toMatchObject({
+      message: 'Nope',
+      status: 500,
+      isNetworkError: false,
+    });
+    expect(handleApiError(new ApiError('Denied', HTTP_STATUS.FORBIDDEN, null))).toMatchObject({
+      message: UI_MESSAGES.ERROR_FORBIDDEN,
+      isForbidden: true,
+    });
+    expect(handleApiError(new Error(''))).toMatchObject({
+      message: 'An unexpected error occurred',
+      status: 500,
+    });
+  });
+
+  it('getErrorMessage words network and server failures by status', () => {
+    expect(getErrorMessage(new ApiError('Failed to fetch', 0, null))).toBe(UI_MESSAGES.ERROR_NETWORK);
+    expect(getErrorMessage(new ApiError('Timed out', 0, null, API_ERROR_TYPES.TIMEOUT))).toBe(UI_MESSAGES.ERROR_NETWORK);
+    expect(getErrorMessage(new ApiError('Bad gateway', 502, null))).toBe(UI_MESSAGES.ERROR_SERVER);
+    expect(getErrorMessage(new ApiError('Denied', HTTP_STATUS.FORBIDDEN, null))).toBe(UI_MESSAGES.ERROR_FORBIDDEN);
+    expect(getErrorMessage(new ApiError('Title is required', 400, null))).toBe('Title is required');
+  });
+
+  it('isApiSuccess, getApiData and getApiError read the envelope', () => {
+    expect(isApiSuccess(ok(1))).toBe(true);
+    expect(isApiSuccess(fail('x'))).toBe(false);
+    expect(isApiSuccess(null)).toBeFalsy();
+    expect(getApiData(ok({ a: 1 }))).toEqual({ a: 1 });
+    expect(getApiData(fail('x'))).toBeNull();
+    expect(getApiError(fail('x'))).toBe('x');
+    expect(getApiError(ok(1))).toBeNull();
+  });
+});
+
+describe('getApiFieldErrors', () => {
+  const httpError = (message, response) => new ApiError(message, 422, response);
+
+  it('reads detail arrays and maps field aliases', () => {
+    const error = httpError('Validation failed', {
+      details: [
+        { field: 'title', message: 'Title is taken' },
+        { path: 'content', msg: 'Content is too short' },
+        { field: 'tags', message: 'Unknown field' },
+      ],
+    });
+    expect(getApiFieldErrors(error)).toEqual({ title: 'Title is taken', body: 'Content is too short' });
+  });
+
+  it('reads error objects keyed by field', () => {
+    const error = httpError('Validation failed', { errors: { body: ['Body is required'], userId: 'Unknown user' } });
+    expect(getApiFieldErrors(error)).toEqual({ body: 'Body is required', user_id: 'Unknown user' });
+  });
+
+  it('falls back to a message that names a field', () => {
+    expect(getApiFieldErrors(httpError('Body must be 5000 characters or less', fail('x'))))
+      .toEqual({ body: 'Body must be 5000 characters or less' });
+    expect(getApiFieldErrors(httpError('Title, body, and user_id are required', fail('x')))).toEqual({});
+  });
+
+  it('ignores non-HTTP errors', () => {
+    expect(getApiFieldErrors(new ApiError('Title is required', 0, null))).toEqual({});
+    expect(getApiFieldErrors(new Error('Title is required'))).toEqual({});
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Authentication Session Service
+ * 
+ * Holds the current session (user, access token and refresh token), keeps
+ * it in localStorage across reloads, and provides the interceptor that
+ * attaches the bearer token to API requests and recovers from 401s.
+ * 
+ * Session lifecycle:
+ * - signed in: `{ user, token, refreshToken, expired: false }`
+ * - expired: the token was rejected and could not be refreshed; the user is
+ *   kept so the UI can ask them to sign in again without losing its state
+ * - signed out: `null`
+ * 
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { authApi, ApiError } from './api';
+import { clearQueryCache } from './queryCache';
+import { AUTH_CONFIG, API_ERROR_TYPES, HTTP_STATUS } from '../utils/constants';
+
+// Change listeners registered through subscribeSession()
+const listeners = new Set();
+
+// Current session, loaded once from storage
+let session = loadSession();
+
+// Promise of the refresh currently running, so 401 bursts refresh only once
+let activeRefresh = null;
+
+/**
+ * Reads the persisted session
+ * 
+ * @returns {Object|null} Stored session or null
+ */
+function loadSession() {
+  try {
+    const stored = localStorage.getItem(AUTH_CONFIG.STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Replaces the session, persists it and notifies listeners
+ * 
+ * @param {Object|null} nextSession - New session or null to sign out
+ */
+const updateSession = (nextSession) => {
+  session = nextSession;
+  try {
+    if (session) {
+      localStorage.setItem(AUTH_CONFIG.STORAGE_KEY, JSON.stringify(session));
+    } else {
+      localStorage.removeItem(AUTH_CONFIG.STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('Error saving session:', error);
+  }
+  listeners.forEach(listener => listener(session));
+};
+
+/**
+ * Returns the current session
+ * 
+ * @returns {Object|null} Session with user, token, refreshToken and expired
+ */
+export const getSession = () => session;
+
+/**
+ * Registers a listener called whenever the session changes
+ * 
+ * @param {Function} listener - Receives the new session (or null)
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeSession = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Starts a session from a successful login response
+ * 
+ * @param {Object} data - Login response data
+ * @param {Object} data.user - Signed-in user
+ * @param {string} data.token - Access token
+ * @param {string} [data.refreshToken] - Refresh token
+ */
+export const startSession = ({ user, token, refreshToken = null }) => {
+  updateSession({ user, token, refreshToken, expired: false });
+};
+
+/**
+ * Ends the session and drops cached data belonging to the user
+ */
+export const endSession = () => {
+  clearQueryCache();
+  updateSession(null);
+};
+
+/**
+ * Marks the session as expired so the user is asked to sign in again
+ */
+export const expireSession = () => {
+  if (session && !session.expired) {
+    updateSession({ ...session, token: null, refreshToken: null, expired: true });
+  }
+};
+
+/**
+ * Tries to obtain a new access token with the refresh token
+ * 
+ * Concurrent callers share one refresh request.
+ * 
+ * @returns {Promise<boolean>} True if the session now has a fresh token
+ */
+export const refreshSession = () => {
+  if (activeRefresh) return activeRefresh;
+
+  activeRefresh = (async () => {
+    if (!session?.refreshToken) return false;
+
+    try {
+      const response = await authApi.refresh(session.refreshToken);
+      updateSession({
+        ...session,
+        token: response.data.token,
+        refreshToken: response.data.refreshToken || session.refreshToken,
+        expired: false,
+      });
+      return true;
+    } catch {
+      return false;
+    }
+  })().finally(() => {
+    activeRefresh = null;
+  });
+
+  return activeRefresh;
+};
+
+/**
+ * Resolves once a valid (non-expired) session exists
+ * 
+ * @param {AbortSignal} [signal] - Stops waiting when aborted
+ * @returns {Promise<Object>} The new session
+ * @throws {ApiError} ABORTED error if the signal fires, or a 401 if the user signs out instead
+ */
+const waitForSession = (signal) => new Promise((resolve, reject) => {
+  const cleanup = () => {
+    unsubscribe();
+    signal?.removeEventListener('abort', onAbort);
+  };
+  const onAbort = () => {
+    cleanup();
+    reject(new ApiError('Request was cancelled', 0, null, API_ERROR_TYPES.ABORTED));
+  };
+  const unsubscribe = subscribeSession((nextSession) => {
+    if (nextSession && !nextSession.expired) {
+      cleanup();
+      resolve(nextSession);
+    } else if (!nextSession) {
+      cleanup();
+      reject(new ApiError('Signed out', HTTP_STATUS.UNAUTHORIZED, null));
+    }
+  });
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Creates the authentication interceptor
+ * 
+ * - Adds `Authorization: Bearer <token>` to every request that doesn't set `skipAuth`
+ * - On a 401, refreshes the token and retries the request once; if the
+ *   refresh fails, expires the session and retries after the user signs in again
+ * 
+ * @returns {Object} Request and error interceptor for apiService.use()
+ * 
+ * @example
+ * const eject = apiService.use(createAuthInterceptor());
+ */
+export const createAuthInterceptor = () => ({
+  request: (config) => {
+    if (config.skipAuth || !session?.token) return config;
+    return {
+      ...config,
+      headers: { ...config.headers, Authorization: `Bearer ${session.token}` },
+    };
+  },
+
+  error: async (error, { config, retry, retryCount }) => {
+    if (error.status !== HTTP_STATUS.UNAUTHORIZED || config.skipAuth || retryCount > 0 || !session) {
+      return undefined;
+    }
+
+    const refreshed = await refreshSession();
+    if (!refreshed) {
+      expireSession();
+      await waitForSession(config.signal);
+    }
+
+    return retry();
+  },
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { apiService, postsApi } from './api';
+import { startSession, getSession, createAuthInterceptor } from './auth';
+import { stubFetch, jsonResponse, ok, fail } from '../test/helpers';
+
+const user = { id: 1, name: 'Ada', email: 'ada@example.com' };
+const post = { id: 1, title: 'Hello', body: 'World', user_id: 1 };
+
+describe('auth interceptor', () => {
+  it('attaches the bearer token', async () => {
+    startSession({ user, token: 'abc', refreshToken: 'r1' });
+    const eject = apiService.use(createAuthInterceptor());
+    const fetchMock = stubFetch(jsonResponse(ok({ status: 'ok' })));
+
+    await apiService.checkHealth();
+    eject();
+
+    expect(fetchMock.mock.calls[0][1].headers.Authorization).toBe('Bearer abc');
+  });
+
+  it('refreshes the token on 401 and retries the request', async () => {
+    startSession({ user, token: 'expired', refreshToken: 'r1' });
+    const eject = apiService.use(createAuthInterceptor());
+    const fetchMock = stubFetch(
+      jsonResponse(fail('Token expired'), 401),
+      jsonResponse(ok({ token: 'fresh', refreshToken: 'r2' })),
+      jsonResponse(ok(post))
+    );
+
+    await expect(postsApi.getById(1)).resolves.toEqual(ok(post));
+    eject();
+
+    expect(fetchMock.mock.calls[1][0]).toMatch(/\/auth\/refresh$/);
+    expect(fetchMock.mock.calls[2][1].headers.Authorization).toBe('Bearer fresh');
+    expect(getSession()).toMatchObject({ token: 'fresh', refreshToken: 'r2', expired: false });
+  });
+
+  it('expires the session and resumes after signing in again', async () => {
+    startSession({ user, token: 'expired', refreshToken: 'revoked' });
+    const eject = apiService.use(createAuthInterceptor());
+    stubFetch(
+      jsonResponse(fail('Token expired'), 401),
+      jsonResponse(fail('Invalid refresh token'), 401),
+      jsonResponse(ok(post))
+    );
+
+    const request = postsApi.getById(1);
+    await expect.poll(() => getSession()?.expired).toBe(true);
+
+    startSession({ user, token: 'new', refreshToken: 'r3' });
+    await expect(request).resolves.toEqual(ok(post));
+    eject();
+  });
+});
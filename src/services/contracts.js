@@ -0,0 +1,127 @@
+/**
+ * API Response Contracts
+ * 
+ * Runtime checks that responses match the shape the frontend relies on:
+ * the `{ success, data, error }` envelope, post objects, and the
+ * `{ posts, pagination }` list payload. A mismatch raises an ApiError of
+ * type CONTRACT instead of letting `undefined` leak into the UI.
+ * 
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { ApiError } from './api';
+import { API_ERROR_TYPES, HTTP_STATUS } from '../utils/constants';
+
+/**
+ * Throws a contract violation error
+ * 
+ * @param {string} message - What is wrong with the response
+ * @param {any} body - The offending response body
+ * @param {number} [status=HTTP_STATUS.OK] - HTTP status of the response
+ * @throws {ApiError} Always
+ */
+const violation = (message, body, status = HTTP_STATUS.OK) => {
+  throw new ApiError(`Invalid API response: ${message}`, status, body, API_ERROR_TYPES.CONTRACT);
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Asserts that a body is a `{ success, data, error }` envelope
+ * 
+ * @param {any} body - Parsed response body
+ * @param {number} [status] - HTTP status of the response
+ * @returns {Object} The envelope
+ * @throws {ApiError} CONTRACT error if the shape is wrong
+ */
+export const assertEnvelope = (body, status) => {
+  if (!isObject(body)) {
+    violation('expected an object envelope', body, status);
+  }
+  if (typeof body.success !== 'boolean') {
+    violation('"success" must be a boolean', body, status);
+  }
+  if (!('data' in body)) {
+    violation('"data" is missing', body, status);
+  }
+  if (body.error !== undefined && body.error !== null && typeof body.error !== 'string') {
+    violation('"error" must be a string or null', body, status);
+  }
+  return body;
+};
+
+/**
+ * Asserts that a value is a post object
+ * 
+ * @param {any} post - Value to check
+ * @param {string} [path='data'] - Location used in the error message
+ * @param {any} [body=post] - Full response body attached to the error
+ * @returns {Object} The post
+ * @throws {ApiError} CONTRACT error if the shape is wrong
+ */
+export const assertPost = (post, path = 'data', body = post) => {
+  if (!isObject(post)) {
+    violation(`${path} must be a post object`, body);
+  }
+  if (post.id === undefined || post.id === null) {
+    violation(`${path}.id is missing`, body);
+  }
+  if (typeof post.title !== 'string' || typeof post.body !== 'string') {
+    violation(`${path}.title and ${path}.body must be strings`, body);
+  }
+  return post;
+};
+
+/**
+ * Asserts that a successful envelope carries a single post
+ * 
+ * @param {Object} response - API envelope
+ * @returns {Object} The envelope
+ * @throws {ApiError} CONTRACT error if data is not a post
+ */
+export const assertPostResponse = (response) => {
+  if (response.success) {
+    assertPost(response.data, 'data', response);
+  }
+  return response;
+};
+
+/**
+ * Asserts that a successful envelope carries `{ posts, pagination }`
+ * 
+ * @param {Object} response - API envelope
+ * @returns {Object} The envelope
+ * @throws {ApiError} CONTRACT error if posts or pagination are malformed
+ */
+export const assertPostsPageResponse = (response) => {
+  if (!response.success) return response;
+
+  const { data } = response;
+  if (!isObject(data)) {
+    violation('data must be an object', response);
+  }
+  if (!Array.isArray(data.posts)) {
+    violation('data.posts must be an array', response);
+  }
+  data.posts.forEach((post, index) => assertPost(post, `data.posts[${index}]`, response));
+
+  const { pagination } = data;
+  if (!isObject(pagination)) {
+    violation('data.pagination must be an object', response);
+  }
+  ['currentPage', 'totalPages', 'totalItems'].forEach(field => {
+    if (!isCount(pagination[field])) {
+      violation(`data.pagination.${field} must be a non-negative integer`, response);
+    }
+  });
+  ['hasNextPage', 'hasPrevPage'].forEach(field => {
+    if (typeof pagination[field] !== 'boolean') {
+      violation(`data.pagination.${field} must be a boolean`, response);
+    }
+  });
+
+  return response;
+};
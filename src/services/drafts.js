@@ -0,0 +1,108 @@
+/**
+ * Post Drafts Storage
+ * 
+ * Keeps unsent posts in localStorage so they survive leaving the create
+ * form, a failed submit or a page reload. Drafts belong to the user who
+ * wrote them; each user keeps at most DRAFTS.MAX_DRAFTS, newest first.
+ * 
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { DRAFTS } from '../utils/constants';
+
+// Change listeners registered through subscribe()
+const listeners = new Set();
+
+/**
+ * Reads all drafts from localStorage
+ * 
+ * @returns {Array<Object>} Drafts of every user
+ */
+const readDrafts = () => {
+  try {
+    const stored = localStorage.getItem(DRAFTS.STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Writes drafts to localStorage and notifies listeners
+ * 
+ * @param {Array<Object>} drafts - Drafts to persist
+ */
+const writeDrafts = (drafts) => {
+  try {
+    localStorage.setItem(DRAFTS.STORAGE_KEY, JSON.stringify(drafts));
+  } catch (error) {
+    console.error('Error saving drafts:', error);
+  }
+  listeners.forEach(listener => listener(drafts));
+};
+
+/**
+ * Returns a user's drafts, most recently edited first
+ * 
+ * @param {number} userId - Author ID
+ * @returns {Array<Object>} Drafts with `id`, `title`, `body` and `updatedAt`
+ */
+export const getDrafts = (userId) => {
+  return readDrafts()
+    .filter(draft => draft.userId === userId)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+/**
+ * Registers a listener called whenever drafts change
+ * 
+ * @param {Function} listener - Called with all drafts
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Creates or updates a draft
+ * 
+ * @param {Object} draft - Draft to save
+ * @param {string} [draft.id] - Existing draft to update; a new one is created without it
+ * @param {number} draft.userId - Author ID
+ * @param {string} draft.title - Post title
+ * @param {string} draft.body - Post content
+ * @returns {Object} The saved draft
+ */
+export const saveDraft = ({ id, userId, title, body }) => {
+  const saved = {
+    id: id || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    userId,
+    title,
+    body,
+    updatedAt: new Date().toISOString(),
+  };
+
+  const others = readDrafts().filter(draft => draft.id !== saved.id);
+  const kept = others
+    .filter(draft => draft.userId === userId)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, DRAFTS.MAX_DRAFTS - 1);
+
+  writeDrafts([
+    ...others.filter(draft => draft.userId !== userId),
+    ...kept,
+    saved,
+  ]);
+  return saved;
+};
+
+/**
+ * Deletes a draft
+ * 
+ * @param {string} id - Draft ID
+ */
+export const deleteDraft = (id) => {
+  writeDrafts(readDrafts().filter(draft => draft.id !== id));
+};
@@ -0,0 +1,49 @@
+import { describe, it, expect, vi } from 'vitest';
+import { getDrafts, saveDraft, deleteDraft, subscribe } from './drafts';
+import { DRAFTS } from '../utils/constants';
+
+describe('drafts', () => {
+  it('creates and updates drafts in localStorage', () => {
+    const draft = saveDraft({ userId: 1, title: 'First', body: '' });
+    saveDraft({ id: draft.id, userId: 1, title: 'First', body: 'More' });
+
+    expect(getDrafts(1)).toEqual([expect.objectContaining({ id: draft.id, title: 'First', body: 'More' })]);
+    expect(JSON.parse(localStorage.getItem(DRAFTS.STORAGE_KEY))).toHaveLength(1);
+  });
+
+  it('keeps drafts per user, newest first', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-01-01T10:00:00Z'));
+    saveDraft({ userId: 1, title: 'Older', body: '' });
+    vi.setSystemTime(new Date('2026-01-01T11:00:00Z'));
+    saveDraft({ userId: 1, title: 'Newer', body: '' });
+    saveDraft({ userId: 2, title: 'Someone else', body: '' });
+
+    expect(getDrafts(1).map(draft => draft.title)).toEqual(['Newer', 'Older']);
+    expect(getDrafts(2).map(draft => draft.title)).toEqual(['Someone else']);
+  });
+
+  it('drops the oldest drafts beyond the limit', () => {
+    vi.useFakeTimers();
+    for (let i = 0; i <= DRAFTS.MAX_DRAFTS; i++) {
+      vi.setSystemTime(new Date(2026, 0, 1, 0, i));
+      saveDraft({ userId: 1, title: `Draft ${i}`, body: '' });
+    }
+
+    const drafts = getDrafts(1);
+    expect(drafts).toHaveLength(DRAFTS.MAX_DRAFTS);
+    expect(drafts.map(draft => draft.title)).not.toContain('Draft 0');
+  });
+
+  it('deletes drafts and notifies subscribers', () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribe(listener);
+    const draft = saveDraft({ userId: 1, title: 'Gone soon', body: '' });
+
+    deleteDraft(draft.id);
+    unsubscribe();
+
+    expect(getDrafts(1)).toEqual([]);
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * API Interceptor Pipeline
+ * 
+ * Extension point for the API service. Interceptors are plain objects with
+ * up to three optional hooks, run in registration order:
+ * 
+ * - request(config, context): returns the (possibly modified) request config,
+ *   or `shortCircuit(data)` to skip the network and respond with `data`
+ * - response(data, context): returns the (possibly transformed) response data
+ * - error(error, context): returns a value to recover with that value, returns
+ *   undefined to pass the error on, or throws to replace the error
+ * 
+ * Every hook receives a context with `retry(overrides)`, which runs the whole
+ * request again (request interceptors included) with the given config
+ * overrides, and `retryCount`, the number of retries so far.
+ * 
+ * Because interceptors are plain objects they can be unit-tested by calling
+ * their hooks directly, or by running them through a standalone manager
+ * with a stub `send` function.
+ * 
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+/**
+ * Marker returned by a request interceptor to answer without a network call
+ */
+class ShortCircuit {
+  constructor(data) {
+    this.data = data;
+  }
+}
+
+/**
+ * Creates a short-circuit result for a request interceptor
+ * 
+ * @param {any} data - Response data to resolve the request with
+ * @returns {ShortCircuit} Marker understood by the pipeline
+ * 
+ * @example
+ * const offlineHealth = {
+ *   request: (config) => (config.endpoint === '/health' && !navigator.onLine
+ *     ? shortCircuit({ success: false, data: null, error: 'Offline' })
+ *     : config),
+ * };
+ */
+export const shortCircuit = (data) => new ShortCircuit(data);
+
+/**
+ * Creates an interceptor manager
+ * 
+ * @returns {Object} Manager with use, eject, clear, list and run methods
+ * 
+ * @example
+ * const manager = createInterceptorManager();
+ * const eject = manager.use({ request: (config) => ({ ...config, headers: { ...config.headers, 'X-Test': '1' } }) });
+ * const data = await manager.run({ endpoint: '/posts', headers: {} }, async (config) => config.headers);
+ * eject();
+ */
+export function createInterceptorManager() {
+  const interceptors = [];
+
+  /**
+   * Runs a request through every interceptor and the send function
+   * 
+   * @param {Object} initialConfig - Request config before interceptors
+   * @param {Function} send - Performs the request, resolves with response data
+   * @param {number} retryCount - Number of retries that led to this run
+   * @returns {Promise<any>} Response data after all response interceptors
+   */
+  const execute = async (initialConfig, send, retryCount) => {
+    // Snapshot so interceptors added or removed mid-request don't affect it
+    const chain = [...interceptors];
+    let config = initialConfig;
+
+    const context = () => ({
+      config,
+      retryCount,
+      retry: (overrides = {}) => execute({ ...initialConfig, ...overrides }, send, retryCount + 1),
+    });
+
+    try {
+      let result = null;
+
+      for (const interceptor of chain) {
+        if (!interceptor.request) continue;
+        const next = await interceptor.request(config, context());
+        if (next instanceof ShortCircuit) {
+          result = next;
+          break;
+        }
+        config = next ?? config;
+      }
+
+      let data = result ? result.data : await send(config);
+
+      for (const interceptor of chain) {
+        if (interceptor.response) {
+          data = await interceptor.response(data, context());
+        }
+      }
+
+      return data;
+    } catch (error) {
+      let currentError = error;
+
+      for (const interceptor of chain) {
+        if (!interceptor.error) continue;
+        try {
+          const recovered = await interceptor.error(currentError, context());
+          if (recovered !== undefined) {
+            return recovered;
+          }
+        } catch (nextError) {
+          currentError = nextError;
+        }
+      }
+
+      throw currentError;
+    }
+  };
+
+  return {
+    /**
+     * Registers an interceptor at the end of the chain
+     * 
+     * @param {Object} interceptor - Object with optional request, response and error hooks
+     * @returns {Function} Function that removes the interceptor again
+     */
+    use(interceptor) {
+      interceptors.push(interceptor);
+      return () => this.eject(interceptor);
+    },
+
+    /**
+     * Removes a previously registered interceptor
+     * 
+     * @param {Object} interceptor - The interceptor passed to use()
+     * @returns {boolean} True if it was registered
+     */
+    eject(interceptor) {
+      const index = interceptors.indexOf(interceptor);
+      if (index === -1) return false;
+      interceptors.splice(index, 1);
+      return true;
+    },
+
+    /**
+     * Removes every interceptor
+     */
+    clear() {
+      interceptors.length = 0;
+    },
+
+    /**
+     * Returns the registered interceptors in execution order
+     * 
+     * @returns {Array<Object>} Copy of the interceptor list
+     */
+    list() {
+      return [...interceptors];
+    },
+
+    /**
+     * Runs a request through the pipeline
+     * 
+     * @param {Object} config - Request config
+     * @param {Function} send - Performs the request with the final config
+     * @returns {Promise<any>} Response data
+     */
+    run(config, send) {
+      return execute(config, send, 0);
+    },
+  };
+}
+
+/**
+ * Creates an interceptor that tags every request with a correlation ID
+ * 
+ * The ID is sent in the `X-Correlation-ID` header so frontend requests can
+ * be matched with backend log entries.
+ * 
+ * @param {Function} [generateId] - Returns a new unique ID
+ * @returns {Object} Request interceptor
+ */
+export const createCorrelationIdInterceptor = (
+  generateId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+) => ({
+  request: (config) => ({
+    ...config,
+    headers: { ...config.headers, 'X-Correlation-ID': generateId() },
+  }),
+});
+
+/**
+ * Creates an interceptor that logs requests, responses and errors
+ * 
+ * @param {Object} [logger=console] - Object with log and error methods
+ * @returns {Object} Request, response and error interceptor
+ */
+export const createLoggingInterceptor = (logger = console) => ({
+  request: (config) => {
+    logger.log(`→ ${config.method} ${config.endpoint}`);
+    return config;
+  },
+  response: (data, { config }) => {
+    logger.log(`← ${config.method} ${config.endpoint}`, data);
+    return data;
+  },
+  error: (error, { config }) => {
+    logger.error(`✕ ${config.method} ${config.endpoint}`, error);
+    return undefined;
+  },
+});
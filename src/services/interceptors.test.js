@@ -0,0 +1,97 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  createInterceptorManager,
+  shortCircuit,
+  createCorrelationIdInterceptor,
+  createLoggingInterceptor,
+} from './interceptors';
+
+const baseConfig = { endpoint: '/posts', method: 'GET', headers: {} };
+
+describe('createInterceptorManager', () => {
+  it('runs request and response hooks in registration order', async () => {
+    const manager = createInterceptorManager();
+    const calls = [];
+    manager.use({ request: (config) => { calls.push('req1'); return config; }, response: (data) => { calls.push('res1'); return data; } });
+    manager.use({ request: (config) => { calls.push('req2'); return config; }, response: (data) => { calls.push('res2'); return data; } });
+
+    await manager.run(baseConfig, async () => 'data');
+    expect(calls).toEqual(['req1', 'req2', 'res1', 'res2']);
+  });
+
+  it('passes the final config to send and transforms the response', async () => {
+    const manager = createInterceptorManager();
+    manager.use({ request: (config) => ({ ...config, headers: { Authorization: 'Bearer t' } }) });
+    manager.use({ response: (data) => data.data });
+    const send = vi.fn(async () => ({ data: 42 }));
+
+    await expect(manager.run(baseConfig, send)).resolves.toBe(42);
+    expect(send.mock.calls[0][0].headers).toEqual({ Authorization: 'Bearer t' });
+  });
+
+  it('short-circuits without calling send', async () => {
+    const manager = createInterceptorManager();
+    manager.use({ request: () => shortCircuit('cached') });
+    const send = vi.fn();
+
+    await expect(manager.run(baseConfig, send)).resolves.toBe('cached');
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('lets error hooks recover, replace or pass on errors', async () => {
+    const manager = createInterceptorManager();
+    const passOn = vi.fn(() => undefined);
+    manager.use({ error: passOn });
+    manager.use({ error: () => { throw new Error('replaced'); } });
+
+    await expect(manager.run(baseConfig, async () => { throw new Error('original'); })).rejects.toThrow('replaced');
+    expect(passOn).toHaveBeenCalledOnce();
+
+    manager.use({ error: () => 'recovered' });
+    await expect(manager.run(baseConfig, async () => { throw new Error('original'); })).resolves.toBe('recovered');
+  });
+
+  it('retries the whole request from an error hook', async () => {
+    const manager = createInterceptorManager();
+    manager.use({
+      error: (error, { retry, retryCount }) => (retryCount === 0 ? retry({ attempt: 2 }) : undefined),
+    });
+    const send = vi.fn(async (config) => {
+      if (config.attempt !== 2) throw new Error('first attempt fails');
+      return 'second attempt';
+    });
+
+    await expect(manager.run(baseConfig, send)).resolves.toBe('second attempt');
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+
+  it('registers and removes interceptors at runtime', () => {
+    const manager = createInterceptorManager();
+    const interceptor = {};
+    const eject = manager.use(interceptor);
+    expect(manager.list()).toEqual([interceptor]);
+
+    eject();
+    expect(manager.list()).toEqual([]);
+    expect(manager.eject(interceptor)).toBe(false);
+  });
+});
+
+describe('built-in interceptors', () => {
+  it('adds a correlation ID header', () => {
+    const interceptor = createCorrelationIdInterceptor(() => 'abc');
+    expect(interceptor.request(baseConfig).headers['X-Correlation-ID']).toBe('abc');
+  });
+
+  it('logs requests, responses and errors', () => {
+    const logger = { log: vi.fn(), error: vi.fn() };
+    const interceptor = createLoggingInterceptor(logger);
+
+    interceptor.request(baseConfig);
+    interceptor.response('data', { config: baseConfig });
+    expect(interceptor.error(new Error('x'), { config: baseConfig })).toBeUndefined();
+
+    expect(logger.log).toHaveBeenCalledTimes(2);
+    expect(logger.error).toHaveBeenCalledOnce();
+  });
+});
@@ -0,0 +1,387 @@
+/**
+ * In-Browser Mock Backend
+ * 
+ * A fetch-compatible transport that implements the backend API in the
+ * browser, so the app can be developed and demoed without the real server.
+ * It serves the same `{ success, data, error }` envelope for:
+ * 
+ * - GET  /api/health
+ * - GET  /api/posts?page&limit&search&sort&order&user_id&id_min&id_max&date_from&date_to
+ * - POST /api/posts
+ * - GET, PUT, DELETE /api/posts/:id
+ * - POST /api/auth/login, /api/auth/refresh, /api/auth/logout
+ * 
+ * Data is kept in memory or in localStorage (see MOCK_API.STORAGE). Latency,
+ * server errors and network failures can be injected to exercise loading
+ * and error paths.
+ * 
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { apiService } from './api';
+import { MOCK_API, PAGINATION, SORTING, VALIDATION, HTTP_STATUS } from '../utils/constants';
+
+// Current behaviour settings, see configure()
+const settings = {
+  storage: MOCK_API.STORAGE,
+  latency: MOCK_API.LATENCY,
+  failureRate: MOCK_API.FAILURE_RATE,
+  networkErrorRate: MOCK_API.NETWORK_ERROR_RATE,
+};
+
+// In-memory database, lazily loaded
+let db = null;
+
+/**
+ * Builds the initial database with a few sample posts
+ * 
+ * @returns {Object} Database with posts, users and nextId
+ */
+const createSeedData = () => {
+  const now = Date.now();
+  const topics = ['React', 'Vite', 'Testing', 'Accessibility', 'Performance', 'CSS', 'APIs', 'Deployment'];
+  const posts = Array.from({ length: 24 }, (_, index) => {
+    const id = index + 1;
+    const topic = topics[index % topics.length];
+    const timestamp = new Date(now - (24 - id) * 3600000).toISOString();
+    return {
+      id,
+      title: `${topic} notes #${Math.ceil(id / topics.length)}`,
+      body: `Sample post about ${topic.toLowerCase()} served by the mock backend.`,
+      user_id: (index % 3) + 1,
+      created_at: timestamp,
+      updated_at: timestamp,
+    };
+  });
+
+  return {
+    posts,
+    users: [{ id: 1, name: 'Demo User', email: 'demo@example.com' }],
+    nextId: posts.length + 1,
+  };
+};
+
+/**
+ * Returns the database, loading it from storage on first use
+ * 
+ * @returns {Object} Database
+ */
+const getDb = () => {
+  if (db) return db;
+
+  if (settings.storage === 'localStorage') {
+    try {
+      const stored = localStorage.getItem(MOCK_API.STORAGE_KEY);
+      db = stored ? JSON.parse(stored) : null;
+    } catch {
+      db = null;
+    }
+  }
+
+  db = db || createSeedData();
+  return db;
+};
+
+/**
+ * Persists the database if localStorage storage is enabled
+ */
+const saveDb = () => {
+  if (settings.storage !== 'localStorage') return;
+  try {
+    localStorage.setItem(MOCK_API.STORAGE_KEY, JSON.stringify(db));
+  } catch (error) {
+    console.error('Error saving mock database:', error);
+  }
+};
+
+/**
+ * Builds a JSON Response in the backend envelope format
+ * 
+ * @param {number} status - HTTP status code
+ * @param {any} data - Response data (null on error)
+ * @param {string|null} [error=null] - Error message
+ * @returns {Response} Fetch Response
+ */
+const respond = (status, data, error = null) => {
+  return new Response(
+    JSON.stringify({ success: status < 400, data, error }),
+    { status, headers: { 'Content-Type': 'application/json' } }
+  );
+};
+
+/**
+ * Validates a post payload the same way the backend does
+ * 
+ * @param {Object} payload - Request body
+ * @param {boolean} requireUserId - Whether user_id is required (create only)
+ * @returns {string|null} Error message or null if valid
+ */
+const validatePost = (payload, requireUserId) => {
+  const { title, body, user_id: userId } = payload || {};
+  if (!title || !body || (requireUserId && !userId)) {
+    return requireUserId ? 'Title, body, and user_id are required' : 'Title and body are required';
+  }
+  if (title.length > VALIDATION.POST_TITLE_MAX_LENGTH) {
+    return `Title must be ${VALIDATION.POST_TITLE_MAX_LENGTH} characters or less`;
+  }
+  if (body.length > VALIDATION.POST_BODY_MAX_LENGTH) {
+    return `Body must be ${VALIDATION.POST_BODY_MAX_LENGTH} characters or less`;
+  }
+  return null;
+};
+
+/**
+ * Issues a pair of fake tokens for a user
+ * 
+ * @param {Object} user - Signed-in user
+ * @returns {Object} `{ token, refreshToken }`
+ */
+const issueTokens = (user) => ({
+  token: `mock-token-${user.id}-${Date.now()}`,
+  refreshToken: `mock-refresh-${user.id}-${Date.now()}`,
+});
+
+/**
+ * Route handlers keyed by "METHOD path"; `:id` matches a numeric segment
+ */
+const routes = {
+  'GET /health': () => respond(HTTP_STATUS.OK, {
+    status: 'ok',
+    mock: true,
+    timestamp: new Date().toISOString(),
+  }),
+
+  'GET /posts': ({ query }) => {
+    const page = Math.max(1, parseInt(query.get('page')) || PAGINATION.DEFAULT_PAGE);
+    const limit = Math.min(PAGINATION.MAX_LIMIT, Math.max(1, parseInt(query.get('limit')) || 10));
+    const search = (query.get('search') || '').trim().toLowerCase();
+    const sort = SORTING.FIELDS.includes(query.get('sort')) ? query.get('sort') : SORTING.DEFAULT_FIELD;
+    const direction = (query.get('order') || SORTING.DEFAULT_ORDER).toLowerCase() === 'asc' ? 1 : -1;
+    const userId = Number(query.get('user_id')) || null;
+    const idMin = Number(query.get('id_min')) || -Infinity;
+    const idMax = Number(query.get('id_max')) || Infinity;
+    // Dates are whole days, so the upper bound covers all of date_to
+    const dateFrom = query.get('date_from') || '';
+    const dateTo = query.get('date_to') ? `${query.get('date_to')}T23:59:59.999Z` : '';
+
+    const matching = getDb().posts
+      .filter(post => !search
+        || post.title.toLowerCase().includes(search)
+        || post.body.toLowerCase().includes(search))
+      .filter(post => !userId || post.user_id === userId)
+      .filter(post => post.id >= idMin && post.id <= idMax)
+      .filter(post => (!dateFrom || post.created_at >= dateFrom) && (!dateTo || post.created_at <= dateTo))
+      // Ties (e.g. posts created in the same millisecond) fall back to ID
+      .sort((a, b) => direction * (String(a[sort]).localeCompare(String(b[sort])) || a.id - b.id));
+
+    const totalItems = matching.length;
+    const totalPages = Math.ceil(totalItems / limit);
+
+    return respond(HTTP_STATUS.OK, {
+      posts: matching.slice((page - 1) * limit, page * limit),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    });
+  },
+
+  'POST /posts': ({ body }) => {
+    const error = validatePost(body, true);
+    if (error) return respond(HTTP_STATUS.BAD_REQUEST, null, error);
+
+    const database = getDb();
+    const timestamp = new Date().toISOString();
+    const post = {
+      id: database.nextId++,
+      title: body.title,
+      body: body.body,
+      user_id: Number(body.user_id),
+      created_at: timestamp,
+      updated_at: timestamp,
+    };
+    database.posts.push(post);
+    saveDb();
+    return respond(HTTP_STATUS.CREATED, post);
+  },
+
+  'GET /posts/:id': ({ id }) => {
+    const post = getDb().posts.find(entry => entry.id === id);
+    return post ? respond(HTTP_STATUS.OK, post) : respond(HTTP_STATUS.NOT_FOUND, null, 'Post not found');
+  },
+
+  'PUT /posts/:id': ({ id, body }) => {
+    const post = getDb().posts.find(entry => entry.id === id);
+    if (!post) return respond(HTTP_STATUS.NOT_FOUND, null, 'Post not found');
+
+    const error = validatePost(body, false);
+    if (error) return respond(HTTP_STATUS.BAD_REQUEST, null, error);
+
+    Object.assign(post, { title: body.title, body: body.body, updated_at: new Date().toISOString() });
+    saveDb();
+    return respond(HTTP_STATUS.OK, post);
+  },
+
+  'DELETE /posts/:id': ({ id }) => {
+    const database = getDb();
+    const index = database.posts.findIndex(entry => entry.id === id);
+    if (index === -1) return respond(HTTP_STATUS.NOT_FOUND, null, 'Post not found');
+
+    database.posts.splice(index, 1);
+    saveDb();
+    return respond(HTTP_STATUS.OK, { message: 'Post deleted successfully' });
+  },
+
+  'POST /auth/login': ({ body }) => {
+    if (!body?.email || !body?.password) {
+      return respond(HTTP_STATUS.BAD_REQUEST, null, 'Email and password are required');
+    }
+
+    // Any password is accepted; unknown emails get a new account
+    const database = getDb();
+    let user = database.users.find(entry => entry.email === body.email);
+    if (!user) {
+      user = { id: database.users.length + 1, name: body.email.split('@')[0], email: body.email };
+      database.users.push(user);
+      saveDb();
+    }
+    return respond(HTTP_STATUS.OK, { user, ...issueTokens(user) });
+  },
+
+  'POST /auth/refresh': ({ body }) => {
+    const userId = Number(String(body?.refreshToken || '').split('-')[2]);
+    const user = getDb().users.find(entry => entry.id === userId);
+    return user
+      ? respond(HTTP_STATUS.OK, issueTokens(user))
+      : respond(HTTP_STATUS.UNAUTHORIZED, null, 'Invalid refresh token');
+  },
+
+  'POST /auth/logout': () => respond(HTTP_STATUS.OK, { message: 'Signed out' }),
+};
+
+/**
+ * Picks a latency value from the configured fixed value or range
+ * 
+ * @returns {number} Delay in milliseconds
+ */
+const getLatency = () => {
+  const [min, max = min] = String(settings.latency).split('-').map(Number);
+  return min + Math.random() * (max - min);
+};
+
+/**
+ * Waits for the simulated latency, rejecting like fetch if aborted
+ * 
+ * @param {AbortSignal} [signal] - Request signal
+ * @returns {Promise<void>}
+ */
+const simulateLatency = (signal) => new Promise((resolve, reject) => {
+  const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+
+  const timeoutId = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, getLatency());
+  const onAbort = () => {
+    clearTimeout(timeoutId);
+    reject(abortError());
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Fetch-compatible transport answering from the mock database
+ * 
+ * @param {string} url - Request URL
+ * @param {Object} [init={}] - Fetch options
+ * @returns {Promise<Response>} Mock response
+ */
+export const mockTransport = async (url, init = {}) => {
+  await simulateLatency(init.signal);
+
+  if (Math.random() < settings.networkErrorRate) {
+    throw new TypeError('Failed to fetch');
+  }
+  if (Math.random() < settings.failureRate) {
+    return respond(HTTP_STATUS.INTERNAL_SERVER_ERROR, null, 'Injected mock server error');
+  }
+
+  const { pathname, searchParams } = new URL(url, window.location.origin);
+  const path = pathname.replace(/^.*?\/api(?=\/)/, '');
+  const method = (init.method || 'GET').toUpperCase();
+  const idMatch = path.match(/^\/posts\/([^/]+)$/);
+
+  const routeKey = idMatch ? `${method} /posts/:id` : `${method} ${path}`;
+  const handler = routes[routeKey];
+  if (!handler) {
+    return respond(HTTP_STATUS.NOT_FOUND, null, `Route ${method} ${path} not found`);
+  }
+
+  let body = null;
+  try {
+    body = init.body ? JSON.parse(init.body) : null;
+  } catch {
+    return respond(HTTP_STATUS.BAD_REQUEST, null, 'Invalid JSON body');
+  }
+
+  return handler({ query: searchParams, body, id: idMatch ? Number(idMatch[1]) : null });
+};
+
+/**
+ * Mock Backend Controls
+ * 
+ * Runtime switches for the mock, also exposed as `window.mockBackend` in
+ * development so failure modes can be toggled from the browser console.
+ */
+export const mockBackend = {
+  /**
+   * Changes mock behaviour
+   * 
+   * @param {Object} options - Settings to change
+   * @param {number|string} [options.latency] - Delay in ms, or a 'min-max' range
+   * @param {number} [options.failureRate] - Share of requests answered with HTTP 500 (0-1)
+   * @param {number} [options.networkErrorRate] - Share of requests failing as network errors (0-1)
+   * @param {string} [options.storage] - 'localStorage' or 'memory'
+   * 
+   * @example
+   * mockBackend.configure({ latency: 3000, failureRate: 0.5 });
+   */
+  configure(options) {
+    Object.assign(settings, options);
+  },
+
+  /**
+   * Restores the seed data, discarding all changes
+   */
+  reset() {
+    db = createSeedData();
+    saveDb();
+  },
+};
+
+/**
+ * Routes all API traffic to the mock backend
+ * 
+ * @example
+ * if (MOCK_API.ENABLED) installMockBackend();
+ */
+export const installMockBackend = () => {
+  apiService.setTransport(mockTransport);
+
+  if (import.meta.env.DEV) {
+    window.mockBackend = mockBackend;
+    // Keep test output quiet
+    if (import.meta.env.MODE !== 'test') {
+      console.log('🧪 Mock backend enabled. Use window.mockBackend.configure() to inject latency or failures');
+    }
+  }
+};
@@ -0,0 +1,253 @@
+/**
+ * Offline Mutation Queue
+ * 
+ * Persists post mutations (create, update, delete) that could not reach the
+ * server because of a network failure, and replays them in order once
+ * connectivity returns. The queue lives in localStorage so it survives a
+ * page reload.
+ * 
+ * Each queued item has one of the OFFLINE_QUEUE.STATUS values:
+ * - pending: waiting to be replayed
+ * - failed: the server rejected it (e.g. validation error)
+ * - conflict: the target post was changed or removed in the meantime
+ * 
+ * Failed and conflicted items stay in the queue until the user retries or
+ * discards them.
+ * 
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { postsApi, ApiError } from './api';
+import { OFFLINE_QUEUE, API_ERROR_TYPES, HTTP_STATUS } from '../utils/constants';
+
+const { STATUS } = OFFLINE_QUEUE;
+
+// Change listeners registered through subscribe()
+const listeners = new Set();
+
+// Promise of the replay currently running, so replays never overlap
+let activeReplay = null;
+
+/**
+ * Reads the queue from localStorage
+ * 
+ * @returns {Array<Object>} Queued items in insertion order
+ */
+const readQueue = () => {
+  try {
+    const stored = localStorage.getItem(OFFLINE_QUEUE.STORAGE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Writes the queue to localStorage and notifies listeners
+ * 
+ * @param {Array<Object>} queue - Items to persist
+ */
+const writeQueue = (queue) => {
+  try {
+    localStorage.setItem(OFFLINE_QUEUE.STORAGE_KEY, JSON.stringify(queue));
+  } catch (error) {
+    console.error('Error saving offline queue:', error);
+  }
+  listeners.forEach(listener => listener(queue));
+};
+
+/**
+ * Applies a change to a single queued item
+ * 
+ * @param {string} id - Queue item ID
+ * @param {Object} changes - Fields to merge into the item
+ */
+const updateItem = (id, changes) => {
+  writeQueue(readQueue().map(item => (item.id === id ? { ...item, ...changes } : item)));
+};
+
+/**
+ * Sends a queued mutation to the server
+ * 
+ * @param {Object} item - Queue item
+ * @returns {Promise<Object>} The API response
+ */
+const sendItem = (item) => {
+  switch (item.type) {
+    case 'create':
+      return postsApi.create(item.postData);
+    case 'update':
+      return postsApi.update(item.postId, item.postData);
+    case 'delete':
+      return postsApi.delete(item.postId);
+    default:
+      return Promise.reject(new ApiError(`Unknown queued action: ${item.type}`, 400, null));
+  }
+};
+
+/**
+ * Checks if an error means the server could not be reached at all
+ * 
+ * Timeouts are deliberately excluded: the server may have processed the
+ * request, and queueing it again could apply the mutation twice.
+ * 
+ * @param {Error} error - The error to check
+ * @returns {boolean} True for network failures
+ */
+const isOfflineError = (error) => {
+  return error instanceof ApiError && error.type === API_ERROR_TYPES.NETWORK;
+};
+
+/**
+ * Returns the current queue
+ * 
+ * @returns {Array<Object>} Queued items in insertion order
+ */
+export const getQueue = () => readQueue();
+
+/**
+ * Registers a listener called with the queue whenever it changes
+ * 
+ * @param {Function} listener - Receives the updated queue
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Adds a mutation to the end of the queue
+ * 
+ * @param {Object} mutation - Mutation description
+ * @param {string} mutation.type - 'create', 'update' or 'delete'
+ * @param {string|number} [mutation.postId] - Target post for update and delete
+ * @param {Object} [mutation.postData] - Payload for create and update
+ * @returns {Object} The queued item
+ */
+export const enqueue = ({ type, postId = null, postData = null }) => {
+  const item = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    postId,
+    postData,
+    status: STATUS.PENDING,
+    error: null,
+    createdAt: new Date().toISOString(),
+  };
+
+  writeQueue([...readQueue(), item]);
+  return item;
+};
+
+/**
+ * Removes an item from the queue without sending it
+ * 
+ * @param {string} id - Queue item ID
+ */
+export const discard = (id) => {
+  writeQueue(readQueue().filter(item => item.id !== id));
+};
+
+/**
+ * Marks a failed or conflicted item as pending again and replays the queue
+ * 
+ * @param {string} id - Queue item ID
+ * @returns {Promise<void>} Resolves when the replay finishes
+ */
+export const retry = (id) => {
+  updateItem(id, { status: STATUS.PENDING, error: null });
+  return replayQueue();
+};
+
+/**
+ * Replays pending items in the order they were queued
+ * 
+ * Stops at the first network failure so the remaining items keep their
+ * order for the next attempt. Items the server rejects are marked failed
+ * (or conflict for 404/409) and replay continues with the next one.
+ * 
+ * @returns {Promise<number>} Number of items sent successfully
+ */
+export const replayQueue = () => {
+  if (activeReplay) return activeReplay;
+
+  activeReplay = (async () => {
+    let sent = 0;
+
+    for (const item of readQueue().filter(entry => entry.status === STATUS.PENDING)) {
+      try {
+        await sendItem(item);
+        discard(item.id);
+        sent++;
+      } catch (error) {
+        if (isOfflineError(error)) break;
+
+        const isConflict = error.status === HTTP_STATUS.NOT_FOUND || error.status === HTTP_STATUS.CONFLICT;
+        updateItem(item.id, {
+          status: isConflict ? STATUS.CONFLICT : STATUS.FAILED,
+          error: error.message,
+        });
+      }
+    }
+
+    return sent;
+  })().finally(() => {
+    activeReplay = null;
+  });
+
+  return activeReplay;
+};
+
+/**
+ * Runs a mutation, queueing it instead if the network is unavailable
+ * 
+ * @param {Object} mutation - Mutation description passed to enqueue()
+ * @param {Function} request - Performs the mutation against the API
+ * @returns {Promise<Object>} The API response, or a queued placeholder response
+ */
+const runOrQueue = async (mutation, request) => {
+  const queuedResponse = () => ({
+    success: true,
+    data: null,
+    error: null,
+    queued: true,
+    queueItem: enqueue(mutation),
+  });
+
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return queuedResponse();
+  }
+
+  try {
+    return await request();
+  } catch (error) {
+    if (isOfflineError(error)) {
+      return queuedResponse();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Queue-aware Post Mutations
+ * 
+ * Drop-in replacements for the postsApi mutation methods. When the request
+ * cannot reach the server, the mutation is queued and a placeholder response
+ * `{ success: true, data: null, queued: true, queueItem }` is returned so the
+ * caller can keep the user's input without treating it as an error.
+ */
+export const queuedPostsApi = {
+  create(postData, options) {
+    return runOrQueue({ type: 'create', postData }, () => postsApi.create(postData, options));
+  },
+
+  update(id, postData, options) {
+    return runOrQueue({ type: 'update', postId: id, postData }, () => postsApi.update(id, postData, options));
+  },
+
+  delete(id, options) {
+    return runOrQueue({ type: 'delete', postId: id }, () => postsApi.delete(id, options));
+  },
+};
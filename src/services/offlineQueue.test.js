@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { getQueue, enqueue, discard, retry, replayQueue, queuedPostsApi } from './offlineQueue';
+import { OFFLINE_QUEUE } from '../utils/constants';
+import { stubFetch, jsonResponse, ok, fail } from '../test/helpers';
+
+const postData = { title: 'Offline', body: 'Written on a train', user_id: 1 };
+const createdPost = { id: 1, ...postData };
+
+describe('offlineQueue', () => {
+  it('queues mutations that fail with a network error', async () => {
+    stubFetch(new TypeError('Failed to fetch'));
+
+    const response = await queuedPostsApi.create(postData);
+
+    expect(response).toMatchObject({ success: true, queued: true });
+    expect(getQueue()).toEqual([expect.objectContaining({ type: 'create', postData, status: 'pending' })]);
+  });
+
+  it('does not queue server rejections', async () => {
+    stubFetch(jsonResponse(fail('Invalid'), 400));
+
+    await expect(queuedPostsApi.create(postData)).rejects.toThrow('Invalid');
+    expect(getQueue()).toEqual([]);
+  });
+
+  it('persists the queue in localStorage', () => {
+    enqueue({ type: 'delete', postId: 5 });
+    expect(JSON.parse(localStorage.getItem(OFFLINE_QUEUE.STORAGE_KEY))).toHaveLength(1);
+  });
+
+  it('replays pending items in order and marks rejections', async () => {
+    const fetchMock = stubFetch(
+      jsonResponse(ok(createdPost), 201),
+      jsonResponse(fail('Post not found'), 404),
+      jsonResponse(fail('Invalid'), 400)
+    );
+    enqueue({ type: 'create', postData });
+    enqueue({ type: 'delete', postId: 9 });
+    enqueue({ type: 'update', postId: 3, postData });
+
+    await expect(replayQueue()).resolves.toBe(1);
+
+    expect(fetchMock.mock.calls.map(([, init]) => init.method)).toEqual(['POST', 'DELETE', 'PUT']);
+    expect(getQueue().map(item => item.status)).toEqual([
+      OFFLINE_QUEUE.STATUS.CONFLICT,
+      OFFLINE_QUEUE.STATUS.FAILED,
+    ]);
+  });
+
+  it('stops replaying while still offline', async () => {
+    stubFetch(new TypeError('Failed to fetch'));
+    enqueue({ type: 'create', postData });
+    enqueue({ type: 'create', postData });
+
+    await expect(replayQueue()).resolves.toBe(0);
+    expect(getQueue().every(item => item.status === OFFLINE_QUEUE.STATUS.PENDING)).toBe(true);
+  });
+
+  it('retries and discards individual items', async () => {
+    stubFetch(jsonResponse(fail('Invalid'), 400), jsonResponse(ok(createdPost), 201));
+    const item = enqueue({ type: 'create', postData });
+    const other = enqueue({ type: 'delete', postId: 2 });
+    discard(other.id);
+
+    await replayQueue();
+    expect(getQueue()[0].status).toBe(OFFLINE_QUEUE.STATUS.FAILED);
+
+    await retry(item.id);
+    expect(getQueue()).toEqual([]);
+  });
+});
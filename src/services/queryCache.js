@@ -0,0 +1,130 @@
+/**
+ * Query Cache
+ * 
+ * In-memory cache for API query results, keyed by the request parameters
+ * that produced them. Enables stale-while-revalidate rendering: cached data
+ * is shown immediately while a fresh copy is fetched in the background.
+ * 
+ * Entries move through three states:
+ * - fresh: younger than the stale time, served without a request
+ * - stale: older than the stale time or invalidated, served but revalidated
+ * - expired: older than CACHE_CONFIG.CACHE_TIME, dropped on next access
+ * 
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { CACHE_CONFIG } from '../utils/constants';
+
+// Map of query key -> { data, updatedAt, invalidated }
+const cache = new Map();
+
+/**
+ * Builds a stable cache key from a resource path and request parameters
+ * 
+ * Parameter order and empty values do not affect the key, so
+ * `{ page: 1, search: '' }` and `{ page: 1 }` share a cache entry.
+ * 
+ * @param {string} resource - Resource path such as 'posts:list'
+ * @param {Object} [params={}] - Request parameters
+ * @returns {string} Cache key
+ * 
+ * @example
+ * createQueryKey('posts:list', { page: 2, limit: 6 }) // 'posts:list:{"limit":6,"page":2}'
+ */
+export const createQueryKey = (resource, params = {}) => {
+  const normalized = Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+    .sort()
+    .reduce((result, key) => ({ ...result, [key]: params[key] }), {});
+
+  return `${resource}:${JSON.stringify(normalized)}`;
+};
+
+/**
+ * Returns the cache entry for a key, discarding it if expired
+ * 
+ * @param {string} key - Cache key
+ * @returns {Object|null} Entry with data, updatedAt and invalidated, or null
+ */
+const getEntry = (key) => {
+  const entry = cache.get(key);
+  if (!entry) return null;
+
+  if (Date.now() - entry.updatedAt > CACHE_CONFIG.CACHE_TIME) {
+    cache.delete(key);
+    return null;
+  }
+
+  return entry;
+};
+
+/**
+ * Reads cached data for a query
+ * 
+ * @param {string} key - Cache key
+ * @returns {any|null} Cached data (fresh or stale) or null if not cached
+ */
+export const getQueryData = (key) => {
+  return getEntry(key)?.data ?? null;
+};
+
+/**
+ * Stores data for a query and marks it fresh
+ * 
+ * @param {string} key - Cache key
+ * @param {any} data - Data to cache
+ */
+export const setQueryData = (key, data) => {
+  cache.set(key, { data, updatedAt: Date.now(), invalidated: false });
+};
+
+/**
+ * Checks whether a query needs to be (re)fetched
+ * 
+ * @param {string} key - Cache key
+ * @param {number} [staleTime=CACHE_CONFIG.STALE_TIME] - Maximum age in milliseconds
+ * @returns {boolean} True if the query is missing, invalidated or older than staleTime
+ */
+export const isQueryStale = (key, staleTime = CACHE_CONFIG.STALE_TIME) => {
+  const entry = getEntry(key);
+  if (!entry) return true;
+  return entry.invalidated || Date.now() - entry.updatedAt >= staleTime;
+};
+
+/**
+ * Marks every query whose key starts with the prefix as stale
+ * 
+ * Invalidated data remains available for instant rendering but will be
+ * revalidated on its next use.
+ * 
+ * @param {string} prefix - Key prefix such as 'posts:list'
+ * 
+ * @example
+ * invalidateQueries('posts:'); // all list and detail queries
+ */
+export const invalidateQueries = (prefix) => {
+  cache.forEach((entry, key) => {
+    if (key.startsWith(prefix)) {
+      entry.invalidated = true;
+    }
+  });
+};
+
+/**
+ * Removes every query whose key starts with the prefix
+ * 
+ * @param {string} prefix - Key prefix
+ */
+export const removeQueries = (prefix) => {
+  [...cache.keys()]
+    .filter(key => key.startsWith(prefix))
+    .forEach(key => cache.delete(key));
+};
+
+/**
+ * Empties the whole cache
+ */
+export const clearQueryCache = () => {
+  cache.clear();
+};
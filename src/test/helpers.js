@@ -0,0 +1,76 @@
+/**
+ * Test Helpers
+ * 
+ * Builders for stubbed fetch responses in the backend envelope format.
+ */
+
+import { vi } from 'vitest';
+
+/**
+ * Builds a JSON Response
+ * 
+ * @param {any} body - Response body
+ * @param {number} [status=200] - HTTP status code
+ * @returns {Response} Fetch Response
+ */
+export const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+/**
+ * Builds a successful envelope
+ * 
+ * @param {any} data - Response data
+ * @returns {Object} `{ success: true, data, error: null }`
+ */
+export const ok = (data) => ({ success: true, data, error: null });
+
+/**
+ * Builds a failed envelope
+ * 
+ * @param {string} error - Error message
+ * @returns {Object} `{ success: false, data: null, error }`
+ */
+export const fail = (error) => ({ success: false, data: null, error });
+
+/**
+ * Replaces global fetch with a stub answering in order
+ * 
+ * Each entry is a Response, an Error to reject with, or a function
+ * receiving (url, init) and returning either. The last entry is reused
+ * once the list is exhausted.
+ * 
+ * @param {...(Response|Error|Function)} replies - Replies in call order
+ * @returns {Function} The vi.fn() installed as fetch
+ */
+export const stubFetch = (...replies) => {
+  let call = 0;
+  const fetchMock = vi.fn(async (url, init) => {
+    const reply = replies[Math.min(call++, replies.length - 1)];
+    const result = typeof reply === 'function' ? await reply(url, init) : reply;
+    if (result instanceof Error) throw result;
+    return result instanceof Response ? result.clone() : result;
+  });
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+};
+
+/**
+ * Builds a posts list envelope
+ * 
+ * @param {Array<Object>} posts - Posts on the page
+ * @param {Object} [pagination={}] - Pagination overrides
+ * @returns {Object} Envelope with posts and pagination
+ */
+export const postsPage = (posts, pagination = {}) => ok({
+  posts,
+  pagination: {
+    currentPage: 1,
+    totalPages: 1,
+    totalItems: posts.length,
+    hasNextPage: false,
+    hasPrevPage: false,
+    ...pagination,
+  },
+});
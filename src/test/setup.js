@@ -0,0 +1,24 @@
+/**
+ * Test Setup
+ * 
+ * Runs before every test file. Resets module-level state (query cache,
+ * session, transport, storage) between tests so they stay independent.
+ */
+
+import { afterEach, vi } from 'vitest';
+import { cleanup } from '@testing-library/react';
+import '@testing-library/jest-dom/vitest';
+import { apiService } from '../services/api';
+import { clearQueryCache } from '../services/queryCache';
+import { endSession } from '../services/auth';
+
+afterEach(() => {
+  cleanup();
+  clearQueryCache();
+  endSession();
+  apiService.setTransport(null);
+  localStorage.clear();
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+  vi.unstubAllGlobals();
+});
@@ -0,0 +1,65 @@
+/**
+ * Concurrency Utilities
+ * 
+ * Helpers for running many API calls without flooding the server.
+ * 
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+/**
+ * Runs an async task for every item with at most `concurrency` in flight
+ * 
+ * Never rejects: each item's outcome is reported in the result array, in
+ * the same order as `items`, so callers can tell partial failures apart.
+ * Items not yet started when `signal` aborts are reported as rejected
+ * with the abort reason.
+ * 
+ * @param {Array} items - Items to process
+ * @param {Function} task - Receives (item, index) and returns a promise
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.concurrency=3] - Maximum tasks running at once
+ * @param {Function} [options.onProgress] - Called with (completed, total, result) after each item
+ * @param {AbortSignal} [options.signal] - Stops starting new tasks when aborted
+ * @returns {Promise<Array<Object>>} `{ item, status: 'fulfilled', value }` or `{ item, status: 'rejected', reason }`
+ * 
+ * @example
+ * const results = await runWithConcurrency(ids, (id) => postsApi.delete(id), {
+ *   concurrency: 3,
+ *   onProgress: (done, total) => console.log(`${done}/${total}`),
+ * });
+ * const failed = results.filter(result => result.status === 'rejected');
+ */
+export const runWithConcurrency = async (items, task, { concurrency = 3, onProgress, signal } = {}) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let completed = 0;
+
+  const record = (index, result) => {
+    results[index] = result;
+    completed += 1;
+    if (onProgress) onProgress(completed, items.length, result);
+  };
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      const item = items[index];
+
+      if (signal?.aborted) {
+        record(index, { item, status: 'rejected', reason: signal.reason });
+        continue;
+      }
+
+      try {
+        record(index, { item, status: 'fulfilled', value: await task(item, index) });
+      } catch (reason) {
+        record(index, { item, status: 'rejected', reason });
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+};
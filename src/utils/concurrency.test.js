@@ -0,0 +1,55 @@
+import { describe, it, expect, vi } from 'vitest';
+import { runWithConcurrency } from './concurrency';
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((res) => { resolve = res; });
+  return { promise, resolve };
+};
+
+describe('runWithConcurrency', () => {
+  it('limits the number of tasks in flight', async () => {
+    let running = 0;
+    let peak = 0;
+    const task = async (item) => {
+      running += 1;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running -= 1;
+      return item * 2;
+    };
+
+    const results = await runWithConcurrency([1, 2, 3, 4, 5], task, { concurrency: 2 });
+
+    expect(peak).toBe(2);
+    expect(results.map(result => result.value)).toEqual([2, 4, 6, 8, 10]);
+  });
+
+  it('reports failures per item and progress', async () => {
+    const onProgress = vi.fn();
+    const results = await runWithConcurrency(['a', 'b'], async (item) => {
+      if (item === 'b') throw new Error('nope');
+      return item;
+    }, { onProgress });
+
+    expect(results).toEqual([
+      { item: 'a', status: 'fulfilled', value: 'a' },
+      { item: 'b', status: 'rejected', reason: new Error('nope') },
+    ]);
+    expect(onProgress).toHaveBeenLastCalledWith(2, 2, results[1]);
+  });
+
+  it('stops starting tasks once aborted', async () => {
+    const controller = new AbortController();
+    const first = deferred();
+    const task = vi.fn(() => first.promise);
+
+    const run = runWithConcurrency([1, 2, 3], task, { concurrency: 1, signal: controller.signal });
+    controller.abort();
+    first.resolve('done');
+    const results = await run;
+
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected', 'rejected']);
+  });
+});
@@ -24,6 +24,84 @@ export const API_CONFIG = {
   BASE_URL: import.meta.env.VITE_API_URL || 'http://localhost:5000',
   TIMEOUT: 10000, // Request timeout in milliseconds (10 seconds)
   RETRY_ATTEMPTS: 3, // Number of retry attempts for failed requests
+  RETRY_BASE_DELAY: 300, // Initial backoff delay in milliseconds
+  RETRY_MAX_DELAY: 5000, // Upper bound for a single backoff delay
+};
+
+/**
+ * Mock Backend Configuration
+ * 
+ * Set VITE_USE_MOCK_API=true to serve every request from the in-browser
+ * mock backend instead of VITE_API_URL. The remaining values shape how the
+ * mock behaves and can also be changed at runtime via mockBackend.configure().
+ */
+export const MOCK_API = {
+  ENABLED: import.meta.env.VITE_USE_MOCK_API === 'true',
+  STORAGE: import.meta.env.VITE_MOCK_STORAGE || 'localStorage',               // 'localStorage' or 'memory'
+  STORAGE_KEY: 'posts-dashboard:mock-db',
+  LATENCY: import.meta.env.VITE_MOCK_LATENCY || '200-600',                   // Milliseconds, fixed ('300') or range ('200-600')
+  FAILURE_RATE: Number(import.meta.env.VITE_MOCK_FAILURE_RATE) || 0,         // Share of requests answered with HTTP 500 (0-1)
+  NETWORK_ERROR_RATE: Number(import.meta.env.VITE_MOCK_NETWORK_ERROR_RATE) || 0, // Share of requests failing as if offline (0-1)
+};
+
+/**
+ * Authentication Configuration
+ * 
+ * Where the current session (user, access token, refresh token) is persisted.
+ */
+export const AUTH_CONFIG = {
+  STORAGE_KEY: 'posts-dashboard:session',
+};
+
+/**
+ * Query Cache Configuration
+ * 
+ * Controls how long fetched posts are reused before being revalidated.
+ */
+export const CACHE_CONFIG = {
+  STALE_TIME: 30000,     // Cached data younger than this is served without a request
+  CACHE_TIME: 300000,    // Cached data older than this is discarded entirely
+};
+
+/**
+ * Offline Queue Configuration
+ * 
+ * Mutations that fail because the network is unavailable are stored under
+ * this key and replayed once the browser reports it is back online.
+ */
+export const OFFLINE_QUEUE = {
+  STORAGE_KEY: 'posts-dashboard:offline-queue',
+  STATUS: {
+    PENDING: 'pending',     // Waiting to be sent
+    FAILED: 'failed',       // Rejected by the server
+    CONFLICT: 'conflict',   // Target post changed or no longer exists
+  },
+};
+
+/**
+ * Post Drafts Configuration
+ * 
+ * Unsent posts are autosaved to localStorage while the user types.
+ */
+export const DRAFTS = {
+  STORAGE_KEY: 'posts-dashboard:drafts',
+  SAVE_DELAY: 500,   // Debounce between the last keystroke and saving (ms)
+  MAX_DRAFTS: 10,    // Oldest drafts beyond this per user are dropped
+};
+
+/**
+ * API Error Types
+ * 
+ * Categories attached to every ApiError so the UI can tell failures apart
+ * without inspecting status codes or messages.
+ */
+export const API_ERROR_TYPES = {
+  HTTP: 'HTTP_ERROR',         // Server responded with a non-2xx status
+  NETWORK: 'NETWORK_ERROR',   // Request never reached the server
+  TIMEOUT: 'TIMEOUT_ERROR',   // Request exceeded the configured timeout
+  ABORTED: 'ABORTED',         // Request was cancelled by the caller
+  PARSE: 'PARSE_ERROR',       // Response body could not be read as JSON
+  CONTRACT: 'CONTRACT_ERROR', // Response JSON does not match the API contract
 };
 
 /**
@@ -37,6 +115,123 @@ export const PAGINATION = {
   MAX_LIMIT: 100,         // Maximum allowed items per page
 };
 
+/**
+ * Sorting Options
+ * 
+ * Fields the posts list can be sorted by. Without explicit options the
+ * newest posts come first.
+ */
+export const SORTING = {
+  FIELDS: ['created_at', 'updated_at', 'title'],
+  ORDERS: ['asc', 'desc'],
+  DEFAULT_FIELD: 'created_at',
+  DEFAULT_ORDER: 'desc',
+};
+
+/**
+ * Search Configuration
+ * 
+ * The posts list searches while the user types. Terms the user settled on
+ * are remembered in localStorage and offered again below the search box.
+ */
+export const SEARCH = {
+  DEBOUNCE_DELAY: 300,    // Pause in typing before a search is sent (ms)
+  RECENT_STORAGE_KEY: 'posts-dashboard:recent-searches',
+  MAX_RECENT: 5,          // Recent searches kept, newest first
+};
+
+/**
+ * Posts List View Preferences
+ * 
+ * The list is browsed either page by page or as one list that grows while
+ * scrolling. The chosen mode and page size are saved in localStorage.
+ */
+export const LIST_VIEW = {
+  STORAGE_KEY: 'posts-dashboard:list-view',
+  MODES: {
+    PAGES: 'pages',       // Numbered pages
+    SCROLL: 'scroll',     // Next page appended near the end of the list
+  },
+  PAGE_SIZES: [6, 12, 24, 48, 96],  // Offered page sizes, capped at PAGINATION.MAX_LIMIT
+  SCROLL_MARGIN: '400px', // Distance before the end of the list at which the next page loads
+};
+
+/**
+ * Virtualized List Configuration
+ * 
+ * Long post lists only render the rows near the viewport. Row heights are
+ * measured once rendered and estimated until then.
+ */
+export const VIRTUAL_LIST = {
+  MIN_ITEMS: 30,              // Shorter lists are rendered in full
+  ESTIMATED_ROW_HEIGHT: 220,  // Assumed height of a row never rendered (px)
+  OVERSCAN: 800,              // Extra height rendered above and below the viewport (px)
+};
+
+/**
+ * Bulk Actions Configuration
+ * 
+ * Limits for actions applied to many posts at once.
+ */
+export const BULK_ACTIONS = {
+  CONCURRENCY: 3,         // Requests in flight at once during bulk operations
+};
+
+/**
+ * Export Configuration
+ * 
+ * Exporting the whole list walks every page of results.
+ */
+export const EXPORT_CONFIG = {
+  PAGE_SIZE: 100,         // Posts requested per page (at most PAGINATION.MAX_LIMIT)
+  DEFAULT_FORMAT: 'csv',  // Key of EXPORT_FORMATS in utils/exportPosts
+};
+
+/**
+ * Import Configuration
+ * 
+ * Limits for creating posts in bulk from a file.
+ */
+export const IMPORT_CONFIG = {
+  ACCEPT: '.csv,.json',   // File types offered by the file picker
+  MAX_ROWS: 1000,         // Largest number of posts in one file
+};
+
+/**
+ * Undo Configuration
+ * 
+ * How long destructive actions can still be taken back.
+ */
+export const UNDO_CONFIG = {
+  DELETE_WINDOW: 5000,    // Time before a deleted post is removed on the server (ms)
+};
+
+/**
+ * Notification Configuration
+ * 
+ * Toasts shown by NotificationProvider for the outcome of API calls.
+ */
+export const NOTIFICATIONS = {
+  DURATION: 5000,         // Time before a toast expires (ms)
+  ERROR_DURATION: 8000,   // Errors stay a little longer (ms)
+  MAX_VISIBLE: 4,         // Older toasts are dropped beyond this
+};
+
+/**
+ * Route Paths
+ * 
+ * URL patterns for every view. Use react-router's generatePath() to fill
+ * in the `:id` parameter.
+ */
+export const ROUTES = {
+  HOME: '/',
+  POSTS: '/posts',
+  NEW_POST: '/posts/new',
+  IMPORT_POSTS: '/posts/import',
+  POST_DETAIL: '/posts/:id',
+  EDIT_POST: '/posts/:id/edit',
+};
+
 /**
  * Validation Rules
  * 
@@ -49,6 +244,25 @@ export const VALIDATION = {
   MIN_USER_ID: 1,                // Minimum valid user ID value
 };
 
+/**
+ * Markdown Rendering Rules
+ * 
+ * Post bodies are written in Markdown. Rendered HTML is sanitized down to
+ * these tags and attributes, and links and images may only use these
+ * protocols (relative URLs resolve to the app's own origin).
+ */
+export const MARKDOWN = {
+  EXCERPT_LENGTH: 200,    // Plain-text characters shown on post cards
+  ALLOWED_TAGS: [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'strong', 'em', 'del', 'code', 'pre', 'blockquote',
+    'ul', 'ol', 'li', 'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td',
+  ],
+  ALLOWED_ATTRIBUTES: ['href', 'title', 'src', 'alt', 'start', 'align'],
+  ALLOWED_PROTOCOLS: ['http:', 'https:', 'mailto:'],
+};
+
 /**
  * User Interface Messages
  * 
@@ -64,19 +278,29 @@ export const UI_MESSAGES = {
   NO_POSTS: 'No posts found.',
   NO_SEARCH_RESULTS: 'No posts found matching your search.',
   CREATE_FIRST_POST: 'Create your first post!',
+  POST_NOT_FOUND: 'This post does not exist or has been deleted.',
+  PAGE_NOT_FOUND: 'Page not found.',
 
   // User confirmations
   DELETE_CONFIRMATION: 'Are you sure you want to delete this post?',
+  BULK_DELETE_CONFIRMATION: 'Are you sure you want to delete the selected posts?',
+  DISCARD_CHANGES_CONFIRMATION: 'Discard your unsaved changes?',
 
   // Success messages
   SUCCESS_POST_CREATED: 'Post created successfully!',
   SUCCESS_POST_UPDATED: 'Post updated successfully!',
   SUCCESS_POST_DELETED: 'Post deleted successfully!',
+  SUCCESS_POST_QUEUED: 'You are offline. The post was saved and will be sent when you reconnect.',
 
   // Error messages
   ERROR_NETWORK: 'Network error. Please check your connection.',
   ERROR_SERVER: 'Server error. Please try again later.',
   ERROR_VALIDATION: 'Please check your input and try again.',
+  ERROR_FORBIDDEN: 'You are not allowed to perform this action.',
+  ERROR_UNEXPECTED_RESPONSE: 'The server sent an unexpected response. Please try again later.',
+
+  // Authentication
+  SESSION_EXPIRED: 'Your session has expired. Please sign in again.',
 };
 
 /**
@@ -87,10 +311,12 @@ export const UI_MESSAGES = {
  */
 export const HTTP_STATUS = {
   OK: 200,                    // Successful GET, PUT, PATCH, DELETE
+  NO_CONTENT: 204,            // Successful request without a response body
   CREATED: 201,               // Successful POST (resource created)
   BAD_REQUEST: 400,           // Client error (validation, malformed request)
   UNAUTHORIZED: 401,          // Authentication required
   FORBIDDEN: 403,             // Access denied (authorization failed)
   NOT_FOUND: 404,             // Resource not found
+  CONFLICT: 409,              // Resource state conflicts with the request
   INTERNAL_SERVER_ERROR: 500, // Server error
 };
\ No newline at end of file
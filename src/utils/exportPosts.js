@@ -0,0 +1,118 @@
+/**
+ * Post Export Utilities
+ * 
+ * Turns posts into downloadable CSV or JSON files.
+ * 
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+// Post fields written to exports, in column order
+export const EXPORT_FIELDS = ['id', 'title', 'body', 'user_id', 'created_at', 'updated_at'];
+
+/**
+ * Keeps only the exported fields of each post
+ * 
+ * Drops client-only state such as `isOptimistic`.
+ * 
+ * @param {Array<Object>} posts - Posts to export
+ * @returns {Array<Object>} Posts with EXPORT_FIELDS only
+ */
+const pickExportFields = (posts) => posts.map(post => Object.fromEntries(
+  EXPORT_FIELDS.filter(field => post[field] !== undefined).map(field => [field, post[field]])
+));
+
+/**
+ * Serializes posts as pretty-printed JSON
+ * 
+ * @param {Array<Object>} posts - Posts to export
+ * @returns {string} JSON array
+ */
+export const postsToJson = (posts) => JSON.stringify(pickExportFields(posts), null, 2);
+
+// Leading characters that make spreadsheet apps read a cell as a formula
+export const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Escapes one CSV field
+ * 
+ * Text that a spreadsheet would evaluate as a formula is prefixed with an
+ * apostrophe, and fields holding commas, quotes or line breaks are quoted
+ * (RFC 4180).
+ * 
+ * @param {any} value - Field value
+ * @returns {string} Safe CSV field
+ */
+export const escapeCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes records as CSV with a header row
+ * 
+ * @param {Array<string>} fields - Columns, in order
+ * @param {Array<Object>} records - One row each
+ * @returns {string} CSV with CRLF line endings
+ */
+export const recordsToCsv = (fields, records) => [
+  fields,
+  ...records.map(record => fields.map(field => record[field])),
+].map(row => row.map(escapeCsvField).join(',')).join('\r\n');
+
+/**
+ * Serializes posts as CSV with a header row
+ * 
+ * @param {Array<Object>} posts - Posts to export
+ * @returns {string} CSV with CRLF line endings
+ */
+export const postsToCsv = (posts) => recordsToCsv(EXPORT_FIELDS, posts);
+
+// Supported export formats by file extension
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', type: 'text/csv;charset=utf-8', serialize: postsToCsv },
+  json: { label: 'JSON', type: 'application/json', serialize: postsToJson },
+};
+
+/**
+ * Builds a file name with the current date
+ * 
+ * @param {string} extension - File extension without the dot
+ * @returns {string} Name such as 'posts-2024-05-01.json'
+ */
+export const exportFileName = (extension) => `posts-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+/**
+ * Offers text content to the user as a file download
+ * 
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Downloads posts in one of EXPORT_FORMATS
+ * 
+ * @param {Array<Object>} posts - Posts to export
+ * @param {string} format - Key of EXPORT_FORMATS
+ */
+export const exportPosts = (posts, format) => {
+  const { type, serialize } = EXPORT_FORMATS[format];
+  downloadFile(exportFileName(format), serialize(posts), type);
+};
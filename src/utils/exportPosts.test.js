@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { escapeCsvField, postsToCsv, postsToJson } from './exportPosts';
+
+describe('escapeCsvField', () => {
+  it('leaves plain values alone and empties missing ones', () => {
+    expect(escapeCsvField('Plain text')).toBe('Plain text');
+    expect(escapeCsvField(42)).toBe('42');
+    expect(escapeCsvField(null)).toBe('');
+    expect(escapeCsvField(undefined)).toBe('');
+  });
+
+  it('quotes fields with commas, quotes or line breaks', () => {
+    expect(escapeCsvField('a, b')).toBe('"a, b"');
+    expect(escapeCsvField('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCsvField('line\nbreak')).toBe('"line\nbreak"');
+  });
+
+  it('neutralizes text a spreadsheet would run as a formula', () => {
+    expect(escapeCsvField('=HYPERLINK("http://evil")')).toBe('"\'=HYPERLINK(""http://evil"")"');
+    expect(escapeCsvField('+1')).toBe("'+1");
+    expect(escapeCsvField('-2')).toBe("'-2");
+    expect(escapeCsvField('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(escapeCsvField('\tcmd')).toBe("'\tcmd");
+    expect(escapeCsvField(-2)).toBe('-2');
+  });
+});
+
+describe('postsToCsv', () => {
+  it('writes a header row and one row per post', () => {
+    const csv = postsToCsv([
+      { id: 1, title: 'Hello, world', body: 'Body', user_id: 2, isOptimistic: false },
+    ]);
+
+    expect(csv.split('\r\n')).toEqual([
+      'id,title,body,user_id,created_at,updated_at',
+      '1,"Hello, world",Body,2,,',
+    ]);
+  });
+});
+
+describe('postsToJson', () => {
+  it('keeps only the exported fields', () => {
+    expect(JSON.parse(postsToJson([{ id: 1, title: 'T', isOptimistic: true }]))).toEqual([{ id: 1, title: 'T' }]);
+  });
+});
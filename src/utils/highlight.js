@@ -0,0 +1,105 @@
+/**
+ * Search Match Highlighting Utilities
+ *
+ * Finds the parts of a text that match a search term, the same way the
+ * backend matches posts: the whole trimmed term, ignoring case.
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+// Class name of the <mark> elements wrapped around matches
+export const MATCH_CLASS = 'search-match';
+
+/**
+ * Escapes characters that have a special meaning in regular expressions
+ *
+ * @param {string} value - Literal text
+ * @returns {string} Text safe to embed in a RegExp
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Builds a case-insensitive pattern for a search term
+ *
+ * @param {any} term - Search term
+ * @returns {RegExp|null} Global pattern, or null when there is nothing to match
+ */
+const matchPattern = (term) => {
+  const trimmed = typeof term === 'string' ? term.trim() : '';
+  return trimmed ? new RegExp(escapeRegExp(trimmed), 'gi') : null;
+};
+
+/**
+ * Splits text into matching and non-matching segments
+ *
+ * @param {string} text - Text to search in
+ * @param {any} term - Search term
+ * @returns {Array<Object>} Segments of `{ text, match }` in order; a single
+ *   non-matching segment when the term is empty or not found
+ *
+ * @example
+ * splitMatches('Vite and vite', 'vite')
+ * // returns [{ text: 'Vite', match: true }, { text: ' and ', match: false }, { text: 'vite', match: true }]
+ */
+export const splitMatches = (text, term) => {
+  const source = text == null ? '' : String(text);
+  const pattern = matchPattern(term);
+  if (!pattern) return [{ text: source, match: false }];
+
+  const segments = [];
+  let lastIndex = 0;
+  for (const found of source.matchAll(pattern)) {
+    if (found.index > lastIndex) {
+      segments.push({ text: source.slice(lastIndex, found.index), match: false });
+    }
+    segments.push({ text: found[0], match: true });
+    lastIndex = found.index + found[0].length;
+  }
+  if (lastIndex < source.length || segments.length === 0) {
+    segments.push({ text: source.slice(lastIndex), match: false });
+  }
+  return segments;
+};
+
+/**
+ * Wraps matches in the text of an HTML fragment with <mark> elements
+ *
+ * Only text nodes are touched, so tags, attributes and link targets stay
+ * as they were. The input must already be sanitized; see renderMarkdown.
+ *
+ * @param {string} html - Sanitized HTML
+ * @param {any} term - Search term
+ * @returns {string} HTML with highlighted matches
+ */
+export const highlightHtml = (html, term) => {
+  if (!html || !matchPattern(term)) return html;
+
+  // Template content is inert, so images in the fragment are not fetched
+  const template = document.createElement('template');
+  template.innerHTML = html;
+
+  const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  textNodes.forEach((node) => {
+    const segments = splitMatches(node.nodeValue, term);
+    if (!segments.some(segment => segment.match)) return;
+
+    const fragment = document.createDocumentFragment();
+    segments.forEach((segment) => {
+      if (segment.match) {
+        const mark = document.createElement('mark');
+        mark.className = MATCH_CLASS;
+        mark.textContent = segment.text;
+        fragment.appendChild(mark);
+      } else {
+        fragment.appendChild(document.createTextNode(segment.text));
+      }
+    });
+    node.replaceWith(fragment);
+  });
+
+  return template.innerHTML;
+};
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { splitMatches, highlightHtml } from './highlight';
+
+describe('splitMatches', () => {
+  it('splits text around every match, ignoring case', () => {
+    expect(splitMatches('Vite and vite', 'vite')).toEqual([
+      { text: 'Vite', match: true },
+      { text: ' and ', match: false },
+      { text: 'vite', match: true },
+    ]);
+  });
+
+  it('matches the whole trimmed term literally', () => {
+    expect(splitMatches('a+b (c)', ' a+b ')).toEqual([
+      { text: 'a+b', match: true },
+      { text: ' (c)', match: false },
+    ]);
+    expect(splitMatches('react hooks', 'hooks react')).toEqual([{ text: 'react hooks', match: false }]);
+  });
+
+  it('returns the text unchanged without a term', () => {
+    expect(splitMatches('Some text', '  ')).toEqual([{ text: 'Some text', match: false }]);
+    expect(splitMatches(null, 'x')).toEqual([{ text: '', match: false }]);
+  });
+});
+
+describe('highlightHtml', () => {
+  it('marks matches in text nodes only', () => {
+    const html = '<p>Read <a href="https://vite.dev">the vite docs</a></p>';
+
+    expect(highlightHtml(html, 'VITE')).toBe(
+      '<p>Read <a href="https://vite.dev">the <mark class="search-match">vite</mark> docs</a></p>'
+    );
+  });
+
+  it('keeps matched text escaped', () => {
+    expect(highlightHtml('<p>1 &lt; 2</p>', '<')).toBe('<p>1 <mark class="search-match">&lt;</mark> 2</p>');
+  });
+
+  it('leaves html alone without a term', () => {
+    expect(highlightHtml('<p>text</p>', '')).toBe('<p>text</p>');
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Post Import Utilities
+ *
+ * Reads posts to create from CSV or JSON files and checks each one with
+ * the same rules as the post form. Posts are always created for the
+ * signed-in user, so author columns are not read. Files written by the
+ * post export can be imported again: columns other than the imported
+ * fields are ignored.
+ *
+ * @author Your Name
+ * @version 1.0.0
+ */
+
+import { IMPORT_CONFIG } from './constants';
+import { FORMULA_PREFIXES, recordsToCsv } from './exportPosts';
+import { sanitizeInput, validatePostData } from './validation';
+
+// Post fields read from import files
+export const IMPORT_FIELDS = ['title', 'body'];
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180)
+ *
+ * Handles quoted fields with commas, doubled quotes and line breaks, and
+ * both CRLF and LF line endings. Blank lines are dropped.
+ *
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of fields
+ * @throws {Error} If a quoted field is never closed
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('The CSV file has a quoted field that is never closed');
+  }
+  endRow();
+  return rows;
+};
+
+/**
+ * Removes the apostrophe the export puts before formula-like text
+ *
+ * @param {string} field - CSV field
+ * @returns {string} The field as it was before exporting
+ */
+const unescapeCsvField = (field) => (
+  field[0] === "'" && FORMULA_PREFIXES.includes(field[1]) ? field.slice(1) : field
+);
+
+/**
+ * Turns CSV rows into records keyed by the header row
+ *
+ * @param {Array<Array<string>>} rows - Header row first
+ * @returns {Array<Object>} One record per data row
+ * @throws {Error} If the header lacks an imported field
+ */
+const csvRowsToRecords = ([header = [], ...rows]) => {
+  const columns = header.map(name => name.trim().toLowerCase());
+  const missing = IMPORT_FIELDS.filter(field => !columns.includes(field));
+  if (missing.length > 0) {
+    throw new Error(`The CSV header must include ${missing.join(', ')}`);
+  }
+  return rows.map(row => Object.fromEntries(
+    columns.map((name, index) => [name, unescapeCsvField(row[index] ?? '')])
+  ));
+};
+
+/**
+ * Works out a file's format from its name, then its content
+ *
+ * @param {string} name - File name
+ * @param {string} text - File content
+ * @returns {string} 'csv' or 'json'
+ */
+export const detectFormat = (name, text) => {
+  const extension = name.split('.').pop().toLowerCase();
+  if (extension === 'csv' || extension === 'json') return extension;
+  return /^\s*[[{]/.test(text) ? 'json' : 'csv';
+};
+
+/**
+ * Reads the records of an import file
+ *
+ * JSON files hold an array of post objects; CSV files a header row naming
+ * the columns. A byte order mark at the start is ignored.
+ *
+ * @param {string} text - File content
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Array<Object>} Raw records, not yet validated
+ * @throws {Error} With a message for the user if the file cannot be read
+ */
+export const parseImportFile = (text, format) => {
+  const content = text.replace(/^\uFEFF/, '');
+  let records;
+
+  if (format === 'json') {
+    try {
+      records = JSON.parse(content);
+    } catch {
+      throw new Error('The file is not valid JSON');
+    }
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object')) {
+      throw new Error('The JSON file must hold an array of post objects');
+    }
+  } else {
+    records = csvRowsToRecords(parseCsv(content));
+  }
+
+  if (records.length === 0) {
+    throw new Error('The file has no posts');
+  }
+  if (records.length > IMPORT_CONFIG.MAX_ROWS) {
+    throw new Error(`Import at most ${IMPORT_CONFIG.MAX_ROWS} posts at a time`);
+  }
+  return records;
+};
+
+/**
+ * Checks each record with the post form's rules
+ *
+ * @param {Array<Object>} records - Raw records from parseImportFile
+ * @param {number} userId - Signed-in user, the author of every post
+ * @returns {Array<Object>} `{ row, record, data, errors }` per record: `row`
+ *   is its 1-based position, `data` the post to create and `errors` the
+ *   validation messages (empty if valid)
+ */
+export const prepareImportRows = (records, userId) => records.map((record, index) => {
+  const data = {
+    title: sanitizeInput(record.title),
+    body: sanitizeInput(record.body),
+    user_id: userId,
+  };
+  return {
+    row: index + 1,
+    record,
+    data,
+    errors: validatePostData(data.title, data.body, data.user_id).errors,
+  };
+});
+
+/**
+ * Serializes rows that were not imported, with the reason, so they can be
+ * fixed and imported again
+ *
+ * @param {Array<Object>} rows - `{ record, message }` per row
+ * @param {string} format - 'csv' or 'json'
+ * @returns {string} File content in the given format
+ */
+export const failedRowsToFile = (rows, format) => {
+  const records = rows.map(({ record, message }) => ({
+    ...Object.fromEntries(IMPORT_FIELDS.map(field => [field, record[field] ?? ''])),
+    error: message,
+  }));
+  return format === 'json'
+    ? JSON.stringify(records, null, 2)
+    : recordsToCsv([...IMPORT_FIELDS, 'error'], records);
+};
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsv, parseImportFile, prepareImportRows, failedRowsToFile, detectFormat } from './importPosts';
+import { postsToCsv } from './exportPosts';
+
+describe('parseCsv', () => {
+  it('handles quotes, embedded commas and line breaks and both line endings', () => {
+    expect(parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\n\nlast,')).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "hi"\nthere'],
+      ['last', ''],
+    ]);
+  });
+
+  it('rejects an unclosed quote', () => {
+    expect(() => parseCsv('a\n"open')).toThrow('never closed');
+  });
+});
+
+describe('parseImportFile', () => {
+  it('reads CSV records by header name and reads exported files back', () => {
+    const csv = postsToCsv([{ id: 7, title: 'Hello, world', body: 'Text', user_id: 2 }]);
+
+    expect(parseImportFile(`\uFEFF${csv}`, 'csv')).toEqual([
+      { id: '7', title: 'Hello, world', body: 'Text', user_id: '2', created_at: '', updated_at: '' },
+    ]);
+  });
+
+  it('reads back text the export guarded against formulas', () => {
+    const post = { id: 3, title: '-5 ways to cut costs', body: '=SUM(A1:A3)\n@team +1', user_id: 1 };
+    const [record] = parseImportFile(postsToCsv([post]), 'csv');
+
+    expect(record).toMatchObject({ title: post.title, body: post.body });
+    expect(parseImportFile("title,body,user_id\n'quoted,'-kept,1", 'csv')[0])
+      .toMatchObject({ title: "'quoted", body: '-kept' });
+  });
+
+  it('explains files that cannot be imported', () => {
+    expect(() => parseImportFile('title,user_id\nA,1', 'csv')).toThrow('must include body');
+    expect(() => parseImportFile('{"title": "A"}', 'json')).toThrow('array of post objects');
+    expect(() => parseImportFile('[1', 'json')).toThrow('not valid JSON');
+    expect(() => parseImportFile('[]', 'json')).toThrow('no posts');
+  });
+});
+
+describe('prepareImportRows', () => {
+  it('validates each record with the post rules', () => {
+    const rows = prepareImportRows([
+      { title: ' Valid ', body: 'Body' },
+      { title: '', body: 'Body' },
+    ], 3);
+
+    expect(rows[0]).toMatchObject({ row: 1, data: { title: 'Valid', body: 'Body', user_id: 3 }, errors: [] });
+    expect(rows[1].errors).toEqual(['Title is required']);
+  });
+
+  it('creates every post for the signed-in user whatever the file says', () => {
+    const [row] = prepareImportRows([{ title: 'Title', body: 'Body', user_id: '99' }], 3);
+
+    expect(row.data.user_id).toBe(3);
+  });
+});
+
+describe('failedRowsToFile', () => {
+  it('writes the imported fields with the reason', () => {
+    const rows = [{ record: { title: 'A', body: 'B', user_id: '0', extra: 'x' }, message: 'Title is too short' }];
+
+    expect(failedRowsToFile(rows, 'csv')).toBe('title,body,error\r\nA,B,Title is too short');
+    expect(JSON.parse(failedRowsToFile(rows, 'json'))).toEqual([
+      { title: 'A', body: 'B', error: 'Title is too short' },
+    ]);
+  });
+});
+
+describe('detectFormat', () => {
+  it('uses the extension, then the content', () => {
+    expect(detectFormat('posts.JSON', '')).toBe('json');
+    expect(detectFormat('posts.txt', ' [{}]')).toBe('json');
+    expect(detectFormat('posts', 'title,body')).toBe('csv');
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { renderMarkdown, markdownToPlainText, createExcerpt, isSafeUrl } from './markdown';
+
+describe('renderMarkdown', () => {
+  it('renders common Markdown', () => {
+    const html = renderMarkdown('# Title\n\nSome **bold** and `code`\nnext line\n\n- one\n- two');
+
+    expect(html).toContain('<h1>Title</h1>');
+    expect(html).toContain('<strong>bold</strong>');
+    expect(html).toContain('<code>code</code>');
+    expect(html).toContain('<br>');
+    expect(html).toContain('<li>one</li>');
+  });
+
+  it('removes scripts, event handlers and disallowed tags', () => {
+    const html = renderMarkdown('<script>alert(1)</script><img src="x.png" onerror="alert(1)"><iframe src="https://evil.test"></iframe><div style="color:red">text</div>');
+
+    expect(html).not.toMatch(/script|onerror|iframe|style|<div/);
+    expect(html).toContain('<img src="x.png">');
+    expect(html).toContain('text');
+  });
+
+  it('drops links and images with unsafe protocols', () => {
+    const html = renderMarkdown('[click](javascript:alert(1)) ![pic](data:image/svg+xml;base64,AAAA) <a href="vbscript:x">vb</a>');
+
+    expect(html).not.toMatch(/javascript:|data:|vbscript:/);
+    expect(html).toContain('>click</a>');
+  });
+
+  it('opens safe links in a new tab without opener access', () => {
+    const html = renderMarkdown('[docs](https://example.com) [mail](mailto:a@example.com) [local](/posts/1)');
+
+    expect(html).toContain('href="https://example.com"');
+    expect(html).toContain('href="mailto:a@example.com"');
+    expect(html).toContain('href="/posts/1"');
+    expect(html).toContain('rel="noopener noreferrer nofollow"');
+    expect(html).toContain('target="_blank"');
+  });
+
+  it('returns an empty string for empty or non-string input', () => {
+    expect(renderMarkdown('')).toBe('');
+    expect(renderMarkdown(null)).toBe('');
+  });
+});
+
+describe('isSafeUrl', () => {
+  it('allows web, mail and relative URLs only', () => {
+    expect(isSafeUrl('https://example.com')).toBe(true);
+    expect(isSafeUrl('#section')).toBe(true);
+    expect(isSafeUrl(' JavaScript:alert(1)')).toBe(false);
+    expect(isSafeUrl('ftp://example.com')).toBe(false);
+  });
+});
+
+describe('markdownToPlainText', () => {
+  it('strips formatting and separates blocks', () => {
+    expect(markdownToPlainText('# Title\n\nSome *text*\n\n- a\n- b')).toBe('Title Some text a b');
+  });
+});
+
+describe('createExcerpt', () => {
+  it('keeps short text as is', () => {
+    expect(createExcerpt('Short **post**', 50)).toEqual({ text: 'Short post', truncated: false });
+  });
+
+  it('cuts long text at a word boundary', () => {
+    expect(createExcerpt('The quick brown fox jumps over the lazy dog', 20)).toEqual({
+      text: 'The quick brown fox…',
+      truncated: true,
+    });
+  });
+});
@@ -12,48 +12,69 @@
  * @version 1.0.0
  */
 
-import { VALIDATION, PAGINATION } from './constants';
+import { VALIDATION, PAGINATION, SORTING } from './constants';
 
 /**
- * Validates post data (title, body, and user ID)
+ * Validates post data field by field
  * 
- * Performs comprehensive client-side validation on post data before
- * submission. Checks for required fields, data types, length limits,
- * and ensures content is not just whitespace.
+ * Same rules as `validatePostData`, but keyed by field name so forms can
+ * show each message next to its input. Fields without problems are left
+ * out of the result.
  * 
  * @param {any} title - The post title to validate
  * @param {any} body - The post body content to validate
  * @param {any} userId - The user ID to validate
- * @returns {Object} Validation result with isValid boolean and errors array
+ * @returns {Object} Error messages keyed by `title`, `body` and `user_id`
  * 
  * @example
- * const validation = validatePostData('My Title', 'Post content', 1);
- * if (!validation.isValid) {
- *   console.log('Validation errors:', validation.errors);
- * }
+ * validatePostFields('', 'Post content', 1)  // returns { title: 'Title is required' }
  */
-export const validatePostData = (title, body, userId) => {
-  const errors = [];
+export const validatePostFields = (title, body, userId) => {
+  const errors = {};
 
   // Title validation
   if (!title || typeof title !== 'string' || !title.trim()) {
-    errors.push('Title is required');
+    errors.title = 'Title is required';
   } else if (title.length > VALIDATION.POST_TITLE_MAX_LENGTH) {
-    errors.push(`Title must be ${VALIDATION.POST_TITLE_MAX_LENGTH} characters or less`);
+    errors.title = `Title must be ${VALIDATION.POST_TITLE_MAX_LENGTH} characters or less`;
   }
 
   // Body validation
   if (!body || typeof body !== 'string' || !body.trim()) {
-    errors.push('Content is required');
+    errors.body = 'Content is required';
   } else if (body.length > VALIDATION.POST_BODY_MAX_LENGTH) {
-    errors.push(`Content must be ${VALIDATION.POST_BODY_MAX_LENGTH} characters or less`);
+    errors.body = `Content must be ${VALIDATION.POST_BODY_MAX_LENGTH} characters or less`;
   }
 
   // User ID validation
   if (!userId || userId < VALIDATION.MIN_USER_ID) {
-    errors.push('Valid user ID is required');
+    errors.user_id = 'Valid user ID is required';
   }
 
+  return errors;
+};
+
+/**
+ * Validates post data (title, body, and user ID)
+ * 
+ * Performs comprehensive client-side validation on post data before
+ * submission. Checks for required fields, data types, length limits,
+ * and ensures content is not just whitespace.
+ * 
+ * @param {any} title - The post title to validate
+ * @param {any} body - The post body content to validate
+ * @param {any} userId - The user ID to validate
+ * @returns {Object} Validation result with isValid boolean and errors array
+ * 
+ * @example
+ * const validation = validatePostData('My Title', 'Post content', 1);
+ * if (!validation.isValid) {
+ *   console.log('Validation errors:', validation.errors);
+ * }
+ */
+export const validatePostData = (title, body, userId) => {
+  const errors = Object.values(validatePostFields(title, body, userId));
+
   return {
     isValid: errors.length === 0,
     errors
@@ -98,6 +119,44 @@ export const validateSearchTerm = (searchTerm) => {
   return searchTerm.trim().slice(0, 100); // Limit search term length to 100 chars
 };
 
+/**
+ * Parses a whole number no smaller than `min`
+ * 
+ * @param {any} value - Raw value
+ * @param {number} min - Smallest accepted value
+ * @returns {number|undefined} The number, or undefined if invalid
+ */
+const toBoundedInteger = (value, min) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min ? number : undefined;
+};
+
+/**
+ * Parses a calendar date in `YYYY-MM-DD` form
+ * 
+ * @param {any} value - Raw value
+ * @returns {string|undefined} The date, or undefined if invalid
+ */
+const toIsoDate = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return undefined;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value) ? value : undefined;
+};
+
+/**
+ * Puts both ends of a range in order, keeping a single given end as is
+ * 
+ * @param {Object} params - Parameters to fix up in place
+ * @param {string} minKey - Name of the lower bound
+ * @param {string} maxKey - Name of the upper bound
+ */
+const orderRange = (params, minKey, maxKey) => {
+  if (params[minKey] !== undefined && params[maxKey] !== undefined && params[minKey] > params[maxKey]) {
+    [params[minKey], params[maxKey]] = [params[maxKey], params[minKey]];
+  }
+};
+
 /**
  * Validates and sanitizes pagination parameters
  * 
@@ -105,21 +164,52 @@ export const validateSearchTerm = (searchTerm) => {
  * to valid integers. Prevents negative pages, zero limits, and excessively
  * large page sizes that could impact performance.
  * 
+ * Sort and filter options are validated as well. Only valid options are
+ * returned; anything missing or invalid is left out so the server default
+ * applies. Ranges given back to front are swapped.
+ * 
  * @param {any} page - The page number to validate
  * @param {any} limit - The items per page limit to validate
- * @returns {Object} Object with validated page and limit properties
+ * @param {Object} [options={}] - Sort and filter options to validate
+ * @param {string} [options.sort] - Field to sort by, one of SORTING.FIELDS
+ * @param {string} [options.order] - Sort direction, 'asc' or 'desc'
+ * @param {any} [options.user_id] - Only posts by this author
+ * @param {any} [options.id_min] - Lowest post ID, inclusive
+ * @param {any} [options.id_max] - Highest post ID, inclusive
+ * @param {string} [options.date_from] - Earliest creation date (`YYYY-MM-DD`), inclusive
+ * @param {string} [options.date_to] - Latest creation date (`YYYY-MM-DD`), inclusive
+ * @returns {Object} Object with validated page and limit properties, plus any valid options
  * 
  * @example
  * validatePaginationParams('2', '10')    // returns { page: 2, limit: 10 }
  * validatePaginationParams('-1', '200')  // returns { page: 1, limit: 100 }
  * validatePaginationParams('abc', 'xyz') // returns { page: 1, limit: 6 }
+ * validatePaginationParams(1, 6, { sort: 'title', order: 'ASC', user_id: '0' })
+ * // returns { page: 1, limit: 6, sort: 'title', order: 'asc' }
  */
-export const validatePaginationParams = (page, limit) => {
+export const validatePaginationParams = (page, limit, options = {}) => {
   const validPage = Math.max(1, parseInt(page) || PAGINATION.DEFAULT_PAGE);
   const validLimit = Math.min(
     PAGINATION.MAX_LIMIT, 
     Math.max(1, parseInt(limit) || PAGINATION.DEFAULT_LIMIT)
   );
+
+  const order = typeof options.order === 'string' ? options.order.toLowerCase() : undefined;
+  const candidates = {
+    sort: SORTING.FIELDS.includes(options.sort) ? options.sort : undefined,
+    order: SORTING.ORDERS.includes(order) ? order : undefined,
+    user_id: toBoundedInteger(options.user_id, VALIDATION.MIN_USER_ID),
+    id_min: toBoundedInteger(options.id_min, 1),
+    id_max: toBoundedInteger(options.id_max, 1),
+    date_from: toIsoDate(options.date_from),
+    date_to: toIsoDate(options.date_to),
+  };
+  orderRange(candidates, 'id_min', 'id_max');
+  orderRange(candidates, 'date_from', 'date_to');
+
+  const validOptions = Object.fromEntries(
+    Object.entries(candidates).filter(([, value]) => value !== undefined)
+  );
   
-  return { page: validPage, limit: validLimit };
-};
\ No newline at end of file
+  return { page: validPage, limit: validLimit, ...validOptions };
+};
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validatePostData,
+  validatePostFields,
+  sanitizeInput,
+  validateSearchTerm,
+  validatePaginationParams,
+} from './validation';
+import { VALIDATION, PAGINATION } from './constants';
+
+describe('validatePostData', () => {
+  it('accepts valid data', () => {
+    expect(validatePostData('Title', 'Body', 1)).toEqual({ isValid: true, errors: [] });
+  });
+
+  it('requires non-blank title, body and a valid user ID', () => {
+    const result = validatePostData('   ', '', 0);
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual(['Title is required', 'Content is required', 'Valid user ID is required']);
+  });
+
+  it('rejects non-string values', () => {
+    expect(validatePostData(42, {}, 1).errors).toEqual(['Title is required', 'Content is required']);
+  });
+
+  it('enforces maximum lengths', () => {
+    const result = validatePostData(
+      'x'.repeat(VALIDATION.POST_TITLE_MAX_LENGTH + 1),
+      'x'.repeat(VALIDATION.POST_BODY_MAX_LENGTH + 1),
+      1
+    );
+    expect(result.errors).toEqual([
+      `Title must be ${VALIDATION.POST_TITLE_MAX_LENGTH} characters or less`,
+      `Content must be ${VALIDATION.POST_BODY_MAX_LENGTH} characters or less`,
+    ]);
+  });
+});
+
+describe('validatePostFields', () => {
+  it('keys errors by field and omits valid fields', () => {
+    expect(validatePostFields('Title', 'Body', 1)).toEqual({});
+    expect(validatePostFields('', 'x'.repeat(VALIDATION.POST_BODY_MAX_LENGTH + 1), 1)).toEqual({
+      title: 'Title is required',
+      body: `Content must be ${VALIDATION.POST_BODY_MAX_LENGTH} characters or less`,
+    });
+  });
+});
+
+describe('sanitizeInput', () => {
+  it('trims strings and rejects other types', () => {
+    expect(sanitizeInput('  hello  ')).toBe('hello');
+    expect(sanitizeInput(null)).toBe('');
+    expect(sanitizeInput(123)).toBe('');
+  });
+});
+
+describe('validateSearchTerm', () => {
+  it('trims and limits search terms', () => {
+    expect(validateSearchTerm('  react  ')).toBe('react');
+    expect(validateSearchTerm('x'.repeat(200))).toHaveLength(100);
+    expect(validateSearchTerm(undefined)).toBe('');
+  });
+});
+
+describe('validatePaginationParams', () => {
+  it('parses valid values', () => {
+    expect(validatePaginationParams('2', '10')).toEqual({ page: 2, limit: 10 });
+  });
+
+  it('clamps out-of-range values', () => {
+    expect(validatePaginationParams('-1', '200')).toEqual({ page: 1, limit: PAGINATION.MAX_LIMIT });
+  });
+
+  it('falls back to defaults for garbage', () => {
+    expect(validatePaginationParams('abc', 'xyz')).toEqual({
+      page: PAGINATION.DEFAULT_PAGE,
+      limit: PAGINATION.DEFAULT_LIMIT,
+    });
+  });
+
+  it('keeps valid sort and filter options', () => {
+    expect(validatePaginationParams(1, 6, {
+      sort: 'title',
+      order: 'ASC',
+      user_id: '3',
+      id_min: '2',
+      date_to: '2024-02-29',
+    })).toEqual({ page: 1, limit: 6, sort: 'title', order: 'asc', user_id: 3, id_min: 2, date_to: '2024-02-29' });
+  });
+
+  it('drops invalid sort and filter options', () => {
+    expect(validatePaginationParams(1, 6, {
+      sort: 'password',
+      order: 'sideways',
+      user_id: '0',
+      id_min: '1.5',
+      id_max: 'abc',
+      date_from: '2023-02-30',
+      date_to: 'yesterday',
+    })).toEqual({ page: 1, limit: 6 });
+  });
+
+  it('puts reversed ranges in order', () => {
+    expect(validatePaginationParams(1, 6, {
+      id_min: 20,
+      id_max: 10,
+      date_from: '2024-03-01',
+      date_to: '2024-01-01',
+    })).toMatchObject({ id_min: 10, id_max: 20, date_from: '2024-01-01', date_to: '2024-03-01' });
+  });
+});